@@ -0,0 +1,376 @@
+// kyndall-content-engine/src/admin-api.js
+// Admin HTTP API
+// Lets Kyndall's admin page trigger and inspect runs instead of waiting for cron:
+//
+//   POST /runs                    - start a content check now        → 202 { runId }
+//   GET  /runs                    - recent runs (summary only)
+//   GET  /runs/:id                - run report with per-video outcomes
+//   POST /videos/:id/reprocess    - regenerate a single video        → 202 { runId }
+//   GET  /drafts?limit=10         - auto-generated drafts awaiting review
+//   GET  /sources                 - content source, Amazon and ShopMy status
+//   POST /quick-answers/backfill  - score quick answers on existing posts (?limit=20) → 202
+//   GET  /quick-answers/backfill  - result of the last backfill
+//   POST /amazon/refresh          - refresh Amazon prices + availability on published posts → 202
+//   GET  /amazon/refresh          - result of the last refresh (flagged products)
+//   POST /links/audit             - check every affiliate link on published posts (?email=false) → 202
+//   GET  /links/audit             - result of the last link audit
+//   GET  /earnings?month=2026-09  - top posts, top products and posts with no clicks (default last month)
+//   GET  /llm/usage?month=2026-10 - Claude tokens and estimated spend for a month (default this month)
+//   GET  /prompts                 - prompt template versions and the one each prompt uses
+//   POST /prompts/seed            - save the built-in prompts to Sanity as version 1 (to edit them there)
+//   POST /prompts/:name/versions/:version/activate - switch a prompt to another version (rollback)
+//   GET  /style-guide             - style guide status and how much drafts get rewritten with / without examples
+//   POST /edit-feedback           - compare AI drafts with the published posts now → 202
+//   GET  /edit-feedback           - last edit feedback report (section edit ratios, corrections, avoid rules)
+//
+// Every request needs "Authorization: Bearer <ADMIN_API_TOKEN>".
+// Without ADMIN_API_TOKEN the API is disabled (503).
+
+import crypto from 'crypto'
+import { getSources } from './sources.js'
+import { getRun, getActiveRun, getRecentRuns } from './runs.js'
+import { getRecentDrafts } from './sanity.js'
+import { isAmazonConfigured, getCacheStats, getMarketplaces } from './amazon.js'
+import { getAmazonRateLimitStats } from './amazon-rate-limit.js'
+import { getShopMyStatus } from './shopmy.js'
+import { backfillQuickAnswerReviews, getLastBackfill } from './quick-answer.js'
+import { refreshAmazonProducts, getLastAmazonRefresh } from './amazon-refresh.js'
+import { runLinkHealthAudit, getLastLinkAudit } from './link-health.js'
+import { getEarningsSummary } from './earnings.js'
+import { getLlmStats, getLlmMonthlySummary } from './llm.js'
+import { getPromptTemplates, seedPromptTemplates, activatePromptVersion } from './prompts.js'
+import { getStyleGuideImpact } from './style-guide.js'
+import { runEditFeedbackAnalysis, getEditFeedbackReport, getLastEditFeedbackRun } from './edit-feedback.js'
+
+let adminToken = null
+let engineConfig = null
+let actions = {
+  triggerRun: null,
+  reprocessVideo: null
+}
+
+// ============================================================
+// INITIALIZATION
+// ============================================================
+
+/**
+ * @param {Object} options
+ *   token          - ADMIN_API_TOKEN
+ *   config         - engine config (for source enable checks)
+ *   triggerRun()   - starts a content check, returns the run (null if one is already running)
+ *   reprocessVideo(videoId) - starts a reprocess run, returns the run (null if busy)
+ */
+export function initAdminApi({ token, config, triggerRun, reprocessVideo }) {
+  adminToken = token || null
+  engineConfig = config
+  actions = { triggerRun, reprocessVideo }
+
+  if (adminToken) {
+    console.log('✅ Admin API enabled')
+  }
+}
+
+// ============================================================
+// HELPER FUNCTIONS
+// ============================================================
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+function isAuthorized(req) {
+  const header = req.headers.authorization || ''
+  const provided = header.startsWith('Bearer ') ? header.substring(7) : ''
+
+  const expected = Buffer.from(adminToken)
+  const actual = Buffer.from(provided)
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected)
+}
+
+function sendBusy(res) {
+  const activeRun = getActiveRun()
+  sendJson(res, 409, {
+    error: 'A run is already in progress',
+    runId: activeRun?.id || null
+  })
+}
+
+async function getSourcesStatus() {
+  const sources = {}
+
+  for (const source of getSources()) {
+    const enabled = source.isEnabled(engineConfig)
+    try {
+      sources[source.name] = {
+        enabled,
+        ...(enabled ? await source.getStatus() : { connected: false, message: 'Disabled' })
+      }
+    } catch (error) {
+      sources[source.name] = { enabled, connected: false, message: error.message }
+    }
+  }
+
+  return {
+    sources,
+    amazon: {
+      configured: isAmazonConfigured(),
+      marketplaces: isAmazonConfigured() ? getMarketplaces().map(m => ({ code: m.code, marketplace: m.marketplace, partnerTag: m.partnerTag })) : [],
+      cachedLookups: getCacheStats().size,
+      rateLimit: getAmazonRateLimitStats()
+    },
+    shopmy: getShopMyStatus()
+  }
+}
+
+// ============================================================
+// ROUTES
+// ============================================================
+
+const routes = [
+  {
+    method: 'POST',
+    pattern: /^\/runs$/,
+    async handler(req, res) {
+      const run = actions.triggerRun()
+      if (!run) return sendBusy(res)
+      sendJson(res, 202, { message: 'Content check started', runId: run.id })
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/runs$/,
+    async handler(req, res, params, url) {
+      const limit = Math.min(parseInt(url.searchParams.get('limit')) || 10, 25)
+      sendJson(res, 200, { runs: getRecentRuns(limit) })
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/runs\/([\w-]+)$/,
+    async handler(req, res, [runId]) {
+      const run = getRun(runId)
+      if (!run) return sendJson(res, 404, { error: 'Run not found' })
+      sendJson(res, 200, run)
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/videos\/([\w-]+)\/reprocess$/,
+    async handler(req, res, [videoId]) {
+      const run = actions.reprocessVideo(videoId)
+      if (!run) return sendBusy(res)
+      sendJson(res, 202, { message: `Reprocessing ${videoId}`, runId: run.id })
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/drafts$/,
+    async handler(req, res, params, url) {
+      const limit = Math.min(parseInt(url.searchParams.get('limit')) || 10, 100)
+      const drafts = await getRecentDrafts(limit)
+      sendJson(res, 200, { drafts })
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/sources$/,
+    async handler(req, res) {
+      sendJson(res, 200, await getSourcesStatus())
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/quick-answers\/backfill$/,
+    async handler(req, res, params, url) {
+      if (getLastBackfill() && !getLastBackfill().finishedAt) {
+        return sendJson(res, 409, { error: 'A quick answer backfill is already running' })
+      }
+
+      const limit = Math.min(parseInt(url.searchParams.get('limit')) || 20, 200)
+      backfillQuickAnswerReviews({ limit }).catch(error => {
+        console.error('❌ Quick answer backfill error:', error.message)
+      })
+      sendJson(res, 202, { message: `Reviewing up to ${limit} quick answers` })
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/quick-answers\/backfill$/,
+    async handler(req, res) {
+      sendJson(res, 200, { backfill: getLastBackfill() })
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/amazon\/refresh$/,
+    async handler(req, res) {
+      if (!isAmazonConfigured()) {
+        return sendJson(res, 400, { error: 'Amazon PA-API not configured' })
+      }
+      if (getLastAmazonRefresh() && !getLastAmazonRefresh().finishedAt) {
+        return sendJson(res, 409, { error: 'An Amazon refresh is already running' })
+      }
+
+      refreshAmazonProducts().catch(error => {
+        console.error('❌ Amazon refresh error:', error.message)
+      })
+      sendJson(res, 202, { message: 'Amazon price refresh started' })
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/amazon\/refresh$/,
+    async handler(req, res) {
+      sendJson(res, 200, { refresh: getLastAmazonRefresh() })
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/links\/audit$/,
+    async handler(req, res, params, url) {
+      if (getLastLinkAudit() && !getLastLinkAudit().finishedAt) {
+        return sendJson(res, 409, { error: 'A link audit is already running' })
+      }
+
+      runLinkHealthAudit({ sendEmail: url.searchParams.get('email') !== 'false' }).catch(error => {
+        console.error('❌ Link audit error:', error.message)
+      })
+      sendJson(res, 202, { message: 'Link audit started' })
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/links\/audit$/,
+    async handler(req, res) {
+      sendJson(res, 200, { audit: getLastLinkAudit() })
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/earnings$/,
+    async handler(req, res, params, url) {
+      const month = url.searchParams.get('month')
+      if (month && !/^\d{4}-\d{2}$/.test(month)) {
+        return sendJson(res, 400, { error: 'month must look like 2026-09' })
+      }
+      sendJson(res, 200, await getEarningsSummary(month))
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/llm\/usage$/,
+    async handler(req, res, params, url) {
+      const month = url.searchParams.get('month')
+      if (month && !/^\d{4}-\d{2}$/.test(month)) {
+        return sendJson(res, 400, { error: 'month must look like 2026-10' })
+      }
+      sendJson(res, 200, {
+        month: await getLlmMonthlySummary(month),
+        sinceStartup: getLlmStats()
+      })
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/prompts$/,
+    async handler(req, res) {
+      sendJson(res, 200, { prompts: await getPromptTemplates() })
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/prompts\/seed$/,
+    async handler(req, res) {
+      sendJson(res, 200, { created: await seedPromptTemplates() })
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/prompts\/([^/]+)\/versions\/(\d+)\/activate$/,
+    async handler(req, res, [name, version]) {
+      try {
+        sendJson(res, 200, { inUse: await activatePromptVersion(name, parseInt(version)) })
+      } catch (error) {
+        if (!error.notFound) throw error
+        sendJson(res, 404, { error: error.message })
+      }
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/style-guide$/,
+    async handler(req, res) {
+      sendJson(res, 200, await getStyleGuideImpact())
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/edit-feedback$/,
+    async handler(req, res) {
+      if (getLastEditFeedbackRun() && !getLastEditFeedbackRun().finishedAt) {
+        return sendJson(res, 409, { error: 'Edit feedback is already running' })
+      }
+
+      runEditFeedbackAnalysis().catch(error => {
+        console.error('❌ Edit feedback error:', error.message)
+      })
+      sendJson(res, 202, { message: 'Edit feedback analysis started' })
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/edit-feedback$/,
+    async handler(req, res) {
+      sendJson(res, 200, {
+        report: await getEditFeedbackReport(),
+        lastRun: getLastEditFeedbackRun()
+      })
+    }
+  }
+]
+
+// ============================================================
+// MAIN
+// ============================================================
+
+/**
+ * Handle a request if it's an admin route
+ * @returns {boolean} - true if the request was handled (the caller should stop)
+ */
+export function handleAdminRequest(req, res) {
+  const url = new URL(req.url, 'http://localhost')
+  const matches = routes.filter(route => route.pattern.test(url.pathname))
+
+  if (matches.length === 0) return false
+
+  if (!adminToken) {
+    sendJson(res, 503, { error: 'Admin API disabled - set ADMIN_API_TOKEN' })
+    return true
+  }
+
+  if (!isAuthorized(req)) {
+    sendJson(res, 401, { error: 'Unauthorized' })
+    return true
+  }
+
+  const route = matches.find(r => r.method === req.method)
+  if (!route) {
+    sendJson(res, 405, { error: 'Method not allowed' })
+    return true
+  }
+
+  const params = url.pathname.match(route.pattern).slice(1).map(decodeURIComponent)
+
+  route.handler(req, res, params, url).catch(error => {
+    console.error(`❌ Admin API error (${req.method} ${url.pathname}):`, error.message)
+    sendJson(res, 500, { error: error.message })
+  })
+
+  return true
+}
+
+export default {
+  initAdminApi,
+  handleAdminRequest
+}
@@ -0,0 +1,271 @@
+// kyndall-content-engine/src/amazon-cache.js
+// Cache for Amazon search lookups
+// PA-API allows ~1 request per second, so every search result is cached - and kept
+// across restarts and deploys by a persistent backend:
+//
+//   memory - in-process only (lost on restart)
+//   file   - JSON file on disk (AMAZON_CACHE_FILE) - for hosts with a persistent volume
+//   sanity - one amazonLookup document per search (default - survives DigitalOcean deploys)
+//
+// Every backend sits behind an in-memory copy, so a lookup only hits disk / Sanity once
+// per process. "No results" is cached for a shorter time (negativeTtlMs) than real results,
+// and failed requests are never cached (amazon.js simply doesn't save them).
+
+import crypto from 'crypto'
+import fs from 'fs/promises'
+import path from 'path'
+
+let settings = {
+  ttlMs: 24 * 60 * 60 * 1000,          // 24 hours
+  negativeTtlMs: 6 * 60 * 60 * 1000    // 6 hours
+}
+
+// In-memory copy (in front of every backend)
+const memory = new Map()
+let backend = null
+
+const stats = {
+  hits: 0,
+  misses: 0,
+  negativeHits: 0,
+  errors: 0
+}
+
+// ============================================================
+// BACKENDS
+// ============================================================
+
+// Each backend: { name, get(key), set(key, entry), clear() } - entry is { data, timestamp }
+
+function createMemoryBackend() {
+  return {
+    name: 'memory',
+    async get() {
+      return null
+    },
+    async set() {},
+    async clear() {}
+  }
+}
+
+function createFileBackend({ filePath }) {
+  let entries = null
+  let writing = Promise.resolve()
+
+  async function load() {
+    if (entries) return entries
+    try {
+      entries = new Map(Object.entries(JSON.parse(await fs.readFile(filePath, 'utf8'))))
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.log(`   ⚠️  Amazon cache file unreadable (${error.message}) - starting empty`)
+      }
+      entries = new Map()
+    }
+    return entries
+  }
+
+  // Writes are queued so two saves never interleave; write + rename keeps the file whole
+  function persist() {
+    writing = writing.then(async () => {
+      for (const [key, entry] of entries) {
+        if (isExpired(entry)) entries.delete(key)
+      }
+      await fs.mkdir(path.dirname(filePath), { recursive: true })
+      await fs.writeFile(`${filePath}.tmp`, JSON.stringify(Object.fromEntries(entries)))
+      await fs.rename(`${filePath}.tmp`, filePath)
+    })
+    return writing
+  }
+
+  return {
+    name: 'file',
+    async get(key) {
+      return (await load()).get(key) || null
+    },
+    async set(key, entry) {
+      (await load()).set(key, entry)
+      await persist()
+    },
+    async clear() {
+      (await load()).clear()
+      await persist()
+    }
+  }
+}
+
+function createSanityBackend({ client }) {
+  if (!client) {
+    throw new Error('Sanity cache backend needs a Sanity client')
+  }
+
+  const getDocumentId = key => `amazonLookup-${crypto.createHash('sha1').update(key).digest('hex').substring(0, 20)}`
+
+  return {
+    name: 'sanity',
+    async get(key) {
+      const doc = await client.getDocument(getDocumentId(key))
+      if (!doc) return null
+      return {
+        data: (doc.results || []).map(({ _key, ...result }) => result),
+        timestamp: new Date(doc.cachedAt).getTime()
+      }
+    },
+    async set(key, entry) {
+      // Keys are "<marketplace>:<search term>"
+      const [, marketplace, searchTerm] = key.match(/^([^:]*):(.*)$/s) || [null, null, key]
+      await client.createOrReplace({
+        _id: getDocumentId(key),
+        _type: 'amazonLookup',
+        key,
+        searchTerm,
+        marketplace,
+        resultCount: entry.data.length,
+        results: entry.data.map(result => ({ _key: result.asin, ...result })),
+        cachedAt: new Date(entry.timestamp).toISOString(),
+        expiresAt: new Date(entry.timestamp + getTtl(entry)).toISOString()
+      })
+    },
+    async clear() {
+      await client.delete({ query: '*[_type == "amazonLookup"]' })
+    }
+  }
+}
+
+const BACKENDS = {
+  memory: createMemoryBackend,
+  file: createFileBackend,
+  sanity: createSanityBackend
+}
+
+// ============================================================
+// INITIALIZATION
+// ============================================================
+
+/**
+ * @param {Object} options
+ *   backend       - 'memory' | 'file' | 'sanity'
+ *   client        - Sanity client (sanity backend)
+ *   filePath      - cache file (file backend)
+ *   ttlMs         - how long search results are kept
+ *   negativeTtlMs - how long "no results" is kept
+ */
+export function initAmazonCache(options = {}) {
+  settings = {
+    ttlMs: options.ttlMs || settings.ttlMs,
+    negativeTtlMs: options.negativeTtlMs || settings.negativeTtlMs
+  }
+
+  const name = options.backend || 'memory'
+  const createBackend = BACKENDS[name]
+  if (!createBackend) {
+    console.log(`   ⚠️  Unknown Amazon cache backend "${name}" - using memory`)
+  }
+
+  try {
+    backend = (createBackend || createMemoryBackend)(options)
+  } catch (error) {
+    console.log(`   ⚠️  Amazon cache: ${error.message} - using memory`)
+    backend = createMemoryBackend()
+  }
+
+  memory.clear()
+  console.log(`✅ Amazon cache: ${backend.name}`)
+}
+
+// ============================================================
+// HELPER FUNCTIONS
+// ============================================================
+
+function isNegative(entry) {
+  return !entry.data || entry.data.length === 0
+}
+
+function getTtl(entry) {
+  return isNegative(entry) ? settings.negativeTtlMs : settings.ttlMs
+}
+
+function isExpired(entry) {
+  return Date.now() - entry.timestamp >= getTtl(entry)
+}
+
+function getBackend() {
+  if (!backend) backend = createMemoryBackend()
+  return backend
+}
+
+// ============================================================
+// MAIN
+// ============================================================
+
+/**
+ * Look up a cached search
+ * @returns {Promise<Array|null>} - Cached results ([] = Amazon had nothing), or null on a miss
+ */
+export async function getCachedLookup(key) {
+  let entry = memory.get(key)
+
+  if (!entry) {
+    try {
+      entry = await getBackend().get(key)
+      if (entry) memory.set(key, entry)
+    } catch (error) {
+      // A broken cache shouldn't stop the search
+      stats.errors++
+      console.log(`      ⚠️  Amazon cache read failed: ${error.message}`)
+    }
+  }
+
+  if (!entry || isExpired(entry)) {
+    stats.misses++
+    return null
+  }
+
+  stats.hits++
+  if (isNegative(entry)) stats.negativeHits++
+  return entry.data
+}
+
+/**
+ * Cache a search result - only call this for successful requests
+ * @param {string} key
+ * @param {Array} data - Results ([] for "no results")
+ */
+export async function saveLookup(key, data) {
+  const entry = { data, timestamp: Date.now() }
+  memory.set(key, entry)
+
+  try {
+    await getBackend().set(key, entry)
+  } catch (error) {
+    stats.errors++
+    console.log(`      ⚠️  Amazon cache write failed: ${error.message}`)
+  }
+}
+
+export async function clearAmazonCache() {
+  memory.clear()
+  await getBackend().clear()
+}
+
+/**
+ * Hit / miss counts since startup (for /health)
+ */
+export function getAmazonCacheStats() {
+  const lookups = stats.hits + stats.misses
+  return {
+    backend: getBackend().name,
+    size: memory.size,
+    ...stats,
+    hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 100) / 100 : null,
+    missRate: lookups > 0 ? Math.round((stats.misses / lookups) * 100) / 100 : null
+  }
+}
+
+export default {
+  initAmazonCache,
+  getCachedLookup,
+  saveLookup,
+  clearAmazonCache,
+  getAmazonCacheStats
+}
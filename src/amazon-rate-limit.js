@@ -0,0 +1,149 @@
+// kyndall-content-engine/src/amazon-rate-limit.js
+// PA-API rate limiting
+// PA-API quotas depend on the account's sales (1 request per second and 8640 per day to
+// start, more as sales grow), so both limits are configurable:
+//
+//   AMAZON_TPS                  - token bucket refill rate (requests per second)
+//   AMAZON_DAILY_REQUEST_LIMIT  - requests per UTC day, per PA-API host
+//
+// Each store (US / UK / CA host) has its own bucket. When Amazon answers 429 the bucket
+// slows down to half its rate and speeds back up with every successful request.
+// Requests over the daily limit aren't sent at all - they fail as "throttled" so the
+// caller can retry them later (see enrichProductsWithAmazon).
+
+let settings = {
+  tps: 1,
+  dailyLimit: 8640
+}
+
+// host → { tokens, rate, updatedAt, day, requestsToday, throttled }
+const buckets = new Map()
+
+// ============================================================
+// INITIALIZATION
+// ============================================================
+
+/**
+ * @param {Object} options - { tps, dailyLimit }
+ */
+export function initAmazonRateLimit(options = {}) {
+  settings = {
+    tps: options.tps || settings.tps,
+    dailyLimit: options.dailyLimit || settings.dailyLimit
+  }
+  buckets.clear()
+}
+
+// ============================================================
+// HELPER FUNCTIONS
+// ============================================================
+
+function getToday() {
+  return new Date().toISOString().split('T')[0]
+}
+
+function getBucket(host) {
+  if (!buckets.has(host)) {
+    buckets.set(host, {
+      tokens: 1,
+      rate: settings.tps,
+      updatedAt: Date.now(),
+      day: getToday(),
+      requestsToday: 0,
+      throttled: 0
+    })
+  }
+
+  const bucket = buckets.get(host)
+
+  // New UTC day - new daily quota
+  if (bucket.day !== getToday()) {
+    bucket.day = getToday()
+    bucket.requestsToday = 0
+  }
+
+  // Refill (the bucket holds at most one second's worth of requests)
+  const now = Date.now()
+  bucket.tokens = Math.min(Math.max(settings.tps, 1), bucket.tokens + ((now - bucket.updatedAt) / 1000) * bucket.rate)
+  bucket.updatedAt = now
+
+  return bucket
+}
+
+/**
+ * Error for requests Amazon (or our own daily limit) refused - never a "not found"
+ */
+export function createThrottledError(message) {
+  const error = new Error(message)
+  error.throttled = true
+  return error
+}
+
+// ============================================================
+// MAIN
+// ============================================================
+
+/**
+ * Wait until a request to this PA-API host is allowed
+ * @throws {Error} - error.throttled when the daily limit is used up
+ */
+export async function acquireAmazonRequest(host) {
+  for (;;) {
+    const bucket = getBucket(host)
+
+    if (bucket.requestsToday >= settings.dailyLimit) {
+      throw createThrottledError(`Amazon daily request limit reached (${settings.dailyLimit})`)
+    }
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1
+      bucket.requestsToday++
+      return
+    }
+
+    const waitTime = Math.ceil(((1 - bucket.tokens) / bucket.rate) * 1000)
+    await new Promise(resolve => setTimeout(resolve, waitTime))
+  }
+}
+
+/**
+ * Amazon answered 429 - halve the rate (down to a quarter of AMAZON_TPS)
+ */
+export function reportAmazonThrottled(host) {
+  const bucket = getBucket(host)
+  bucket.rate = Math.max(bucket.rate / 2, settings.tps / 4)
+  bucket.tokens = 0
+  bucket.throttled++
+}
+
+/**
+ * A request went through - recover 10% of the rate towards AMAZON_TPS
+ */
+export function reportAmazonSuccess(host) {
+  const bucket = getBucket(host)
+  bucket.rate = Math.min(bucket.rate * 1.1, settings.tps)
+}
+
+export function getAmazonRateLimitStats() {
+  return {
+    tps: settings.tps,
+    dailyLimit: settings.dailyLimit,
+    hosts: Object.fromEntries(Array.from(buckets.keys()).map(host => {
+      const bucket = getBucket(host)
+      return [host, {
+        currentTps: Math.round(bucket.rate * 100) / 100,
+        requestsToday: bucket.requestsToday,
+        throttled: bucket.throttled
+      }]
+    }))
+  }
+}
+
+export default {
+  initAmazonRateLimit,
+  acquireAmazonRequest,
+  reportAmazonThrottled,
+  reportAmazonSuccess,
+  createThrottledError,
+  getAmazonRateLimitStats
+}
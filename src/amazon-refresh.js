@@ -0,0 +1,218 @@
+// kyndall-content-engine/src/amazon-refresh.js
+// Amazon price + availability refresh
+// Products get their Amazon link once, at draft creation - after that prices change and
+// items go out of stock. This job collects every amazonAsin across published posts,
+// batch-calls GetItems (10 ASINs per request) and updates featuredProducts:
+//
+//   amazonPrice, amazonPriceAmount, amazonAvailability, amazonCheckedAt
+//   amazonFlag: 'unavailable'  - out of stock / no offers / ASIN gone
+//               'price-drop'   - price fell AMAZON_PRICE_DROP_PERCENT or more since the last check,
+//                                or below the product's own amazonPriceAlert
+//   amazonPreviousPrice        - price before the drop
+//
+// Links to the other stores (amazonLinks[] - UK, CA, ...) get their price and availability
+// refreshed too, one GetItems batch per store.
+//
+// Posts also get amazonIssueCount so Studio can list posts with dead links.
+// Runs daily (AMAZON_REFRESH_CRON) and from the admin API.
+
+import { getAmazonItems, extractAsin, isAmazonConfigured, getMarketplaces } from './amazon.js'
+import { getSanityClient } from './sanity.js'
+
+let settings = {
+  priceDropPercent: 20
+}
+
+// Last refresh (for the admin API)
+let lastRefresh = null
+
+// ============================================================
+// INITIALIZATION
+// ============================================================
+
+/**
+ * @param {Object} options - { priceDropPercent }
+ */
+export function initAmazonRefresh(options = {}) {
+  settings = {
+    priceDropPercent: options.priceDropPercent || settings.priceDropPercent
+  }
+}
+
+// ============================================================
+// HELPER FUNCTIONS
+// ============================================================
+
+function getProductAsin(product) {
+  return product.amazonAsin || extractAsin(product.amazonUrl)
+}
+
+/**
+ * Work out the new Amazon fields for a product
+ * @returns {Object} - Fields to set on the featured product
+ */
+function getProductUpdate(product, item) {
+  const now = new Date().toISOString()
+
+  if (!item.available) {
+    return {
+      amazonAsin: item.asin,
+      amazonAvailability: item.availability,
+      amazonFlag: 'unavailable',
+      amazonCheckedAt: now
+    }
+  }
+
+  const previousAmount = product.amazonPriceAmount ?? null
+  const dropPercent = previousAmount && item.priceAmount !== null
+    ? ((previousAmount - item.priceAmount) / previousAmount) * 100
+    : 0
+  const newDrop = dropPercent >= settings.priceDropPercent
+  const belowAlert = product.amazonPriceAlert && item.priceAmount !== null && item.priceAmount <= product.amazonPriceAlert
+  // A drop stays flagged until the price goes back up
+  const stillDropped = product.amazonFlag === 'price-drop' && item.priceAmount !== null && item.priceAmount <= previousAmount
+  const priceDrop = newDrop || belowAlert || stillDropped
+
+  return {
+    amazonAsin: item.asin,
+    amazonPrice: item.price,
+    amazonPriceAmount: item.priceAmount,
+    amazonAvailability: item.availability,
+    amazonFlag: priceDrop ? 'price-drop' : null,
+    amazonPreviousPrice: newDrop ? (product.amazonPrice || null) : (priceDrop ? product.amazonPreviousPrice || null : null),
+    amazonCheckedAt: now
+  }
+}
+
+// ============================================================
+// MAIN
+// ============================================================
+
+/**
+ * Refresh price and availability for every Amazon product on published posts
+ * @returns {Promise<Object>} - { posts, asins, updated, unavailable, priceDrops, failed }
+ */
+export async function refreshAmazonProducts() {
+  const result = {
+    posts: 0,
+    asins: 0,
+    updated: 0,
+    unavailable: 0,
+    priceDrops: 0,
+    failed: 0,
+    flagged: [],
+    startedAt: new Date().toISOString(),
+    finishedAt: null
+  }
+
+  if (!isAmazonConfigured()) {
+    console.log('⚠️  Amazon PA-API not configured - skipping price refresh')
+    result.finishedAt = result.startedAt
+    return result
+  }
+
+  lastRefresh = result
+
+  try {
+    const client = getSanityClient()
+
+    // Published posts only - drafts get fresh data when they're created
+    const posts = await client.fetch(`*[_type == "blogPost" && !(_id in path("drafts.**")) && count(featuredProducts[defined(amazonUrl) || defined(amazonAsin)]) > 0] {
+      _id,
+      title,
+      "slug": slug.current,
+      featuredProducts
+    }`)
+
+    const asins = posts.flatMap(post => (post.featuredProducts || []).map(getProductAsin)).filter(Boolean)
+    result.posts = posts.length
+    result.asins = new Set(asins).size
+
+    console.log(`\n📦 Refreshing Amazon prices: ${result.asins} ASINs across ${result.posts} posts...`)
+
+    const items = await getAmazonItems(asins)
+
+    // Other stores: asin → item, per marketplace code
+    const storeItems = new Map()
+    for (const store of getMarketplaces().slice(1)) {
+      const storeAsins = posts.flatMap(post => (post.featuredProducts || [])
+        .flatMap(product => product.amazonLinks || [])
+        .filter(link => link.marketplace === store.code)
+        .map(link => link.asin))
+      if (storeAsins.length > 0) {
+        storeItems.set(store.code, await getAmazonItems(storeAsins, { marketplace: store.code }))
+      }
+    }
+
+    for (const post of posts) {
+      const updates = {}
+      let issueCount = 0
+
+      for (const product of post.featuredProducts || []) {
+        for (const link of product.amazonLinks || []) {
+          const item = storeItems.get(link.marketplace)?.get(link.asin)
+          if (!item || !link._key) continue
+
+          const linkPath = `featuredProducts[_key=="${product._key}"].amazonLinks[_key=="${link._key}"]`
+          updates[`${linkPath}.price`] = item.price
+          updates[`${linkPath}.available`] = item.available
+          updates[`${linkPath}.checkedAt`] = new Date().toISOString()
+        }
+
+        const asin = getProductAsin(product)
+        const item = asin && items.get(asin)
+        if (!item) {
+          if (product.amazonFlag === 'unavailable') issueCount++
+          continue
+        }
+
+        const update = getProductUpdate(product, item)
+        for (const [field, value] of Object.entries(update)) {
+          updates[`featuredProducts[_key=="${product._key}"].${field}`] = value
+        }
+        result.updated++
+
+        if (update.amazonFlag === 'unavailable') {
+          issueCount++
+          result.unavailable++
+          result.flagged.push({ postId: post._id, slug: post.slug, product: product.productName, asin, flag: 'unavailable' })
+        } else if (update.amazonFlag === 'price-drop') {
+          result.priceDrops++
+          result.flagged.push({ postId: post._id, slug: post.slug, product: product.productName, asin, flag: 'price-drop', price: update.amazonPrice, previousPrice: update.amazonPreviousPrice })
+        }
+      }
+
+      if (Object.keys(updates).length === 0) continue
+
+      try {
+        await client
+          .patch(post._id)
+          .set({ ...updates, amazonIssueCount: issueCount, amazonCheckedAt: new Date().toISOString() })
+          .commit()
+      } catch (error) {
+        console.log(`   ❌ Could not update "${post.title}": ${error.message}`)
+        result.failed++
+      }
+    }
+  } finally {
+    result.finishedAt = new Date().toISOString()
+  }
+
+  console.log(`   📦 Amazon refresh: ${result.updated} products checked, ${result.unavailable} unavailable, ${result.priceDrops} price drops`)
+  for (const flag of result.flagged) {
+    const detail = flag.flag === 'price-drop' ? ` (${flag.previousPrice || '?'} → ${flag.price})` : ''
+    console.log(`      ${flag.flag === 'unavailable' ? '❌' : '💸'} ${flag.product} [${flag.asin}] on /${flag.slug}${detail}`)
+  }
+
+  return result
+}
+
+export function getLastAmazonRefresh() {
+  return lastRefresh
+}
+
+export default {
+  initAmazonRefresh,
+  refreshAmazonProducts,
+  getLastAmazonRefresh
+}
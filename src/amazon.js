@@ -12,9 +12,21 @@
 //   })
 //   
 //   const result = await searchAmazonProduct("Farmacy Green Clean Cleansing Balm")
-//   // Returns: { asin, title, url, price, imageUrl, available }
+//   // Returns: { asin, title, url, price, imageUrl, available, matchScore }
+//
+//   const { match, alternatives } = await findAmazonMatch({ brand: 'Farmacy', name: 'Green Clean' })
+//   // Every result is scored on brand + title - match is null if none scores minMatchScore
+//
+// MARKETPLACES:
+//   US is the primary store. UK / CA are added by passing their associate tags:
+//     initAmazon({ ..., marketplaces: { UK: { partnerTag: 'kyndallames-21' }, CA: { partnerTag: 'kyndallames0c-20' } } })
+//   Each product then gets amazonLinks[] - one { marketplace, asin, url, price } per store -
+//   so the site can send readers to their local Amazon.
 
 import crypto from 'crypto'
+import { scoreProductMatch } from './matching.js'
+import { getCachedLookup, saveLookup, clearAmazonCache, getAmazonCacheStats } from './amazon-cache.js'
+import { acquireAmazonRequest, reportAmazonThrottled, reportAmazonSuccess, createThrottledError } from './amazon-rate-limit.js'
 
 // ============================================================
 // CONFIGURATION
@@ -27,32 +39,72 @@ let config = {
   marketplace: 'www.amazon.com',
   region: 'us-east-1',
   host: 'webservices.amazon.com',
+  minMatchScore: 0.6, // search results scoring below this aren't linked
+}
+
+// PA-API locales - https://webservices.amazon.com/paapi5/documentation/locale-reference.html
+export const MARKETPLACES = {
+  US: { marketplace: 'www.amazon.com', host: 'webservices.amazon.com', region: 'us-east-1', country: 'US' },
+  UK: { marketplace: 'www.amazon.co.uk', host: 'webservices.amazon.co.uk', region: 'eu-west-1', country: 'GB' },
+  CA: { marketplace: 'www.amazon.ca', host: 'webservices.amazon.ca', region: 'us-east-1', country: 'CA' },
 }
 
-// Simple in-memory cache to avoid repeated API calls
-const cache = new Map()
-const CACHE_TTL_MS = 24 * 60 * 60 * 1000 // 24 hours
+// Extra stores with their own associate tag (and optionally their own PA-API keys)
+// code → { code, marketplace, host, region, country, partnerTag, accessKey, secretKey }
+const extraMarketplaces = new Map()
+
+// Search results are scored against the extracted product (see findAmazonMatch)
+const SEARCH_ITEM_COUNT = 5
+const MAX_ALTERNATIVES = 3
+
+// Search results are cached (and persisted) by amazon-cache.js
 
-// Rate limiting: 1 request per second max
-let lastRequestTime = 0
-const MIN_REQUEST_INTERVAL_MS = 1100 // Slightly over 1 second to be safe
+// Rate limiting lives in amazon-rate-limit.js (token bucket per PA-API host + daily cap)
+// A 429 is retried a few times with exponential backoff + jitter before giving up
+const MAX_THROTTLE_RETRIES = 3
+const THROTTLE_RETRY_BASE_MS = 2000
 
 // ============================================================
 // INITIALIZATION
 // ============================================================
 
-export function initAmazon({ accessKey, secretKey, partnerTag, marketplace = 'www.amazon.com' }) {
+export function initAmazon({ accessKey, secretKey, partnerTag, marketplace = 'www.amazon.com', marketplaces = {}, minMatchScore }) {
   if (!accessKey || !secretKey) {
     console.log('   ⚠️  Amazon PA-API credentials not configured - auto-linking disabled')
     return false
   }
   
+  const primary = Object.entries(MARKETPLACES).find(([, m]) => m.marketplace === marketplace)
+  
   config.accessKey = accessKey
   config.secretKey = secretKey
   config.partnerTag = partnerTag || config.partnerTag
   config.marketplace = marketplace
+  config.minMatchScore = minMatchScore || config.minMatchScore
+  config.code = primary?.[0] || 'US'
+  config.country = primary?.[1].country || 'US'
+  if (primary) {
+    config.host = primary[1].host
+    config.region = primary[1].region
+  }
   
-  console.log(`   ✓ Amazon PA-API initialized (Partner Tag: ${config.partnerTag})`)
+  // Additional stores - only the ones with an associate tag
+  extraMarketplaces.clear()
+  for (const [code, options] of Object.entries(marketplaces)) {
+    if (!MARKETPLACES[code] || code === config.code || !options?.partnerTag) continue
+    
+    extraMarketplaces.set(code, {
+      code,
+      ...MARKETPLACES[code],
+      partnerTag: options.partnerTag,
+      // Associates accounts are per store - fall back to the primary keys if they're shared
+      accessKey: options.accessKey || accessKey,
+      secretKey: options.secretKey || secretKey
+    })
+  }
+  
+  const extra = extraMarketplaces.size > 0 ? `, + ${Array.from(extraMarketplaces.keys()).join(', ')}` : ''
+  console.log(`   ✓ Amazon PA-API initialized (Partner Tag: ${config.partnerTag}${extra})`)
   return true
 }
 
@@ -60,6 +112,23 @@ export function isAmazonConfigured() {
   return !!(config.accessKey && config.secretKey)
 }
 
+/**
+ * Every store we link to - primary first
+ * @returns {Array<Object>} - [{ code, marketplace, host, region, country, partnerTag, accessKey, secretKey }]
+ */
+export function getMarketplaces() {
+  return [{ ...config }, ...extraMarketplaces.values()]
+}
+
+function getMarketplace(code) {
+  if (!code || code === config.code) return config
+  return extraMarketplaces.get(code) || null
+}
+
+function getProductUrl(asin, store = config) {
+  return `https://${store.marketplace}/dp/${asin}?tag=${store.partnerTag}`
+}
+
 // ============================================================
 // AWS SIGNATURE V4 SIGNING (Required for PA-API)
 // ============================================================
@@ -80,25 +149,28 @@ function hash(data) {
   return crypto.createHash('sha256').update(data, 'utf8').digest('hex')
 }
 
-function signRequest(payload) {
+// operation: 'SearchItems' | 'GetItems', store: marketplace config (primary by default)
+function signRequest(payload, operation = 'SearchItems', store = config) {
   const now = new Date()
   const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '')
   const dateStamp = amzDate.slice(0, 8)
   
   const service = 'ProductAdvertisingAPI'
-  const endpoint = `https://${config.host}/paapi5/searchitems`
+  const path = `/paapi5/${operation.toLowerCase()}`
+  const target = `com.amazon.paapi5.v1.ProductAdvertisingAPIv1.${operation}`
+  const endpoint = `https://${store.host}${path}`
   const method = 'POST'
   const contentType = 'application/json; charset=UTF-8'
   
   // Create canonical request
-  const canonicalUri = '/paapi5/searchitems'
+  const canonicalUri = path
   const canonicalQuerystring = ''
   const canonicalHeaders = [
     `content-encoding:amz-1.0`,
     `content-type:${contentType}`,
-    `host:${config.host}`,
+    `host:${store.host}`,
     `x-amz-date:${amzDate}`,
-    `x-amz-target:com.amazon.paapi5.v1.ProductAdvertisingAPIv1.SearchItems`,
+    `x-amz-target:${target}`,
   ].join('\n') + '\n'
   
   const signedHeaders = 'content-encoding;content-type;host;x-amz-date;x-amz-target'
@@ -115,7 +187,7 @@ function signRequest(payload) {
   
   // Create string to sign
   const algorithm = 'AWS4-HMAC-SHA256'
-  const credentialScope = `${dateStamp}/${config.region}/${service}/aws4_request`
+  const credentialScope = `${dateStamp}/${store.region}/${service}/aws4_request`
   const stringToSign = [
     algorithm,
     amzDate,
@@ -124,20 +196,20 @@ function signRequest(payload) {
   ].join('\n')
   
   // Calculate signature
-  const signingKey = getSignatureKey(config.secretKey, dateStamp, config.region, service)
+  const signingKey = getSignatureKey(store.secretKey, dateStamp, store.region, service)
   const signature = crypto.createHmac('sha256', signingKey).update(stringToSign, 'utf8').digest('hex')
   
   // Create authorization header
-  const authorizationHeader = `${algorithm} Credential=${config.accessKey}/${credentialScope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  const authorizationHeader = `${algorithm} Credential=${store.accessKey}/${credentialScope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
   
   return {
     endpoint,
     headers: {
       'Content-Type': contentType,
       'Content-Encoding': 'amz-1.0',
-      'Host': config.host,
+      'Host': store.host,
       'X-Amz-Date': amzDate,
-      'X-Amz-Target': 'com.amazon.paapi5.v1.ProductAdvertisingAPIv1.SearchItems',
+      'X-Amz-Target': target,
       'Authorization': authorizationHeader,
     }
   }
@@ -147,43 +219,53 @@ function signRequest(payload) {
 // RATE LIMITING
 // ============================================================
 
-async function waitForRateLimit() {
-  const now = Date.now()
-  const timeSinceLastRequest = now - lastRequestTime
-  
-  if (timeSinceLastRequest < MIN_REQUEST_INTERVAL_MS) {
-    const waitTime = MIN_REQUEST_INTERVAL_MS - timeSinceLastRequest
-    await new Promise(resolve => setTimeout(resolve, waitTime))
+/**
+ * Send a signed PA-API request through the rate limiter
+ * @returns {Response} - Any response except 429
+ * @throws {Error} - error.throttled if Amazon kept answering 429 or the daily limit is used up
+ */
+async function sendAmazonRequest(payload, operation, store = config) {
+  for (let attempt = 0; ; attempt++) {
+    await acquireAmazonRequest(store.host)
+    
+    const { endpoint, headers } = signRequest(payload, operation, store)
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(payload)
+    })
+    
+    if (response.status !== 429) {
+      if (response.ok) reportAmazonSuccess(store.host)
+      return response
+    }
+    
+    reportAmazonThrottled(store.host)
+    if (attempt >= MAX_THROTTLE_RETRIES) {
+      throw createThrottledError(`Amazon ${operation} throttled (429 after ${attempt + 1} tries)`)
+    }
+    
+    const delay = THROTTLE_RETRY_BASE_MS * 2 ** attempt + Math.random() * THROTTLE_RETRY_BASE_MS
+    console.log(`      ⏳ Amazon throttled - retrying in ${(delay / 1000).toFixed(1)}s`)
+    await new Promise(resolve => setTimeout(resolve, delay))
   }
-  
-  lastRequestTime = Date.now()
 }
 
 // ============================================================
 // CACHE HELPERS
 // ============================================================
 
-function getCacheKey(searchTerm) {
-  return searchTerm.toLowerCase().trim()
+function getCacheKey(searchTerm, store = config) {
+  return `${store.code}:${searchTerm.toLowerCase().trim()}`
 }
 
-function getFromCache(searchTerm) {
-  const key = getCacheKey(searchTerm)
-  const cached = cache.get(key)
-  
-  if (cached && (Date.now() - cached.timestamp < CACHE_TTL_MS)) {
-    return cached.data
-  }
-  
-  return null
+function getFromCache(searchTerm, store = config) {
+  return getCachedLookup(getCacheKey(searchTerm, store))
 }
 
-function saveToCache(searchTerm, data) {
-  const key = getCacheKey(searchTerm)
-  cache.set(key, {
-    data,
-    timestamp: Date.now()
-  })
+// Only successful requests are cached - a failed request is retried next time
+function saveToCache(searchTerm, data, store = config) {
+  return saveLookup(getCacheKey(searchTerm, store), data)
 }
 
 // ============================================================
@@ -191,26 +273,19 @@ function saveToCache(searchTerm, data) {
 // ============================================================
 
 /**
- * Search Amazon for a product and return affiliate link
- * @param {string} searchTerm - Product name to search (e.g., "Farmacy Green Clean")
- * @param {string} category - Optional category hint (e.g., "Beauty")
- * @returns {Object|null} - Product info with affiliate URL, or null if not found
+ * Run SearchItems and return every result as a candidate
+ * Cached per store + search term (an empty array means "no results")
+ * @returns {Array|null} - Candidates, or null if the request failed
+ * @throws {Error} - error.throttled when PA-API throttled us (retry later - nothing is cached)
  */
-export async function searchAmazonProduct(searchTerm, category = 'Beauty') {
-  if (!isAmazonConfigured()) {
-    return null
-  }
-  
+async function searchAmazonCandidates(searchTerm, category, store) {
   // Check cache first
-  const cached = getFromCache(searchTerm)
+  const cached = await getFromCache(searchTerm, store)
   if (cached !== null) {
-    console.log(`      📦 Amazon (cached): ${cached ? cached.title?.substring(0, 40) + '...' : 'Not found'}`)
+    console.log(`      📦 Amazon (cached): ${cached.length} results for "${searchTerm}"`)
     return cached
   }
   
-  // Rate limit
-  await waitForRateLimit()
-  
   const payload = {
     "Keywords": searchTerm,
     "Resources": [
@@ -221,73 +296,219 @@ export async function searchAmazonProduct(searchTerm, category = 'Beauty') {
       "Offers.Listings.Availability.Type"
     ],
     "SearchIndex": category,
-    "ItemCount": 3,
-    "PartnerTag": config.partnerTag,
+    "ItemCount": SEARCH_ITEM_COUNT,
+    "PartnerTag": store.partnerTag,
     "PartnerType": "Associates",
-    "Marketplace": config.marketplace
+    "Marketplace": store.marketplace
   }
   
   try {
-    const { endpoint, headers } = signRequest(payload)
+    console.log(`      🔍 Searching Amazon${store === config ? '' : ` ${store.code}`} for: "${searchTerm}"`)
     
-    console.log(`      🔍 Searching Amazon for: "${searchTerm}"`)
-    
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(payload)
-    })
+    const response = await sendAmazonRequest(payload, 'SearchItems', store)
     
     if (!response.ok) {
       const errorText = await response.text()
       console.log(`      ❌ Amazon API error: ${response.status}`)
       
       // Handle specific errors
-      if (response.status === 429) {
-        console.log('      ⚠️  Rate limited - will retry later')
-      } else if (response.status === 401 || response.status === 403) {
+      if (response.status === 401 || response.status === 403) {
         console.log('      ⚠️  Authentication failed - check API credentials')
       }
       
-      saveToCache(searchTerm, null)
       return null
     }
     
     const data = await response.json()
     
-    // Check if we got results
-    if (!data.SearchResult?.Items?.length) {
-      console.log(`      ℹ️  No Amazon results for: "${searchTerm}"`)
-      saveToCache(searchTerm, null)
-      return null
-    }
-    
-    // Get the best match (first result)
-    const item = data.SearchResult.Items[0]
-    
-    const result = {
+    const candidates = (data.SearchResult?.Items || []).map(item => ({
       asin: item.ASIN,
       title: item.ItemInfo?.Title?.DisplayValue || searchTerm,
-      url: `https://www.amazon.com/dp/${item.ASIN}?tag=${config.partnerTag}`,
+      marketplace: store.code,
+      url: getProductUrl(item.ASIN, store),
       detailPageUrl: item.DetailPageURL,
       price: item.Offers?.Listings?.[0]?.Price?.DisplayAmount || null,
+      priceAmount: item.Offers?.Listings?.[0]?.Price?.Amount ?? null,
       imageUrl: item.Images?.Primary?.Large?.URL || null,
-      brand: item.ItemInfo?.ByLineInfo?.Brand?.DisplayValue || null,
+      brand: item.ItemInfo?.ByLineInfo?.Brand?.DisplayValue ||
+        item.ItemInfo?.ByLineInfo?.Manufacturer?.DisplayValue || null,
       available: item.Offers?.Listings?.[0]?.Availability?.Type === 'Now',
-    }
-    
-    console.log(`      ✓ Found: ${result.title.substring(0, 50)}... (${result.price || 'Price N/A'})`)
+    }))
     
-    saveToCache(searchTerm, result)
-    return result
+    await saveToCache(searchTerm, candidates, store)
+    return candidates
     
   } catch (error) {
+    if (error.throttled) throw error
     console.log(`      ❌ Amazon search error: ${error.message}`)
-    saveToCache(searchTerm, null)
     return null
   }
 }
 
+function toAlternative(candidate) {
+  return {
+    asin: candidate.asin,
+    title: candidate.title,
+    brand: candidate.brand,
+    url: candidate.url,
+    price: candidate.price,
+    matchScore: candidate.matchScore
+  }
+}
+
+/**
+ * Search Amazon and pick the result that actually matches the product
+ * Every result is scored on brand (ByLineInfo) + title tokens - the first result
+ * is often a different shade, a bundle or a knockoff seller.
+ * @param {Object} product - { brand, name, searchQuery }
+ * @param {Object} options - { category, marketplace, minScore }
+ * @returns {Object} - { match, alternatives, throttled }
+ *   match: best result scoring >= minScore (with matchScore), or null
+ *   alternatives: next best results (top 3) so a reviewer can pick another one
+ *   throttled: true if PA-API refused the search - no answer yet, try again later
+ */
+export async function findAmazonMatch(product, { category = 'Beauty', marketplace, minScore = config.minMatchScore } = {}) {
+  const store = getMarketplace(marketplace)
+  const searchQuery = getSearchQuery(product)
+  if (!isAmazonConfigured() || !store || !searchQuery) {
+    return { match: null, alternatives: [] }
+  }
+  
+  let candidates
+  try {
+    candidates = await searchAmazonCandidates(searchQuery, category, store)
+  } catch (error) {
+    if (!error.throttled) throw error
+    console.log(`      ⏳ ${error.message} - "${searchQuery}" will be retried`)
+    return { match: null, alternatives: [], throttled: true }
+  }
+  
+  if (!candidates?.length) {
+    if (candidates) console.log(`      ℹ️  No Amazon results for: "${searchQuery}"`)
+    return { match: null, alternatives: [] }
+  }
+  
+  const expected = product.name
+    ? { brand: product.brand !== 'Unknown' ? product.brand : null, name: product.name }
+    : { brand: null, name: searchQuery }
+  
+  const scored = candidates
+    .map(candidate => ({ ...candidate, matchScore: scoreProductMatch(expected, candidate) }))
+    .sort((a, b) => b.matchScore - a.matchScore)
+  
+  const [best] = scored
+  // Results sharing nothing with the product aren't worth offering as alternatives
+  const relevant = scored.filter(candidate => candidate.matchScore > 0)
+  
+  if (best.matchScore < minScore) {
+    console.log(`      ⚠️  No confident Amazon match for "${searchQuery}" (best ${best.matchScore}: ${best.title.substring(0, 40)}...)`)
+    return { match: null, alternatives: relevant.slice(0, MAX_ALTERNATIVES).map(toAlternative) }
+  }
+  
+  console.log(`      ✓ Found: ${best.title.substring(0, 50)}... (${best.price || 'Price N/A'}, match ${best.matchScore})`)
+  return { match: best, alternatives: relevant.slice(1, MAX_ALTERNATIVES + 1).map(toAlternative) }
+}
+
+/**
+ * Search Amazon for a product and return affiliate link
+ * @param {string} searchTerm - Product name to search (e.g., "Farmacy Green Clean")
+ * @param {string} category - Optional category hint (e.g., "Beauty")
+ * @param {Object} options - { marketplace: 'US' | 'UK' | 'CA' (default: primary), brand, name }
+ * @returns {Object|null} - Best matching product with affiliate URL, or null if nothing matched well enough
+ */
+export async function searchAmazonProduct(searchTerm, category = 'Beauty', { marketplace, brand, name } = {}) {
+  const { match } = await findAmazonMatch({ searchQuery: searchTerm, brand, name }, { category, marketplace })
+  return match
+}
+
+// ============================================================
+// GET ITEMS (price + availability refresh)
+// ============================================================
+
+const GET_ITEMS_BATCH_SIZE = 10 // PA-API maximum per GetItems request
+
+/**
+ * Look up current price and availability for known ASINs
+ * Batches 10 ASINs per GetItems request
+ * @param {Array<string>} asins - ASINs to look up
+ * @param {Object} options - { marketplace: 'US' | 'UK' | 'CA' (default: primary) }
+ * @returns {Map} - asin → { asin, title, price, priceAmount, currency, availability, available, found }
+ *   ASINs Amazon no longer returns come back with found: false
+ *   ASINs in a batch that failed (network, throttling) are left out - try again next time
+ */
+export async function getAmazonItems(asins, { marketplace } = {}) {
+  const results = new Map()
+  const store = getMarketplace(marketplace)
+  if (!isAmazonConfigured() || !store) return results
+  
+  const uniqueAsins = [...new Set(asins.filter(Boolean))]
+  
+  for (let i = 0; i < uniqueAsins.length; i += GET_ITEMS_BATCH_SIZE) {
+    const batch = uniqueAsins.slice(i, i + GET_ITEMS_BATCH_SIZE)
+    
+    const payload = {
+      "ItemIds": batch,
+      "ItemIdType": "ASIN",
+      "Resources": [
+        "ItemInfo.Title",
+        "Offers.Listings.Price",
+        "Offers.Listings.Availability.Type"
+      ],
+      "PartnerTag": store.partnerTag,
+      "PartnerType": "Associates",
+      "Marketplace": store.marketplace
+    }
+    
+    try {
+      const response = await sendAmazonRequest(payload, 'GetItems', store)
+      
+      if (!response.ok) {
+        console.log(`      ❌ Amazon GetItems error: ${response.status}`)
+        continue
+      }
+      
+      const data = await response.json()
+      
+      for (const item of data.ItemsResult?.Items || []) {
+        const listing = item.Offers?.Listings?.[0]
+        const availability = listing?.Availability?.Type || (listing ? 'Unknown' : 'NoOffers')
+        
+        results.set(item.ASIN, {
+          asin: item.ASIN,
+          url: getProductUrl(item.ASIN, store),
+          title: item.ItemInfo?.Title?.DisplayValue || null,
+          price: listing?.Price?.DisplayAmount || null,
+          priceAmount: listing?.Price?.Amount ?? null,
+          currency: listing?.Price?.Currency || null,
+          availability,
+          available: availability === 'Now',
+          found: true
+        })
+      }
+      
+      // Amazon reports removed/invalid ASINs as errors instead of items
+      for (const asin of batch) {
+        if (!results.has(asin)) {
+          results.set(asin, { asin, url: null, title: null, price: null, priceAmount: null, currency: null, availability: 'NotFound', available: false, found: false })
+        }
+      }
+      
+    } catch (error) {
+      console.log(`      ❌ Amazon GetItems error: ${error.message}`)
+    }
+  }
+  
+  return results
+}
+
+/**
+ * Pull the ASIN out of an Amazon product URL (/dp/ASIN or /gp/product/ASIN)
+ */
+export function extractAsin(url) {
+  const match = (url || '').match(/\/(?:dp|gp\/product|gp\/aw\/d)\/([A-Z0-9]{10})(?:[/?#]|$)/i)
+  return match ? match[1].toUpperCase() : null
+}
+
 // ============================================================
 // BATCH ENRICHMENT FUNCTION
 // ============================================================
@@ -313,6 +534,8 @@ export async function enrichProductsWithAmazon(products, options = {}) {
   console.log(`   🛒 Searching Amazon for ALL ${products.length} products...`)
   
   let enriched = 0
+  let rejected = 0
+  let throttled = 0
   let alreadyHadAmazon = 0
   
   for (let i = 0; i < products.length && i < maxProducts; i++) {
@@ -324,35 +547,120 @@ export async function enrichProductsWithAmazon(products, options = {}) {
       continue
     }
     
-    // Build search query
-    const searchQuery = product.searchQuery || 
-      `${product.brand !== 'Unknown' ? product.brand + ' ' : ''}${product.name}`.trim()
-    
-    if (!searchQuery || searchQuery === 'Unknown' || searchQuery.length < 3) {
+    if (!getSearchQuery(product)) {
       continue
     }
     
     // Search Amazon (even if product has ShopMy - we want BOTH)
-    const amazonResult = await searchAmazonProduct(searchQuery, category)
+    const { match: amazonResult, alternatives, throttled: wasThrottled } = await findAmazonMatch(product, { category })
+    
+    // Throttled isn't "not on Amazon" - leave it for the retry (see claude.js enrichProducts)
+    product.amazonThrottled = !!wasThrottled
+    if (wasThrottled) {
+      throttled++
+      continue
+    }
+    
+    // Runner-ups (or the rejected results) - one click for the reviewer to swap in
+    product.amazonAlternatives = alternatives
     
     if (amazonResult) {
       product.amazonUrl = amazonResult.url
       product.amazonAsin = amazonResult.asin
       product.amazonPrice = amazonResult.price
+      product.amazonPriceAmount = amazonResult.priceAmount
       product.amazonTitle = amazonResult.title
       product.amazonImageUrl = amazonResult.imageUrl
+      product.amazonMatchScore = amazonResult.matchScore
       enriched++
+    } else if (alternatives.length > 0) {
+      rejected++
     }
   }
   
+  // Same product in the other stores (UK, CA, ...)
+  const localized = await addMarketplaceLinks(products.slice(0, maxProducts), category)
+  
   console.log(`   ✓ Amazon enrichment complete:`)
   console.log(`      - ${enriched} new Amazon links found`)
+  if (rejected > 0) {
+    console.log(`      - ${rejected} searches rejected as poor matches (alternatives saved for review)`)
+  }
+  if (throttled > 0) {
+    console.log(`      - ${throttled} searches throttled by PA-API (will retry)`)
+  }
   console.log(`      - ${alreadyHadAmazon} already had Amazon links`)
+  if (extraMarketplaces.size > 0) {
+    console.log(`      - ${localized} links in other stores (${Array.from(extraMarketplaces.keys()).join(', ')})`)
+  }
   console.log(`      - Products now have: ShopMy + Amazon where available`)
   
   return products
 }
 
+function getSearchQuery(product) {
+  const searchQuery = product.searchQuery ||
+    `${product.brand !== 'Unknown' ? product.brand + ' ' : ''}${product.name}`.trim()
+  
+  if (!searchQuery || searchQuery === 'Unknown' || searchQuery.length < 3) return null
+  return searchQuery
+}
+
+function toAmazonLink(store, item, matchedBy) {
+  return {
+    marketplace: store.code,
+    country: store.country,
+    asin: item.asin,
+    url: item.url,
+    price: item.price || null,
+    available: item.available ?? null,
+    matchedBy
+  }
+}
+
+/**
+ * Build product.amazonLinks[] - one entry per store the product was found in
+ * The same ASIN is usually sold in every store, so each store gets one GetItems
+ * batch first and only falls back to searching for products it doesn't carry.
+ * @returns {Promise<number>} - Links found in the extra stores
+ */
+async function addMarketplaceLinks(products, category) {
+  let found = 0
+  
+  for (const product of products) {
+    const asin = product.amazonAsin || extractAsin(product.amazonUrl)
+    product.amazonLinks = asin
+      ? [toAmazonLink(config, { asin, url: product.amazonUrl, price: product.amazonPrice, available: null }, 'primary')]
+      : []
+  }
+  
+  for (const store of extraMarketplaces.values()) {
+    const asins = products.map(p => p.amazonLinks[0]?.asin).filter(Boolean)
+    const items = await getAmazonItems(asins, { marketplace: store.code })
+    
+    for (const product of products) {
+      const asin = product.amazonLinks[0]?.asin
+      const item = asin && items.get(asin)
+      
+      if (item?.found) {
+        product.amazonLinks.push(toAmazonLink(store, item, 'asin'))
+        found++
+        continue
+      }
+      
+      const { match: result, throttled } = await findAmazonMatch(product, { category, marketplace: store.code })
+      if (throttled) {
+        product.amazonThrottled = true
+      } else if (result) {
+        product.amazonLinks.push(toAmazonLink(store, result, 'search'))
+        found++
+      }
+    }
+  }
+  
+  return found
+}
+
 // ============================================================
 // UTILITY FUNCTIONS
 // ============================================================
@@ -364,60 +672,22 @@ export async function enrichProductsWithAmazon(products, options = {}) {
  */
 export function getAmazonSearchUrl(searchTerm) {
   const encoded = encodeURIComponent(searchTerm)
-  return `https://www.amazon.com/s?k=${encoded}&tag=${config.partnerTag}`
-}
-
-/**
- * Add affiliate tag to existing Amazon URL
- * @param {string} url - Amazon product URL
- * @returns {string} - URL with affiliate tag
- */
-export function addAffiliateTag(url) {
-  if (!url) return url
-  
-  try {
-    // Handle amzn.to short links - can't modify
-    if (url.includes('amzn.to')) {
-      return url
-    }
-    
-    const urlObj = new URL(url)
-    
-    // Check if tag already exists
-    if (urlObj.searchParams.has('tag')) {
-      return url
-    }
-    
-    // Add the associate tag
-    urlObj.searchParams.set('tag', config.partnerTag)
-    return urlObj.toString()
-    
-  } catch {
-    // Fallback: simple string append
-    if (url.includes('?')) {
-      return `${url}&tag=${config.partnerTag}`
-    } else {
-      return `${url}?tag=${config.partnerTag}`
-    }
-  }
+  return `https://${config.marketplace}/s?k=${encoded}&tag=${config.partnerTag}`
 }
 
 /**
  * Clear the cache (useful for testing)
  */
-export function clearCache() {
-  cache.clear()
+export async function clearCache() {
+  await clearAmazonCache()
   console.log('   🧹 Amazon cache cleared')
 }
 
 /**
- * Get cache stats
+ * Get cache stats - { backend, size, hits, misses, negativeHits, errors, hitRate, missRate }
  */
 export function getCacheStats() {
-  return {
-    size: cache.size,
-    entries: Array.from(cache.keys())
-  }
+  return getAmazonCacheStats()
 }
 
 // ============================================================
@@ -425,12 +695,16 @@ export function getCacheStats() {
 // ============================================================
 
 export default {
+  MARKETPLACES,
   initAmazon,
   isAmazonConfigured,
+  getMarketplaces,
+  findAmazonMatch,
   searchAmazonProduct,
+  getAmazonItems,
+  extractAsin,
   enrichProductsWithAmazon,
   getAmazonSearchUrl,
-  addAffiliateTag,
   clearCache,
   getCacheStats
 }
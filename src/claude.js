@@ -8,19 +8,23 @@
 // - Uses centralized brands module (fetches from Sanity)
 // - Proper handling of trailing dashes in product names
 
-import Anthropic from '@anthropic-ai/sdk'
 import { getBrands, initBrands } from './brands.js'
 import { enrichProductsWithAmazon, isAmazonConfigured } from './amazon.js'
-
-let client = null
-let amazonAssociateTag = 'kyndallames09-20' // Default tag
-
-export function initClaude(apiKey, associateTag, sanityConfig = null) {
-  client = new Anthropic({ apiKey })
-  if (associateTag) {
-    amazonAssociateTag = associateTag
-  }
-  
+import { enrichProductsWithShopMy, autoCreateShopMyLinks, isShopMyConfigured } from './shopmy.js'
+import { scoreProductMatch } from './matching.js'
+import { normalizeLink } from './links.js'
+import { getPreferredLink, loadLinkPriority } from './link-priority.js'
+import { requestStructured, ANALYSIS_SCHEMA, QUICK_ANSWER_REVIEW_SCHEMA } from './schema.js'
+import { isLlmConfigured } from './llm.js'
+import { renderPrompt } from './prompts.js'
+import { getStyleContext } from './style-guide.js'
+import { getPromptAvoidRules } from './edit-feedback.js'
+
+// Keep long transcripts from crowding out the rest of the prompt
+const MAX_TRANSCRIPT_CHARS = 15000
+
+// The Anthropic client, models and retries live in llm.js (initLLM)
+export function initClaude(sanityConfig = null) {
   // Initialize brands module with Sanity config if provided
   if (sanityConfig) {
     initBrands(sanityConfig.projectId, sanityConfig.dataset, sanityConfig.token)
@@ -28,132 +32,52 @@ export function initClaude(apiKey, associateTag, sanityConfig = null) {
 }
 
 export async function analyzeVideoContent(video) {
-  if (!client) throw new Error('Claude client not initialized')
+  if (!isLlmConfigured()) throw new Error('Claude client not initialized')
 
   console.log(`   Analyzing: "${video.title}"`)
   console.log(`   Description length: ${video.description?.length || 0} chars`)
 
   // Extract products from description FIRST
-  let descriptionProducts = await extractProductsFromDescription(video.description || '')
+  const descriptionProducts = await extractProductsFromDescription(video.description || '')
   console.log(`   Found ${descriptionProducts.length} products in description`)
   
-  // Enrich products with Amazon links (for those without ShopMy links)
-  if (isAmazonConfigured() && descriptionProducts.length > 0) {
-    descriptionProducts = await enrichProductsWithAmazon(descriptionProducts)
-  }
-  
-  if (descriptionProducts.length > 0) {
-    descriptionProducts.forEach(p => {
-      console.log(`      - ${p.brand} ${p.name}`)
-      if (p.shopmyUrl) console.log(`        ShopMy: ${p.shopmyUrl}`)
-      if (p.amazonUrl) console.log(`        Amazon: ${p.amazonUrl}`)
-    })
+  // Transcript (YouTube captions) - lets Claude find products mentioned verbally
+  const transcript = video.transcript?.text
+    ? video.transcript.text.substring(0, MAX_TRANSCRIPT_CHARS)
+    : null
+  if (transcript) {
+    console.log(`   Transcript: ${video.transcript.text.length} chars (${video.transcript.source})`)
   }
 
-  const prompt = `You are analyzing a YouTube video to create a GEO-optimized blog post for Kyndall Ames, a beauty/lifestyle content creator.
-
-VIDEO TITLE: ${video.title}
-
-VIDEO DESCRIPTION:
-${video.description || 'No description'}
-
-VIDEO TAGS: ${video.tags?.join(', ') || 'No tags'}
-
-PRODUCTS ALREADY EXTRACTED FROM DESCRIPTION (DO NOT MODIFY THESE):
-${descriptionProducts.length > 0 ? JSON.stringify(descriptionProducts, null, 2) : 'None found'}
-
-YOUR TASK:
-1. Generate a blog post about this video
-2. Suggest SEO metadata
-3. Determine the category
-4. Generate GEO (Generative Engine Optimization) content sections
-
-NOTE: Products have already been extracted from the description. Do NOT add or modify products.
-
-CRITICAL FORMATTING RULES:
-- ALWAYS include a space BEFORE and AFTER any formatting change (bold, italic, links)
-- Example WRONG: "I love<strong>this product</strong>so much"
-- Example RIGHT: "I love <strong>this product</strong> so much"
-- Example WRONG: "Check out[PRODUCT_LINK:Serum]for glowing skin"
-- Example RIGHT: "Check out [PRODUCT_LINK:Serum] for glowing skin"
-- This applies to ALL inline formatting - never let formatted text touch unformatted text
-
-VOICE & TONE:
-- Write like Kyndall - a beauty influencer talking to a friend
-- Use "you" and "your" freely - make it personal
-- Casual phrases are okay: "here's the deal", "spoiler alert", "game-changer", "not gonna lie"
-- Short paragraphs (2-4 sentences max)
-- Be specific and actionable but SOUND like a person, not a textbook
+  // Kyndall's style guide + her closest finished posts as examples
+  const style = await getStyleContext({
+    category: guessCategory(video.title + ' ' + (video.description || '')),
+    title: video.title,
+    videoId: video.id
+  })
 
-Respond with ONLY valid JSON (no markdown, no backticks):
-{
-  "category": "makeup|skincare|fashion|lifestyle|travel",
-  "blogTitle": "Engaging blog title (50-60 chars)",
-  "blogExcerpt": "Brief compelling summary (150-160 chars)",
-  "blogContent": "Full blog post (200-400 words) with [PRODUCT_LINK:Product Name] placeholders where products should be linked. REMEMBER: spaces around ALL formatting!",
-  "seoTitle": "SEO optimized title (50-60 chars)",
-  "seoDescription": "Meta description for search engines (150-160 chars)",
-  "suggestedTags": ["tag1", "tag2", "tag3", "tag4", "tag5"],
-  
-  "quickAnswer": "2-3 sentence TL;DR that directly answers the main question. Be specific with product names and techniques. 150-300 characters ideal. This appears in a highlighted box at the top of the post for AI engines to extract.",
-  
-  "keyTakeaways": [
-    { "icon": "✨", "point": "First key takeaway - be specific and actionable" },
-    { "icon": "💧", "point": "Second key takeaway" },
-    { "icon": "☀️", "point": "Third key takeaway" },
-    { "icon": "⏰", "point": "Fourth key takeaway (optional)" }
-  ],
-  
-  "expertTips": [
-    {
-      "title": "Tip Title (short, catchy)",
-      "description": "2-3 sentences explaining the tip",
-      "proTip": "Optional one-liner insider advice"
-    },
-    {
-      "title": "Second Tip Title",
-      "description": "Explanation of second tip",
-      "proTip": null
-    }
-  ],
-  
-  "faqSection": [
-    { "question": "Common question viewers might ask?", "answer": "Helpful, conversational answer in 2-3 sentences." },
-    { "question": "Another relevant question?", "answer": "Another helpful answer." },
-    { "question": "Third question?", "answer": "Third answer." },
-    { "question": "Fourth question?", "answer": "Fourth answer." },
-    { "question": "Fifth question?", "answer": "Fifth answer." }
-  ],
-  
-  "kyndallsTake": {
-    "headline": "Kyndall's Take",
-    "content": "Personal, authentic 2-4 sentence perspective. Use first person. Be real about what you love or have mixed feelings about. This is where personality shines through.",
-    "mood": "love|recommend|mixed|caution|skip"
-  }
-}`
+  // Prompt template from Sanity (promptTemplate "analysis") or the built-in default
+  const { prompt, version: promptVersion } = await renderPrompt('analysis', {
+    platformName: getPlatformName(video.platform),
+    title: video.title,
+    description: video.description || 'No description',
+    tags: video.tags?.join(', ') || 'No tags',
+    transcript,
+    descriptionProducts: descriptionProducts.length > 0 ? JSON.stringify(descriptionProducts, null, 2) : 'None found',
+    styleGuide: style.styleGuide,
+    examples: style.examples,
+    // Corrections Kyndall keeps making (EDIT_FEEDBACK_PROMPT_RULES)
+    avoidRules: await getPromptAvoidRules()
+  })
 
   try {
-    const response = await client.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 4000,
-      messages: [{ role: 'user', content: prompt }]
+    // Validated against ANALYSIS_SCHEMA (one repair request if it doesn't match)
+    const analysis = await requestStructured({
+      task: 'analysis',
+      name: 'analysis',
+      schema: ANALYSIS_SCHEMA,
+      prompt
     })
-
-    const text = response.content[0].text
-    
-    // Clean up response - remove markdown code blocks if present
-    let cleanText = text
-      .replace(/```json\s*/gi, '')
-      .replace(/```\s*/gi, '')
-      .trim()
-    
-    // Try to extract JSON object
-    const jsonMatch = cleanText.match(/\{[\s\S]*\}/)
-    if (jsonMatch) {
-      cleanText = jsonMatch[0]
-    }
-
-    const analysis = JSON.parse(cleanText)
     
     // Fix any spacing issues around formatting (safety net)
     if (analysis.blogContent) {
@@ -161,14 +85,18 @@ Respond with ONLY valid JSON (no markdown, no backticks):
     }
     
     // Use the products we already extracted - don't trust Claude's extraction
-    analysis.products = descriptionProducts
+    // (transcript-only products are the exception - they're flagged with source: "transcript")
+    const transcriptProducts = transcript
+      ? await buildTranscriptProducts(analysis.transcriptProducts, descriptionProducts)
+      : []
+    delete analysis.transcriptProducts
     
-    // CRITICAL: Replace [PRODUCT_LINK:...] placeholders with actual HTML links
-    if (analysis.blogContent && descriptionProducts.length > 0) {
-      analysis.blogContent = replaceProductLinkPlaceholders(analysis.blogContent, descriptionProducts)
-    }
+    // Affiliate links are added separately (see enrichAnalysis)
+    analysis.products = [...descriptionProducts, ...transcriptProducts]
+    analysis.promptVersion = promptVersion
+    analysis.fewShotExampleIds = style.exampleIds
 
-    console.log(`   ✓ Analysis complete, ${analysis.products.length} products`)
+    console.log(`   ✓ Analysis complete, ${analysis.products.length} products (${transcriptProducts.length} from transcript)`)
     console.log(`   ✓ GEO content: quickAnswer, ${analysis.keyTakeaways?.length || 0} takeaways, ${analysis.expertTips?.length || 0} tips, ${analysis.faqSection?.length || 0} FAQs`)
     
     return analysis
@@ -177,7 +105,12 @@ Respond with ONLY valid JSON (no markdown, no backticks):
     console.error('   Claude analysis error:', error.message)
     
     // Return basic analysis with description products if Claude fails
+    // (flagged so the job queue can retry before settling for it)
     return {
+      fallback: true,
+      // Which fields Claude got wrong (schema validation) - shows up in the job's lastError
+      invalidFields: error.invalidFields || null,
+      promptVersion,
       category: guessCategory(video.title + ' ' + video.description),
       products: descriptionProducts,
       blogTitle: video.title.substring(0, 60),
@@ -196,12 +129,35 @@ Respond with ONLY valid JSON (no markdown, no backticks):
   }
 }
 
+/**
+ * Add affiliate links to an analysis' products and turn the
+ * [PRODUCT_LINK:...] placeholders in the blog content into real links
+ * @param {Object} analysis - Result of analyzeVideoContent
+ * @param {Object} options - { retryThrottled: throw if PA-API throttled any product search }
+ * @returns {Object} - The same analysis, with enriched products
+ */
+export async function enrichAnalysis(analysis, options = {}) {
+  const { products, shopmyAutoCreate } = await enrichProducts(analysis.products || [], options)
+  analysis.products = products
+  analysis.shopmyAutoCreate = shopmyAutoCreate
+  
+  // Brand / category link priority overrides from Sanity (cached)
+  await loadLinkPriority()
+  
+  // CRITICAL: Replace [PRODUCT_LINK:...] placeholders with actual HTML links
+  if (analysis.blogContent && products.length > 0) {
+    analysis.blogContent = replaceProductLinkPlaceholders(analysis.blogContent, products, analysis.category)
+  }
+  
+  return analysis
+}
+
 /**
  * Review a quick answer for SEO/GEO effectiveness
  * Returns score, feedback, and suggestion
  */
 export async function reviewQuickAnswer(quickAnswer, postTitle, category, excerpt) {
-  if (!client) throw new Error('Claude client not initialized')
+  if (!isLlmConfigured()) throw new Error('Claude client not initialized')
 
   const prompt = `You are an SEO and GEO (Generative Engine Optimization) expert reviewing a "Quick Answer" box for a beauty/lifestyle blog post.
 
@@ -237,19 +193,12 @@ The Quick Answer box appears at the top of blog posts and is critical for:
 Be encouraging but honest. The goal is to help, not criticize.`
 
   try {
-    const response = await client.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1000,
-      messages: [{ role: 'user', content: prompt }]
+    return await requestStructured({
+      task: 'quickAnswerReview',
+      name: 'quick answer review',
+      schema: QUICK_ANSWER_REVIEW_SCHEMA,
+      prompt
     })
-
-    const text = response.content[0].text
-    const jsonMatch = text.match(/\{[\s\S]*\}/)
-    if (!jsonMatch) {
-      throw new Error('Could not parse JSON from response')
-    }
-
-    return JSON.parse(jsonMatch[0])
   } catch (error) {
     console.error('   Quick answer review error:', error.message)
     return {
@@ -257,7 +206,8 @@ Be encouraging but honest. The goal is to help, not criticize.`
       feedback: 'Could not complete review',
       suggestion: null,
       strengths: [],
-      improvements: []
+      improvements: [],
+      failed: true
     }
   }
 }
@@ -266,6 +216,86 @@ Be encouraging but honest. The goal is to help, not criticize.`
 // HELPER FUNCTIONS
 // ============================================================
 
+function getPlatformName(platform) {
+  const names = { youtube: 'YouTube', tiktok: 'TikTok', instagram: 'Instagram Reels' }
+  return names[platform] || 'YouTube'
+}
+
+/**
+ * Add affiliate links to products: ShopMy library match, then Amazon,
+ * then (opt-in) ShopMy auto-create for anything still unmatched
+ */
+async function enrichProducts(products, { retryThrottled = false } = {}) {
+  // Match products against Kyndall's ShopMy link library (for those without ShopMy links)
+  if (isShopMyConfigured() && products.length > 0) {
+    products = await enrichProductsWithShopMy(products)
+  }
+  
+  // Enrich products with Amazon links (for those without ShopMy links)
+  if (isAmazonConfigured() && products.length > 0) {
+    products = await enrichProductsWithAmazon(products)
+    
+    // Throttled searches go back on the job queue - before any ShopMy link is created
+    const throttled = products.filter(p => p.amazonThrottled).length
+    if (throttled > 0 && retryThrottled) {
+      throw new Error(`Amazon throttled ${throttled} product searches`)
+    }
+  }
+  
+  // Create ShopMy links for anything still unmatched (opt-in, allowlisted brands only)
+  const shopmyAutoCreate = await autoCreateShopMyLinks(products)
+  
+  if (products.length > 0) {
+    products.forEach(p => {
+      console.log(`      - ${p.brand} ${p.name}${p.source === 'transcript' ? ' (transcript)' : ''}`)
+      if (p.shopmyUrl) console.log(`        ShopMy: ${p.shopmyUrl}`)
+      if (p.ltkUrl) console.log(`        LTK: ${p.ltkUrl}`)
+      if (p.amazonUrl) console.log(`        Amazon: ${p.amazonUrl}`)
+    })
+  }
+  
+  return { products, shopmyAutoCreate }
+}
+
+/**
+ * Turn Claude's transcriptProducts into product objects
+ * Drops anything that duplicates a description product
+ */
+async function buildTranscriptProducts(candidates, descriptionProducts) {
+  if (!Array.isArray(candidates) || candidates.length === 0) return []
+  
+  const beautyBrands = await getBrands()
+  const products = []
+  
+  for (const candidate of candidates) {
+    if (!candidate?.name) continue
+    
+    // Claude sometimes puts the brand in the name - run it through the same parser
+    const parsed = extractBrandAndName(`${candidate.brand || ''} ${candidate.name}`.trim(), beautyBrands)
+    const brand = parsed.brand !== 'Unknown' ? parsed.brand : (candidate.brand || 'Unknown')
+    const name = parsed.brand !== 'Unknown' ? parsed.name : candidate.name
+    
+    const isDuplicate = [...descriptionProducts, ...products].some(p =>
+      scoreProductMatch({ brand, name }, { brand: p.brand, title: p.name }) >= 0.75
+    )
+    if (isDuplicate) continue
+    
+    products.push({
+      brand,
+      name,
+      type: guessProductType(`${brand} ${name}`),
+      searchQuery: `${brand !== 'Unknown' ? brand + ' ' : ''}${name}`.trim(),
+      shopmyUrl: null,
+      amazonUrl: null,
+      originalUrl: null,
+      source: 'transcript',
+      transcriptQuote: candidate.quote || null
+    })
+  }
+  
+  return products
+}
+
 // Fix spacing issues around HTML formatting
 function fixFormattingSpaces(html) {
   if (!html) return html
@@ -285,9 +315,9 @@ function fixFormattingSpaces(html) {
 
 /**
  * Replace [PRODUCT_LINK:Product Name] placeholders with actual HTML links
- * Uses ShopMy URL (preferred) or Amazon URL as fallback
+ * Each product gets its preferred link for its brand / the post's category (see link-priority.js)
  */
-function replaceProductLinkPlaceholders(content, products) {
+function replaceProductLinkPlaceholders(content, products, category) {
   if (!content || !products || products.length === 0) return content
   
   // Find all [PRODUCT_LINK:...] patterns
@@ -339,13 +369,13 @@ function replaceProductLinkPlaceholders(content, products) {
     }
     
     if (matchedProduct) {
-      // Prefer ShopMy URL, fallback to Amazon
-      const url = matchedProduct.shopmyUrl || matchedProduct.amazonUrl
+      // First available link in the brand / category / default retailer order
+      const link = getPreferredLink(matchedProduct, { category })
       const displayName = productName.trim()
       
-      if (url) {
+      if (link) {
         // Create actual HTML link with target="_blank" and rel for security
-        return `<a href="${url}" target="_blank" rel="noopener noreferrer">${displayName}</a>`
+        return `<a href="${link.url}" target="_blank" rel="noopener noreferrer">${displayName}</a>`
       } else {
         // No URL found - return as bold text
         return `<strong>${displayName}</strong>`
@@ -486,17 +516,15 @@ async function extractProductsFromDescription(description) {
   // Get brands from Sanity (or fallback)
   const beautyBrands = await getBrands()
 
-  // Helper to add Amazon associate tag
-  function addAmazonAssociateTag(url) {
-    try {
-      if (url.includes('amzn.to')) return url
-      const urlObj = new URL(url)
-      if (!urlObj.searchParams.has('tag')) {
-        urlObj.searchParams.set('tag', amazonAssociateTag)
-      }
-      return urlObj.toString()
-    } catch {
-      return url.includes('?') ? `${url}&tag=${amazonAssociateTag}` : `${url}?tag=${amazonAssociateTag}`
+  // Expand short links, canonicalize Amazon URLs, apply the associate tag (see links.js)
+  async function classifyLink(url) {
+    const link = await normalizeLink(url)
+    return {
+      link,
+      shopmyUrl: link.type === 'shopmy' ? link.url : null,
+      amazonUrl: link.type.startsWith('amazon') ? link.url : null,
+      // rewardStyle links (rstyle.me) are LTK links too
+      ltkUrl: link.type === 'ltk' || link.type === 'rstyle' ? link.url : null
     }
   }
 
@@ -516,7 +544,7 @@ async function extractProductsFromDescription(description) {
     console.log(`      Found ${urls.length} URLs`)
     
     for (let i = 0; i < urls.length; i++) {
-      const url = urls[i].trim()
+      const rawUrl = urls[i].trim()
       let productText = textParts[i] || ''
       
       // Clean the product text:
@@ -539,14 +567,7 @@ async function extractProductsFromDescription(description) {
       const { brand, name } = extractBrandAndName(productText, beautyBrands)
       
       // Determine URL type
-      let shopmyUrl = null
-      let amazonUrl = null
-      
-      if (url.includes('shopmy.us') || url.includes('go.shopmy.us') || url.includes('shop-links.co')) {
-        shopmyUrl = url  // Preserve full URL
-      } else if (url.includes('amazon.com') || url.includes('amzn.to') || url.includes('amzn.com')) {
-        amazonUrl = addAmazonAssociateTag(url)
-      }
+      const { link, shopmyUrl, amazonUrl, ltkUrl } = await classifyLink(rawUrl)
       
       products.push({
         brand,
@@ -555,7 +576,9 @@ async function extractProductsFromDescription(description) {
         searchQuery: `${brand} ${name}`.trim(),
         shopmyUrl,
         amazonUrl,
-        originalUrl: url
+        ltkUrl,
+        originalUrl: link.url,
+        source: 'description'
       })
     }
   }
@@ -583,23 +606,14 @@ async function extractProductsFromDescription(description) {
           .replace(/^[•\-\*\d.]\s*/, '')
           .replace(/\s*[-–]\s*$/, '')
           .trim()
-        const url = urlMatch[2]
         
         if (productName.length < 3 || productName.toUpperCase() === productName) continue
         
         const { brand, name } = extractBrandAndName(productName, beautyBrands)
         
-        let shopmyUrl = null
-        let amazonUrl = null
-        
-        if (url.includes('shopmy.us') || url.includes('go.shopmy.us') || url.includes('shop-links.co')) {
-          shopmyUrl = url
-        } else if (url.includes('amazon.com') || url.includes('amzn.to') || url.includes('amzn.com')) {
-          amazonUrl = addAmazonAssociateTag(url)
-        }
-        
-        const affiliateTypes = ['shopmy', 'amazon', 'rstyle', 'liketoknow', 'ltk.app']
-        if (affiliateTypes.some(t => url.includes(t))) {
+        // Only affiliate links (ShopMy, Amazon, LTK, rstyle) count as products here
+        const { link, shopmyUrl, amazonUrl, ltkUrl } = await classifyLink(urlMatch[2])
+        if (link.type !== 'other') {
           products.push({
             brand,
             name,
@@ -607,7 +621,9 @@ async function extractProductsFromDescription(description) {
             searchQuery: `${brand} ${name}`.trim(),
             shopmyUrl,
             amazonUrl,
-            originalUrl: url
+            ltkUrl,
+            originalUrl: link.url,
+            source: 'description'
           })
         }
       }
@@ -627,5 +643,6 @@ async function extractProductsFromDescription(description) {
 export default {
   initClaude,
   analyzeVideoContent,
+  enrichAnalysis,
   reviewQuickAnswer
 }
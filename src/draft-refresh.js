@@ -0,0 +1,281 @@
+// kyndall-content-engine/src/draft-refresh.js
+// Refresh an existing blog post with a new analysis without clobbering Kyndall's edits
+//
+// When prompts improve, older posts can be re-run (admin "reprocess"). For each AI field
+// (title, content, FAQs, ...) the new value is only written if the field is still
+// untouched AI output:
+//
+//   - aiFieldHashes[field] matches the current value (set when the AI wrote it), or
+//   - the field is empty
+//   - htmlContent / content also count as untouched when they still match originalHtmlContent
+//     (posts created before aiFieldHashes existed)
+//
+// Fields listed in editedFields are never touched. Products Kyndall marked reviewed: true
+// are kept exactly as they are. Published posts are never changed directly - the refresh
+// lands in a draft so she can review it before publishing.
+
+import { getSanityClient, buildBlogPostDocument, AI_FIELDS, hashFieldValue, getAiFieldHashes, createDraftBlogPost } from './sanity.js'
+import { htmlToPortableText } from './portable-text.js'
+import { scoreProductMatch } from './matching.js'
+import { QUICK_ANSWER_REVIEW_FIELDS } from './quick-answer.js'
+import { loadLinkPriority } from './link-priority.js'
+import { getAiOriginal, AI_ORIGINAL_FIELDS } from './edit-feedback.js'
+
+const PRODUCT_MATCH_THRESHOLD = 0.75
+
+// ============================================================
+// HELPER FUNCTIONS
+// ============================================================
+
+function isEmpty(value) {
+  if (value === null || value === undefined || value === '') return true
+  if (Array.isArray(value)) return value.length === 0
+  if (typeof value === 'object' && 'showKyndallsTake' in value) return !value.content
+  return false
+}
+
+// Portable Text without keys (they're random) - for comparing against a regenerated copy
+function stripKeys(value) {
+  if (Array.isArray(value)) return value.map(stripKeys)
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([key]) => key !== '_key' && key !== 'productKey')
+      .map(([key, item]) => [key, stripKeys(item)]))
+  }
+  return value
+}
+
+function isSameProduct(a, b) {
+  return scoreProductMatch(
+    { brand: a.brand, name: a.productName || a.name },
+    { brand: b.brand, title: b.productName || b.name }
+  ) >= PRODUCT_MATCH_THRESHOLD
+}
+
+/**
+ * Decide whether a field still holds untouched AI output
+ * @returns {'untouched' | 'edited' | 'unknown'}
+ */
+function getFieldState(current, field) {
+  if ((current.editedFields || []).includes(field)) return 'edited'
+
+  const value = current[field]
+  if (isEmpty(value)) return 'untouched'
+
+  const hash = current.aiFieldHashes?.[field]
+  if (hash) return hashFieldValue(value) === hash ? 'untouched' : 'edited'
+
+  // Posts from before aiFieldHashes - the HTML original is all we have
+  if (current.originalHtmlContent) {
+    if (field === 'htmlContent') {
+      return value === current.originalHtmlContent ? 'untouched' : 'edited'
+    }
+    if (field === 'content') {
+      const original = htmlToPortableText(current.originalHtmlContent)
+      return JSON.stringify(stripKeys(value)) === JSON.stringify(stripKeys(original)) ? 'untouched' : 'edited'
+    }
+  }
+
+  return 'unknown'
+}
+
+function getLinkedProductKeys(content) {
+  const keys = new Set()
+  for (const block of content || []) {
+    for (const markDef of block.markDefs || []) {
+      if (markDef.productKey) keys.add(markDef.productKey)
+    }
+  }
+  return keys
+}
+
+/**
+ * Merge the new featured products into the existing ones
+ * - Matching products keep their _key (so rich text links still point at them)
+ * - Reviewed products are kept as-is, matched or not
+ * - Unreviewed products the new analysis dropped are removed unless the kept content links to them
+ */
+function mergeFeaturedProducts(existingProducts, freshProducts, linkedKeys) {
+  const keyMap = {}
+  const usedKeys = new Set()
+  const merged = []
+
+  for (const fresh of freshProducts) {
+    const match = existingProducts.find(existing => !usedKeys.has(existing._key) && isSameProduct(existing, fresh))
+
+    if (!match) {
+      merged.push(fresh)
+      continue
+    }
+
+    usedKeys.add(match._key)
+    keyMap[fresh._key] = match._key
+
+    if (match.reviewed) {
+      merged.push(match)
+    } else {
+      merged.push({ ...fresh, _key: match._key, productNote: match.productNote || null })
+    }
+  }
+
+  for (const existing of existingProducts) {
+    if (usedKeys.has(existing._key)) continue
+    if (existing.reviewed || linkedKeys.has(existing._key)) merged.push(existing)
+  }
+
+  return { merged, keyMap }
+}
+
+// Legacy productLinks array - reviewed entries win over regenerated ones
+function mergeProductLinks(existingLinks, freshLinks) {
+  const reviewed = existingLinks.filter(link => link.reviewed)
+  return [
+    ...freshLinks.map(fresh => reviewed.find(link => isSameProduct(link, fresh)) || fresh),
+    ...reviewed.filter(link => !freshLinks.some(fresh => isSameProduct(link, fresh)))
+  ].filter((link, index, all) => all.findIndex(other => other._key === link._key) === index)
+}
+
+function remapProductKeys(content, keyMap) {
+  return (content || []).map(block => ({
+    ...block,
+    markDefs: (block.markDefs || []).map(markDef =>
+      markDef.productKey && keyMap[markDef.productKey]
+        ? { ...markDef, productKey: keyMap[markDef.productKey] }
+        : markDef
+    )
+  }))
+}
+
+// ============================================================
+// MAIN
+// ============================================================
+
+/**
+ * Refresh the post for a video with a new analysis
+ * Creates a new draft if the video has no post yet
+ * @param {Object} content - { video, analysis, productLinks } (same as createDraftBlogPost)
+ * @returns {Object} - { post, created, updatedFields, preservedFields }
+ */
+export async function refreshBlogPost({ video, analysis, productLinks }) {
+  const client = getSanityClient()
+  const draftId = `drafts.blogPost-${video.id}`
+  const publishedId = `blogPost-${video.id}`
+
+  const [draft, published] = await Promise.all([
+    client.getDocument(draftId),
+    client.getDocument(publishedId)
+  ])
+  const current = draft || published
+
+  if (!current) {
+    const post = await createDraftBlogPost({ video, analysis, productLinks })
+    return { post, created: true, updatedFields: AI_FIELDS, preservedFields: [] }
+  }
+
+  console.log(`   🔄 Refreshing ${draft ? 'draft' : 'published post (as a new draft)'}: ${current._id}`)
+
+  await loadLinkPriority()
+  const fresh = buildBlogPostDocument({ video, analysis, productLinks })
+
+  // 1. Decide field by field
+  const updates = {}
+  const updatedFields = []
+  const preservedFields = []
+  const editedFields = new Set(current.editedFields || [])
+
+  for (const field of AI_FIELDS) {
+    const state = getFieldState(current, field)
+
+    if (state === 'untouched') {
+      updates[field] = fresh[field]
+      updatedFields.push(field)
+    } else {
+      preservedFields.push(field)
+      if (state === 'edited') editedFields.add(field)
+    }
+  }
+
+  // The rich text and its HTML source are one piece of content - never refresh just one of them
+  if (updatedFields.includes('content') !== updatedFields.includes('htmlContent')) {
+    for (const field of ['content', 'htmlContent']) {
+      if (updatedFields.includes(field)) {
+        delete updates[field]
+        updatedFields.splice(updatedFields.indexOf(field), 1)
+        preservedFields.push(field)
+      }
+    }
+  }
+
+  if (updates.htmlContent) {
+    updates.originalHtmlContent = fresh.htmlContent
+  }
+
+  // A new quick answer brings its own review
+  if (updates.quickAnswer) {
+    for (const field of QUICK_ANSWER_REVIEW_FIELDS) {
+      updates[field] = fresh[field] ?? null
+    }
+  }
+
+  // 2. Products
+  const linkedKeys = getLinkedProductKeys(updates.content ? [] : current.content)
+  const { merged, keyMap } = mergeFeaturedProducts(current.featuredProducts || [], fresh.featuredProducts, linkedKeys)
+
+  updates.featuredProducts = merged
+  updates.productLinks = mergeProductLinks(current.productLinks || [], fresh.productLinks)
+
+  if (updates.content) {
+    updates.content = remapProductKeys(updates.content, keyMap)
+  }
+
+  // 3. Provenance for what we just wrote
+  updates.aiFieldHashes = {
+    ...(current.aiFieldHashes || {}),
+    ...getAiFieldHashes(updates, updatedFields)
+  }
+  updates.editedFields = Array.from(editedFields)
+
+  // AI originals for edit feedback - kept sections keep the original they had, and the
+  // original products stay (so Kyndall's removals still count) plus any the refresh adds
+  const original = getAiOriginal({ ...current, ...updates })
+  const originalProducts = current.aiOriginal?.products
+  const existingKeys = new Set((current.featuredProducts || []).map(p => p._key))
+  const addedProducts = original.products.filter(p =>
+    !existingKeys.has(p._key) && !(originalProducts || []).some(o => o._key === p._key || isSameProduct(o, p))
+  )
+  updates.aiOriginal = {
+    ...(current.aiOriginal || {}),
+    products: originalProducts ? [...originalProducts, ...addedProducts] : original.products
+  }
+  for (const [field, key] of Object.entries(AI_ORIGINAL_FIELDS)) {
+    if (updatedFields.includes(field)) updates.aiOriginal[key] = original[key]
+  }
+
+  updates.sourceVideo = { ...(current.sourceVideo || {}), ...fresh.sourceVideo }
+  // The prompt that wrote the refreshed fields
+  if (updatedFields.length > 0) {
+    updates.promptVersion = fresh.promptVersion
+    updates.fewShotExampleIds = fresh.fewShotExampleIds
+  }
+  updates.updatedAt = new Date().toISOString()
+  updates.lastRefreshedAt = updates.updatedAt
+
+  // 4. Write - drafts are patched (failing if Kyndall saved in between), published posts get a draft copy
+  let post
+  if (draft) {
+    post = await client.patch(draftId).ifRevisionId(draft._rev).set(updates).commit()
+  } else {
+    const { _rev, _createdAt, _updatedAt, ...publishedFields } = published
+    post = await client.create({ ...publishedFields, ...updates, _id: draftId })
+  }
+
+  const keptProducts = merged.filter(p => p.reviewed).length
+  console.log(`   ✓ Updated: ${updatedFields.join(', ') || 'nothing'}`)
+  console.log(`   ✓ Preserved: ${preservedFields.join(', ') || 'nothing'}${keptProducts ? ` (+ ${keptProducts} reviewed products)` : ''}`)
+
+  return { post, created: false, updatedFields, preservedFields }
+}
+
+export default {
+  refreshBlogPost
+}
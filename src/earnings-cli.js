@@ -0,0 +1,95 @@
+// kyndall-content-engine/src/earnings-cli.js
+// Affiliate earnings from the command line
+//
+//   npm run earnings -- import <report.csv> [--network shopmy|amazon] [--store US|UK|CA] [--month 2026-09] [--dry-run]
+//   npm run earnings -- summary [2026-09]
+//
+// Reports come from the ShopMy dashboard (Earnings → Export) and Amazon Associates
+// (Reports → Download → CSV). Rows without a date use --month. Each Amazon store has its own
+// report - the tracking ID tells them apart, or pass --store.
+
+import fs from 'fs/promises'
+import { initSanity } from './sanity.js'
+import { initEarnings, importEarnings, getEarningsSummary } from './earnings.js'
+
+const config = {
+  amazon: {
+    associateTags: {
+      US: process.env.AMAZON_ASSOCIATE_TAG || 'kyndallames-20',
+      UK: process.env.AMAZON_ASSOCIATE_TAG_UK,
+      CA: process.env.AMAZON_ASSOCIATE_TAG_CA
+    }
+  },
+  sanity: {
+    projectId: process.env.SANITY_PROJECT_ID || 'f9drkp1w',
+    dataset: process.env.SANITY_DATASET || 'production',
+    token: process.env.SANITY_API_TOKEN
+  }
+}
+
+function getOption(args, name) {
+  const index = args.indexOf(`--${name}`)
+  return index !== -1 ? args[index + 1] : null
+}
+
+function formatMoney(amount) {
+  return `$${amount.toFixed(2)}`
+}
+
+async function runImport(args) {
+  const file = args.find((arg, i) => !arg.startsWith('--') && !args[i - 1]?.match(/^--(network|store|month)$/))
+  if (!file) throw new Error('Usage: npm run earnings -- import <report.csv> [--network shopmy|amazon] [--store US|UK|CA] [--month 2026-09] [--dry-run]')
+
+  const result = await importEarnings(await fs.readFile(file, 'utf8'), {
+    network: getOption(args, 'network'),
+    month: getOption(args, 'month'),
+    store: getOption(args, 'store'),
+    dryRun: args.includes('--dry-run')
+  })
+
+  console.log(`\n${[result.network, ...result.stores].join(' ')} ${result.months.join(', ')}: ${formatMoney(result.earnings)} total, ${formatMoney(result.unmatchedEarnings)} unmatched`)
+  if (result.skipped > 0) {
+    console.log(`   ${result.skipped} rows skipped (totals lines or rows without a month - try --month)`)
+  }
+  for (const row of result.unmatched.slice(0, 20)) {
+    console.log(`   ⚠️  ${row.title || row.url || row.asin || row.subtag} (${row.month}): ${row.clicks} clicks, ${formatMoney(row.earnings)}`)
+  }
+  if (result.dryRun) console.log('\n(dry run - nothing saved)')
+}
+
+async function runSummary(args) {
+  const summary = await getEarningsSummary(args[0] || null)
+
+  console.log(`\n💰 Earnings for ${summary.month} - ${summary.posts} posts with links`)
+  console.log(`   ${summary.totals.clicks} clicks, ${summary.totals.orders} orders, ${formatMoney(summary.totals.earnings)}`)
+
+  console.log('\n🏆 Top posts')
+  summary.topPosts.forEach((post, i) => {
+    console.log(`   ${i + 1}. ${post.title} - ${formatMoney(post.earnings)} (${post.clicks} clicks)`)
+  })
+
+  console.log('\n🛍️  Top products')
+  summary.topProducts.forEach((product, i) => {
+    console.log(`   ${i + 1}. ${product.product} - ${formatMoney(product.earnings)} (${product.clicks} clicks) on "${product.postTitle}"`)
+  })
+
+  console.log(`\n😴 No clicks (${summary.zeroClickPosts.length})`)
+  summary.zeroClickPosts.forEach(post => console.log(`   - ${post.title} (/${post.slug})`))
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2)
+
+  initSanity(config.sanity.projectId, config.sanity.dataset, config.sanity.token)
+  initEarnings({ associateTags: config.amazon.associateTags })
+
+  if (command === 'import') return runImport(args)
+  if (command === 'summary') return runSummary(args)
+
+  throw new Error('Usage: npm run earnings -- import <report.csv> | summary [YYYY-MM]')
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`)
+  process.exit(1)
+})
@@ -0,0 +1,574 @@
+// kyndall-content-engine/src/earnings.js
+// Affiliate earnings per post
+// Imports ShopMy and Amazon Associates report CSVs and attaches clicks, orders and
+// earnings to the blogPost (and the product) each row belongs to. Rows are matched by:
+//
+//   1. subtag - ascsubtag / ShopMy sub ID set to the post's slug or video ID → that post
+//   2. URL    - shopmyUrl / ltkUrl / amazonUrl / originalUrl on featuredProducts or productLinks
+//   3. ASIN   - amazonAsin / amazonLinks[] (the tracking ID picks the store - US / UK / CA)
+//
+// A row that matches products on several posts is split evenly between them.
+// Totals are stored per network, store and month (earnings[] { network, store, month, clicks,
+// orders, earnings }) on the post and on the product, so importing the same month again
+// replaces it. Amazon stores (US / UK / CA) have separate reports - the store comes from the
+// row's tracking ID or the store option, and only that store's entries are replaced.
+// getEarningsSummary() reports the top posts, top products and posts nobody clicked.
+
+import { MARKETPLACES, extractAsin } from './amazon.js'
+import { getLinkType } from './links.js'
+import { getSanityClient } from './sanity.js'
+
+export const NETWORKS = ['shopmy', 'amazon']
+
+const LINK_FIELDS = ['shopmyUrl', 'ltkUrl', 'amazonUrl', 'originalUrl']
+const PRODUCT_ARRAYS = ['featuredProducts', 'productLinks']
+const SUMMARY_LIMIT = 10
+
+// Report column names (lowercased, "($)" and punctuation removed) → field
+const COLUMNS = {
+  date: ['date', 'day', 'date shipped', 'order date', 'transaction date', 'click date'],
+  url: ['url', 'link', 'link url', 'product url', 'product link', 'short link', 'shopmy link', 'destination url'],
+  asin: ['asin'],
+  tag: ['tracking id', 'tracking_id', 'tag', 'associate tag'],
+  subtag: ['subtag', 'sub tag', 'ascsubtag', 'sub id', 'subid', 'sub_id'],
+  title: ['name', 'product', 'product name', 'title', 'item', 'item name'],
+  clicks: ['clicks', 'link clicks', 'total clicks'],
+  orders: ['orders', 'items shipped', 'items ordered', 'ordered items', 'conversions', 'sales'],
+  earnings: ['earnings', 'ad fees', 'commission', 'commissions', 'commission amount', 'total commission', 'total earnings', 'bounty earnings']
+}
+
+let settings = {
+  // Amazon tracking ID → store code (US / UK / CA)
+  trackingIds: new Map()
+}
+
+// ============================================================
+// INITIALIZATION
+// ============================================================
+
+/**
+ * @param {Object} options
+ *   associateTags - { US: 'kyndallames-20', UK: '...', CA: '...' } (tells the store from the tracking ID)
+ */
+export function initEarnings(options = {}) {
+  const trackingIds = new Map()
+  for (const [code, tag] of Object.entries(options.associateTags || {})) {
+    if (tag && MARKETPLACES[code]) trackingIds.set(tag.toLowerCase(), code)
+  }
+
+  settings = { trackingIds }
+}
+
+// ============================================================
+// HELPER FUNCTIONS
+// ============================================================
+
+/**
+ * Split CSV text into rows of cells (quoted cells may hold commas, quotes and newlines)
+ */
+function parseCsv(text) {
+  const rows = []
+  let row = []
+  let cell = ''
+  let quoted = false
+
+  const input = text.replace(/^\uFEFF/, '')
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',' || char === '\t') {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell)
+    rows.push(row)
+  }
+
+  return rows.filter(r => r.some(value => value.trim()))
+}
+
+function normalizeHeader(header) {
+  return header.toLowerCase().replace(/\(.*?\)/g, '').replace(/[^a-z0-9_]+/g, ' ').trim()
+}
+
+/**
+ * Map report columns to fields - Amazon reports start with a title line, so the header is
+ * the first row naming at least two known columns
+ * @returns {Object|null} - { headerIndex, columns: { field: index } }
+ */
+function findColumns(rows) {
+  for (let headerIndex = 0; headerIndex < Math.min(rows.length, 10); headerIndex++) {
+    const headers = rows[headerIndex].map(normalizeHeader)
+    const columns = {}
+
+    for (const [field, names] of Object.entries(COLUMNS)) {
+      const index = headers.findIndex(header => names.includes(header))
+      if (index !== -1) columns[field] = index
+    }
+
+    if (Object.keys(columns).length >= 2 && (columns.url !== undefined || columns.asin !== undefined || columns.subtag !== undefined)) {
+      return { headerIndex, columns }
+    }
+  }
+
+  return null
+}
+
+// "$1,234.56" / "(12.30)" / "-3.10" → number
+function parseAmount(value) {
+  if (!value) return 0
+  const negative = /^\(.*\)$/.test(value.trim()) || value.trim().startsWith('-')
+  const amount = parseFloat(value.replace(/[^0-9.]/g, ''))
+  if (isNaN(amount)) return 0
+  return negative ? -amount : amount
+}
+
+// 2026-09-14 / 09/14/2026 / Sep 14, 2026 → 2026-09
+function toMonth(value) {
+  if (!value) return null
+  const iso = value.match(/^(\d{4})-(\d{2})/)
+  if (iso) return `${iso[1]}-${iso[2]}`
+
+  const us = value.match(/^(\d{1,2})\/\d{1,2}\/(\d{4})/)
+  if (us) return `${us[2]}-${us[1].padStart(2, '0')}`
+
+  const date = new Date(value)
+  return isNaN(date) ? null : date.toISOString().substring(0, 7)
+}
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100
+}
+
+/**
+ * Key for comparing links - host + path, no protocol, www, query or trailing slash
+ */
+function getUrlKey(url) {
+  try {
+    const urlObj = new URL(url.trim())
+    return `${urlObj.hostname.toLowerCase().replace(/^www\./, '')}${urlObj.pathname.replace(/\/+$/, '')}`
+  } catch {
+    return null
+  }
+}
+
+function emptyTotals() {
+  return { clicks: 0, orders: 0, earnings: 0 }
+}
+
+function addTotals(target, source, share = 1) {
+  target.clicks += source.clicks * share
+  target.orders += source.orders * share
+  target.earnings += source.earnings * share
+  return target
+}
+
+/**
+ * Amazon store of an entry - ShopMy has none, entries saved before stores were tracked are US
+ */
+function getEntryStore(entry) {
+  return entry.network === 'amazon' ? entry.store || 'US' : null
+}
+
+function getEntryKey(network, store, month) {
+  return [network, store, month].filter(Boolean).join('-')
+}
+
+// Every network and store together, for one month or all of them
+function sumEntries(entries, month = null) {
+  const totals = emptyTotals()
+  for (const entry of entries || []) {
+    if (!month || entry.month === month) addTotals(totals, entry)
+  }
+  return roundTotals(totals)
+}
+
+function roundTotals(totals) {
+  return {
+    clicks: Math.round(totals.clicks),
+    orders: Math.round(totals.orders),
+    earnings: roundMoney(totals.earnings)
+  }
+}
+
+/**
+ * Index every product link and ASIN on published posts
+ * @returns {Object} - { posts, byUrl, byAsin, bySubtag }
+ */
+async function loadProductIndex(client) {
+  const posts = await client.fetch(`*[_type == "blogPost" && !(_id in path("drafts.**"))] {
+    _id,
+    title,
+    "slug": slug.current,
+    videoId,
+    publishedAt,
+    earnings,
+    featuredProducts[] { _key, "name": productName, brand, shopmyUrl, ltkUrl, amazonUrl, originalUrl, amazonAsin, amazonLinks[] { marketplace, asin, url }, earnings },
+    productLinks[] { _key, name, brand, shopmyUrl, ltkUrl, amazonUrl, originalUrl, earnings }
+  }`)
+
+  const byUrl = new Map()
+  const byAsin = new Map()
+  const bySubtag = new Map()
+
+  const add = (map, key, target) => {
+    if (!key) return
+    if (!map.has(key)) map.set(key, [])
+    // One entry per post - featuredProducts wins over the matching productLinks item
+    if (!map.get(key).some(existing => existing.post === target.post)) map.get(key).push(target)
+  }
+
+  for (const post of posts) {
+    for (const subtag of [post.slug, post.videoId, post._id.replace(/^blogPost-/, '')]) {
+      if (subtag) bySubtag.set(subtag.toLowerCase(), post)
+    }
+
+    for (const array of PRODUCT_ARRAYS) {
+      for (const product of post[array] || []) {
+        if (!product._key) continue
+        const target = { post, array, product }
+
+        for (const field of LINK_FIELDS) {
+          if (!product[field]) continue
+          add(byUrl, getUrlKey(product[field]), target)
+          if (getLinkType(product[field]) === 'amazon') add(byAsin, `US:${extractAsin(product[field])}`, target)
+        }
+        if (product.amazonAsin) add(byAsin, `US:${product.amazonAsin}`, target)
+        for (const link of product.amazonLinks || []) {
+          if (link.asin) add(byAsin, `${link.marketplace || 'US'}:${link.asin}`, target)
+        }
+      }
+    }
+  }
+
+  return { posts, byUrl, byAsin, bySubtag }
+}
+
+/**
+ * Find the post(s) and product(s) a report row belongs to
+ * @returns {Array} - [{ post, array, product }] (product null when only the post is known)
+ */
+function matchRow(row, index) {
+  const post = row.subtag ? index.bySubtag.get(row.subtag.toLowerCase()) : null
+
+  let targets = []
+  const urlKey = row.url ? getUrlKey(row.url) : null
+  if (urlKey && index.byUrl.has(urlKey)) targets = index.byUrl.get(urlKey)
+
+  const asin = row.asin || (row.url && getLinkType(row.url) === 'amazon' ? extractAsin(row.url) : null)
+  if (targets.length === 0 && asin) {
+    const stores = row.store ? [row.store] : Object.keys(MARKETPLACES)
+    targets = stores.flatMap(code => index.byAsin.get(`${code}:${asin}`) || [])
+  }
+
+  if (post) {
+    const onPost = targets.filter(target => target.post === post)
+    return onPost.length > 0 ? onPost.slice(0, 1) : [{ post, array: null, product: null }]
+  }
+
+  // The same product on several posts - split it between them
+  return [...new Map(targets.map(target => [target.post._id, target])).values()]
+}
+
+/**
+ * Replace the entries for the imported network + store + months, keep the rest
+ * @param {Map} imported - entry key → { network, store, month, totals }
+ * @param {Set} replaced - entry keys the report covers
+ * @returns {Array|null} - the new entries, or null if nothing changed
+ */
+function mergeEntries(existing, imported, replaced) {
+  const kept = (existing || []).filter(entry => !replaced.has(getEntryKey(entry.network, getEntryStore(entry), entry.month)))
+  if (kept.length === (existing || []).length && imported.size === 0) return null
+
+  const added = Array.from(imported.entries()).map(([key, { network, store, month, totals }]) => ({
+    _type: 'earningsEntry',
+    _key: key,
+    network,
+    ...(store && { store }),
+    month,
+    ...roundTotals(totals)
+  }))
+
+  return [...kept, ...added].sort((a, b) =>
+    a.month.localeCompare(b.month) ||
+    a.network.localeCompare(b.network) ||
+    (getEntryStore(a) || '').localeCompare(getEntryStore(b) || '')
+  )
+}
+
+function addEntryTotals(entries, network, store, row, share) {
+  const key = getEntryKey(network, store, row.month)
+  if (!entries.has(key)) entries.set(key, { network, store, month: row.month, totals: emptyTotals() })
+  addTotals(entries.get(key).totals, row, share)
+}
+
+// ============================================================
+// MAIN
+// ============================================================
+
+/**
+ * Read a ShopMy or Amazon Associates report
+ * @param {string} text - CSV contents
+ * @param {Object} options - { network: 'shopmy' | 'amazon' (guessed from the columns if not given), month: 'YYYY-MM' for rows without a date,
+ *   store: 'US' | 'UK' | 'CA' for Amazon rows whose tracking ID doesn't tell }
+ * @returns {Object} - { network, rows[], skipped } (Amazon rows have store, null if unknown)
+ */
+export function parseEarningsReport(text, { network = null, month = null, store = null } = {}) {
+  const rows = parseCsv(text)
+  const found = findColumns(rows)
+  if (!found) {
+    throw new Error('Not an earnings report - no URL, ASIN or sub ID column found')
+  }
+
+  const { headerIndex, columns } = found
+  const detected = network || (columns.asin !== undefined || columns.tag !== undefined ? 'amazon' : 'shopmy')
+  if (!NETWORKS.includes(detected)) {
+    throw new Error(`Unknown network "${detected}" (expected ${NETWORKS.join(' or ')})`)
+  }
+  if (store && !MARKETPLACES[store.toUpperCase()]) {
+    throw new Error(`Unknown Amazon store "${store}" (expected ${Object.keys(MARKETPLACES).join(', ')})`)
+  }
+
+  const get = (cells, field) => columns[field] !== undefined ? (cells[columns[field]] || '').trim() : ''
+
+  const parsed = []
+  let skipped = 0
+
+  for (const cells of rows.slice(headerIndex + 1)) {
+    const tag = get(cells, 'tag') || null
+    const row = {
+      month: toMonth(get(cells, 'date')) || month,
+      url: get(cells, 'url') || null,
+      asin: get(cells, 'asin').toUpperCase() || null,
+      tag,
+      store: detected === 'amazon' ? (tag && settings.trackingIds.get(tag.toLowerCase())) || store?.toUpperCase() || null : null,
+      subtag: get(cells, 'subtag') || null,
+      title: get(cells, 'title') || null,
+      clicks: parseAmount(get(cells, 'clicks')),
+      orders: parseAmount(get(cells, 'orders')),
+      earnings: parseAmount(get(cells, 'earnings'))
+    }
+
+    // Totals lines and rows we can't place in a month
+    if (!row.month || (!row.url && !row.asin && !row.subtag)) {
+      skipped++
+      continue
+    }
+    parsed.push(row)
+  }
+
+  return { network: detected, rows: parsed, skipped }
+}
+
+/**
+ * Import a report and attach the numbers to posts and products
+ * @param {string} text - CSV contents
+ * @param {Object} options - { network, month, store, dryRun }
+ * @returns {Promise<Object>} - { network, stores, months, rows, matched, unmatched[], earnings, unmatchedEarnings, postsUpdated }
+ */
+export async function importEarnings(text, { network = null, month = null, store = null, dryRun = false } = {}) {
+  const report = parseEarningsReport(text, { network, month, store })
+  const client = getSanityClient()
+  const index = await loadProductIndex(client)
+
+  // Amazon rows from an unknown tracking ID are counted as the US store
+  const getRowStore = row => report.network === 'amazon' ? row.store || 'US' : null
+
+  const months = [...new Set(report.rows.map(row => row.month))].sort()
+  const stores = [...new Set(report.rows.map(getRowStore).filter(Boolean))].sort()
+  const replaced = new Set(report.rows.map(row => getEntryKey(report.network, getRowStore(row), row.month)))
+  const result = {
+    network: report.network,
+    stores,
+    months,
+    rows: report.rows.length,
+    skipped: report.skipped,
+    matched: 0,
+    unmatched: [],
+    earnings: 0,
+    unmatchedEarnings: 0,
+    postsUpdated: 0,
+    dryRun
+  }
+
+  console.log(`\n💰 Importing ${report.rows.length} ${[report.network, ...stores].join(' ')} rows (${months.join(', ') || 'no months'})...`)
+
+  // post _id → { totals: entry key → totals, products: "array:_key" → entry key → totals }
+  const imported = new Map()
+
+  for (const row of report.rows) {
+    result.earnings += row.earnings
+    const targets = matchRow(row, index)
+
+    if (targets.length === 0) {
+      result.unmatchedEarnings += row.earnings
+      result.unmatched.push({ title: row.title, url: row.url, asin: row.asin, subtag: row.subtag, month: row.month, clicks: row.clicks, earnings: row.earnings })
+      continue
+    }
+
+    result.matched++
+    const share = 1 / targets.length
+
+    for (const { post, array, product } of targets) {
+      if (!imported.has(post._id)) imported.set(post._id, { totals: new Map(), products: new Map() })
+      const postData = imported.get(post._id)
+
+      addEntryTotals(postData.totals, report.network, getRowStore(row), row, share)
+
+      if (product) {
+        const productKey = `${array}:${product._key}`
+        if (!postData.products.has(productKey)) postData.products.set(productKey, new Map())
+        addEntryTotals(postData.products.get(productKey), report.network, getRowStore(row), row, share)
+      }
+    }
+  }
+
+  // Patch every post that has numbers now - or had numbers for these stores and months before
+  for (const post of index.posts) {
+    const postData = imported.get(post._id) || { totals: new Map(), products: new Map() }
+    const updates = {}
+
+    const earnings = mergeEntries(post.earnings, postData.totals, replaced)
+    if (earnings) {
+      updates.earnings = earnings
+      updates.earningsTotals = sumEntries(earnings)
+    }
+
+    for (const array of PRODUCT_ARRAYS) {
+      for (const product of post[array] || []) {
+        if (!product._key) continue
+        const productEntries = mergeEntries(
+          product.earnings,
+          postData.products.get(`${array}:${product._key}`) || new Map(),
+          replaced
+        )
+        if (productEntries) updates[`${array}[_key=="${product._key}"].earnings`] = productEntries
+      }
+    }
+
+    if (Object.keys(updates).length === 0) continue
+
+    result.postsUpdated++
+    if (dryRun) continue
+
+    try {
+      await client
+        .patch(post._id)
+        .set({ ...updates, earningsUpdatedAt: new Date().toISOString() })
+        .commit()
+    } catch (error) {
+      console.log(`   ❌ Could not update "${post.title}": ${error.message}`)
+    }
+  }
+
+  result.earnings = roundMoney(result.earnings)
+  result.unmatchedEarnings = roundMoney(result.unmatchedEarnings)
+  result.unmatched.sort((a, b) => b.earnings - a.earnings)
+
+  console.log(`   ✓ ${result.matched}/${result.rows} rows matched, ${result.postsUpdated} posts ${dryRun ? 'would be ' : ''}updated`)
+  if (result.unmatched.length > 0) {
+    console.log(`   ⚠️  ${result.unmatched.length} rows matched no post ($${result.unmatchedEarnings.toFixed(2)})`)
+  }
+
+  return result
+}
+
+/**
+ * Top posts, top products and posts with no clicks for a month
+ * @param {string} month - 'YYYY-MM' (default last month)
+ * @returns {Promise<Object>} - { month, totals, topPosts[], topProducts[], zeroClickPosts[] }
+ */
+export async function getEarningsSummary(month = null) {
+  if (!month) {
+    const lastMonth = new Date()
+    lastMonth.setUTCDate(1)
+    lastMonth.setUTCMonth(lastMonth.getUTCMonth() - 1)
+    month = lastMonth.toISOString().substring(0, 7)
+  }
+  if (!/^\d{4}-\d{2}$/.test(month)) {
+    throw new Error(`Month must look like 2026-09 (got "${month}")`)
+  }
+
+  const client = getSanityClient()
+  const monthEnd = new Date(`${month}-01T00:00:00Z`)
+  monthEnd.setUTCMonth(monthEnd.getUTCMonth() + 1)
+
+  // Posts that were live that month and have something to click
+  const posts = await client.fetch(`*[_type == "blogPost" && !(_id in path("drafts.**")) && publishedAt < $monthEnd
+    && count(featuredProducts[defined(shopmyUrl) || defined(ltkUrl) || defined(amazonUrl)]) > 0] {
+    _id,
+    title,
+    "slug": slug.current,
+    publishedAt,
+    earnings,
+    featuredProducts[] { _key, productName, brand, earnings },
+    productLinks[] { _key, name, brand, earnings }
+  }`, { monthEnd: monthEnd.toISOString() })
+
+  const totals = emptyTotals()
+  const postRows = []
+  const productRows = []
+
+  for (const post of posts) {
+    const postTotals = sumEntries(post.earnings, month)
+    addTotals(totals, postTotals)
+    postRows.push({ postId: post._id, title: post.title, slug: post.slug, publishedAt: post.publishedAt, ...postTotals })
+
+    const seen = new Set()
+    for (const [array, nameField] of [['featuredProducts', 'productName'], ['productLinks', 'name']]) {
+      for (const product of post[array] || []) {
+        const productTotals = sumEntries(product.earnings, month)
+        const name = [product.brand, product[nameField]].filter(Boolean).join(' ')
+        if (productTotals.clicks === 0 && productTotals.earnings === 0) continue
+        if (seen.has(name.toLowerCase())) continue
+        seen.add(name.toLowerCase())
+        productRows.push({ product: name, postTitle: post.title, slug: post.slug, ...productTotals })
+      }
+    }
+  }
+
+  const byEarnings = (a, b) => b.earnings - a.earnings || b.clicks - a.clicks
+
+  return {
+    month,
+    posts: posts.length,
+    totals: roundTotals(totals),
+    topPosts: postRows.filter(p => p.earnings > 0 || p.clicks > 0).sort(byEarnings).slice(0, SUMMARY_LIMIT),
+    topProducts: productRows.sort(byEarnings).slice(0, SUMMARY_LIMIT),
+    // No clicks and no commission - worth a look (dead links? nobody reads it?)
+    zeroClickPosts: postRows
+      .filter(p => p.clicks === 0 && p.earnings === 0)
+      .sort((a, b) => (b.publishedAt || '').localeCompare(a.publishedAt || ''))
+      .map(({ postId, title, slug, publishedAt }) => ({ postId, title, slug, publishedAt }))
+  }
+}
+
+export default {
+  NETWORKS,
+  initEarnings,
+  parseEarningsReport,
+  importEarnings,
+  getEarningsSummary
+}
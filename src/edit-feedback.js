@@ -0,0 +1,425 @@
+// kyndall-content-engine/src/edit-feedback.js
+// Learn from what Kyndall changes before publishing
+// Every draft keeps what the AI wrote (originalHtmlContent for the article, aiOriginal for
+// quick answer, FAQs, Kyndall's Take, category and products). This job compares that with the
+// published version of every auto-generated post:
+//
+//   - edit ratio per section (0 = published as written, 1 = fully rewritten)
+//   - category changes (from → to) and products she removed
+//   - words / phrases she keeps removing from (or adding to) the article
+//
+// The report is saved to the editFeedback document in Sanity. Corrections that show up in
+// at least minPosts posts become "avoid" rules - with EDIT_FEEDBACK_PROMPT_RULES=true they're
+// added to the analysis prompt ({{avoidRules}}). Rules listed in editFeedback.ignoredRules are
+// left out. Runs weekly (EDIT_FEEDBACK_CRON) and from the admin API.
+
+import { editRatio, htmlEditRatio, htmlToText } from './text-diff.js'
+
+const FEEDBACK_ID = 'editFeedback'
+const CACHE_DURATION_MS = 30 * 60 * 1000 // 30 minutes
+const MAX_PHRASES = 20
+const MAX_PHRASE_RULES = 10
+
+// Sections compared (besides the article) - blogPost field → aiOriginal key
+export const AI_ORIGINAL_FIELDS = {
+  quickAnswer: 'quickAnswer',
+  faqSection: 'faq',
+  kyndallsTake: 'kyndallsTake',
+  category: 'category'
+}
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'for', 'from', 'has', 'have',
+  'i', 'if', 'in', 'is', 'it', "it's", 'its', 'just', 'me', 'my', 'of', 'on', 'or', 'so', 'that',
+  'the', 'this', 'to', 'was', 'we', 'with', 'you', 'your', "you're", 'will', 'not', 'all', 'they',
+  'them', 'their', 'what', 'when', 'how', 'one', 'out', 'up', 'do', 'about', 'more', 'than', 'also'
+])
+
+let sanityClient = null
+
+let settings = {
+  promptRules: false,   // add the avoid rules to the analysis prompt
+  minPosts: 3,          // a correction has to show up in this many posts to count
+  heavyEditRatio: 0.3   // sections edited more than this count as heavily edited
+}
+
+// Last run (for the admin API) and the saved rules (for the prompt)
+let lastRun = null
+let savedRules = null
+let lastFetchTime = null
+
+// ============================================================
+// INITIALIZATION
+// ============================================================
+
+/**
+ * @param {Object} options
+ *   client      - Sanity client (blogPost + editFeedback documents)
+ *   promptRules - EDIT_FEEDBACK_PROMPT_RULES, feed the avoid rules back into the analysis prompt
+ *   minPosts    - EDIT_FEEDBACK_MIN_POSTS, posts a correction needs before it becomes a rule
+ */
+export function initEditFeedback(options = {}) {
+  sanityClient = options.client || null
+  settings = {
+    ...settings,
+    promptRules: !!options.promptRules,
+    minPosts: options.minPosts || settings.minPosts
+  }
+  savedRules = null
+  lastFetchTime = null
+}
+
+// ============================================================
+// HELPER FUNCTIONS
+// ============================================================
+
+function faqText(faqSection) {
+  return (faqSection || []).map(faq => `${faq.question || ''} ${faq.answer || ''}`).join('\n')
+}
+
+function takeText(kyndallsTake) {
+  if (!kyndallsTake?.content) return ''
+  return `${kyndallsTake.headline || ''}\n${kyndallsTake.content}`
+}
+
+function productId(product) {
+  return `${product.brand || ''} ${product.name || product.productName || ''}`.trim().toLowerCase()
+}
+
+/**
+ * What the AI wrote for each compared section - saved on the post as aiOriginal
+ * (the article itself is originalHtmlContent)
+ */
+export function getAiOriginal(doc) {
+  return {
+    quickAnswer: doc.quickAnswer || '',
+    faq: faqText(doc.faqSection),
+    kyndallsTake: takeText(doc.kyndallsTake),
+    category: doc.category || null,
+    products: (doc.featuredProducts || []).map(p => ({
+      _key: p._key,
+      brand: p.brand || null,
+      name: p.productName || p.name || null,
+      source: p.source || 'description'
+    }))
+  }
+}
+
+/**
+ * Words (minus stopwords) and two-word phrases in a text
+ */
+function getPhrases(text) {
+  const words = text.toLowerCase().replace(/[^\p{L}\p{N}'\s-]/gu, ' ').split(/\s+/).filter(Boolean)
+  const phrases = new Set()
+
+  for (let i = 0; i < words.length; i++) {
+    if (!STOPWORDS.has(words[i]) && words[i].length > 3) phrases.add(words[i])
+    if (i > 0 && !(STOPWORDS.has(words[i - 1]) && STOPWORDS.has(words[i]))) {
+      phrases.add(`${words[i - 1]} ${words[i]}`)
+    }
+  }
+
+  return phrases
+}
+
+function emptySection() {
+  return { posts: 0, totalRatio: 0, heavilyEdited: 0, unchanged: 0 }
+}
+
+function addRatio(section, ratio) {
+  section.posts++
+  section.totalRatio += ratio
+  if (ratio > settings.heavyEditRatio) section.heavilyEdited++
+  if (ratio === 0) section.unchanged++
+}
+
+function summarizeSection({ posts, totalRatio, heavilyEdited, unchanged }) {
+  return {
+    posts,
+    avgEditRatio: posts > 0 ? round(totalRatio / posts) : null,
+    heavilyEdited,
+    unchanged
+  }
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000
+}
+
+function topEntries(map, limit, minCount = 1) {
+  return Array.from(map.entries())
+    .filter(([, count]) => count >= minCount)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+}
+
+/**
+ * Turn the recurring corrections into prompt rules
+ * Rule text has no counts in it, so an ignored rule stays ignored on the next run
+ */
+function buildAvoidRules(report) {
+  const rules = []
+
+  // Phrases - two-word phrases first (without stopwords), then single words. Overlapping
+  // phrases removed from the same posts are joined ("total game" + "game changer"), and
+  // words that are already part of a rule are skipped
+  const candidates = report.phrases.removed.filter(({ removed, seen }) => removed / seen >= 0.6)
+  const isPair = ({ phrase }) => phrase.includes(' ') && phrase.split(' ').every(word => !STOPWORDS.has(word))
+  const phrases = []
+  for (const { phrase, removed } of [...candidates.filter(isPair), ...candidates.filter(c => !c.phrase.includes(' '))]) {
+    const words = phrase.split(' ')
+    const joined = words.length === 2 && phrases.find(p =>
+      p.removed === removed && p.words.length < 4 && !words.every(word => p.words.includes(word)) &&
+      (p.words[p.words.length - 1] === words[0] || p.words[0] === words[1])
+    )
+    if (joined) {
+      if (joined.words[joined.words.length - 1] === words[0]) joined.words.push(words[1])
+      else joined.words.unshift(words[0])
+      continue
+    }
+    if (phrases.some(p => words.some(word => p.words.includes(word)))) continue
+    if (phrases.length < MAX_PHRASE_RULES) phrases.push({ words, removed })
+  }
+  rules.push(...phrases.map(({ words }) => `Avoid "${words.join(' ')}" - Kyndall keeps removing it`))
+
+  if (report.sections.body.posts >= settings.minPosts && report.body.avgLengthChange <= -0.2) {
+    rules.push('Write shorter articles - Kyndall cuts a large part of most drafts')
+  }
+
+  for (const { from, to, count } of report.category.changes) {
+    if (count >= settings.minPosts) {
+      rules.push(`Be careful with the "${from}" category - Kyndall often changes it to "${to}"`)
+    }
+  }
+
+  const transcript = report.products.bySource.transcript
+  if (transcript && transcript.total >= settings.minPosts && transcript.removed / transcript.total >= 0.5) {
+    rules.push('Only list transcript products Kyndall clearly recommends - she removes most of them')
+  }
+
+  return rules
+}
+
+// Sanity needs a unique _key on every object in an array - the index keeps
+// "game changer" and "game-changer" apart once both are slugged
+function withKeys(items, keyOf) {
+  return items.map((item, i) => ({ _key: `${i}-${String(keyOf(item, i)).replace(/[^a-zA-Z0-9_-]/g, '-').substring(0, 60)}`, ...item }))
+}
+
+// ============================================================
+// MAIN
+// ============================================================
+
+/**
+ * Compare the AI draft with the published version of every auto-generated post
+ * @param {Object} options - { save (default true) - write the editFeedback document }
+ * @returns {Promise<Object>} - The report (sections, body, category, products, phrases, mostEdited, avoidRules)
+ */
+export async function runEditFeedbackAnalysis({ save = true } = {}) {
+  if (!sanityClient) throw new Error('Sanity client not initialized')
+
+  lastRun = { startedAt: new Date().toISOString(), finishedAt: null, report: null, error: null }
+
+  try {
+    const posts = await sanityClient.fetch(`*[_type == "blogPost" && !(_id in path("drafts.**")) && autoGenerated == true
+      && showInBlog == true && defined(originalHtmlContent)] | order(publishedAt desc) {
+        _id,
+        title,
+        "slug": slug.current,
+        category,
+        htmlContent,
+        originalHtmlContent,
+        quickAnswer,
+        faqSection[] { question, answer },
+        kyndallsTake { headline, content },
+        featuredProducts[] { _key, brand, productName, source },
+        aiOriginal
+      }`)
+
+    console.log(`\n✏️  Comparing AI drafts with ${posts.length} published posts...`)
+
+    const sections = {
+      body: emptySection(),
+      quickAnswer: emptySection(),
+      faq: emptySection(),
+      kyndallsTake: emptySection()
+    }
+    let totalLengthChange = 0
+    const categoryChanges = new Map()
+    let categoryPosts = 0
+    const products = { posts: 0, total: 0, removed: 0, bySource: {} }
+    const removedBrands = new Map()
+    const phraseSeen = new Map()
+    const phraseRemoved = new Map()
+    const phraseAdded = new Map()
+    const edited = []
+
+    for (const post of posts) {
+      const original = post.aiOriginal || {}
+
+      // Article
+      const originalText = htmlToText(post.originalHtmlContent)
+      const finalText = htmlToText(post.htmlContent)
+      const bodyRatio = htmlEditRatio(post.originalHtmlContent, post.htmlContent)
+      addRatio(sections.body, bodyRatio)
+      edited.push({ title: post.title, slug: post.slug, bodyEditRatio: bodyRatio })
+
+      const originalWords = originalText.split(' ').filter(Boolean).length
+      if (originalWords > 0) {
+        totalLengthChange += (finalText.split(' ').filter(Boolean).length - originalWords) / originalWords
+      }
+
+      const before = getPhrases(originalText)
+      const after = getPhrases(finalText)
+      for (const phrase of before) {
+        phraseSeen.set(phrase, (phraseSeen.get(phrase) || 0) + 1)
+        if (!after.has(phrase)) phraseRemoved.set(phrase, (phraseRemoved.get(phrase) || 0) + 1)
+      }
+      for (const phrase of after) {
+        if (!before.has(phrase)) phraseAdded.set(phrase, (phraseAdded.get(phrase) || 0) + 1)
+      }
+
+      // Sections - only posts created with aiOriginal know what the AI wrote
+      if (typeof original.quickAnswer === 'string') {
+        addRatio(sections.quickAnswer, editRatio(original.quickAnswer, post.quickAnswer || ''))
+      }
+      if (typeof original.faq === 'string') {
+        addRatio(sections.faq, editRatio(original.faq, faqText(post.faqSection)))
+      }
+      if (typeof original.kyndallsTake === 'string') {
+        addRatio(sections.kyndallsTake, editRatio(original.kyndallsTake, takeText(post.kyndallsTake)))
+      }
+
+      if (original.category) {
+        categoryPosts++
+        if (post.category && post.category !== original.category) {
+          const change = `${original.category} → ${post.category}`
+          categoryChanges.set(change, (categoryChanges.get(change) || 0) + 1)
+        }
+      }
+
+      if (Array.isArray(original.products) && original.products.length > 0) {
+        products.posts++
+        const kept = new Set((post.featuredProducts || []).map(p => p._key))
+        const keptNames = new Set((post.featuredProducts || []).map(productId))
+
+        for (const product of original.products) {
+          const source = product.source || 'description'
+          const bySource = products.bySource[source] = products.bySource[source] || { total: 0, removed: 0 }
+          products.total++
+          bySource.total++
+
+          if (kept.has(product._key) || keptNames.has(productId(product))) continue
+          products.removed++
+          bySource.removed++
+          if (product.brand) removedBrands.set(product.brand, (removedBrands.get(product.brand) || 0) + 1)
+        }
+      }
+    }
+
+    const report = {
+      generatedAt: new Date().toISOString(),
+      posts: posts.length,
+      sections: Object.fromEntries(Object.entries(sections).map(([name, section]) => [name, summarizeSection(section)])),
+      body: {
+        avgLengthChange: posts.length > 0 ? round(totalLengthChange / posts.length) : null
+      },
+      category: {
+        posts: categoryPosts,
+        changed: Array.from(categoryChanges.values()).reduce((sum, count) => sum + count, 0),
+        changes: topEntries(categoryChanges, 10).map(([change, count]) => {
+          const [from, to] = change.split(' → ')
+          return { from, to, count }
+        })
+      },
+      products: {
+        ...products,
+        removalRate: products.total > 0 ? round(products.removed / products.total) : null,
+        topRemovedBrands: topEntries(removedBrands, 10, 2).map(([brand, count]) => ({ brand, count }))
+      },
+      phrases: {
+        removed: topEntries(phraseRemoved, MAX_PHRASES * 5, settings.minPosts)
+          .map(([phrase, removed]) => ({ phrase, removed, seen: phraseSeen.get(phrase) }))
+          .sort((a, b) => b.removed / b.seen - a.removed / a.seen || b.removed - a.removed)
+          .slice(0, MAX_PHRASES),
+        added: topEntries(phraseAdded, MAX_PHRASES, settings.minPosts).map(([phrase, posts]) => ({ phrase, posts }))
+      },
+      mostEdited: edited.sort((a, b) => b.bodyEditRatio - a.bodyEditRatio).slice(0, 10)
+    }
+    report.avoidRules = buildAvoidRules(report)
+
+    console.log(`   ✏️  Article edit ratio ${report.sections.body.avgEditRatio ?? '-'}, ${report.category.changed} category changes, ${products.removed}/${products.total} products removed`)
+    for (const rule of report.avoidRules) console.log(`      🚫 ${rule}`)
+
+    if (save) {
+      await sanityClient.createIfNotExists({ _id: FEEDBACK_ID, _type: 'editFeedback', ignoredRules: [] })
+      await sanityClient
+        .patch(FEEDBACK_ID)
+        .set({
+          ...report,
+          category: { ...report.category, changes: withKeys(report.category.changes, c => `${c.from}-${c.to}`) },
+          products: { ...report.products, topRemovedBrands: withKeys(report.products.topRemovedBrands, b => b.brand) },
+          phrases: {
+            removed: withKeys(report.phrases.removed, p => p.phrase),
+            added: withKeys(report.phrases.added, p => p.phrase)
+          },
+          mostEdited: withKeys(report.mostEdited, p => p.slug || p.title)
+        })
+        .commit()
+      savedRules = null
+      lastFetchTime = null
+    }
+
+    lastRun.report = report
+    return report
+  } catch (error) {
+    lastRun.error = error.message
+    throw error
+  } finally {
+    lastRun.finishedAt = new Date().toISOString()
+  }
+}
+
+/**
+ * The last saved report (editFeedback document)
+ */
+export async function getEditFeedbackReport() {
+  if (!sanityClient) throw new Error('Sanity client not initialized')
+  return sanityClient.getDocument(FEEDBACK_ID)
+}
+
+export function getLastEditFeedbackRun() {
+  return lastRun
+}
+
+/**
+ * Avoid rules for the analysis prompt (cached) - null when EDIT_FEEDBACK_PROMPT_RULES is off
+ * or there are none
+ */
+export async function getPromptAvoidRules() {
+  if (!settings.promptRules || !sanityClient) return null
+
+  if (!savedRules || !lastFetchTime || Date.now() - lastFetchTime >= CACHE_DURATION_MS) {
+    try {
+      const doc = await sanityClient.fetch(`*[_id == $id][0] { avoidRules, ignoredRules }`, { id: FEEDBACK_ID })
+      const ignored = new Set((doc?.ignoredRules || []).map(rule => rule.trim().toLowerCase()))
+      savedRules = (doc?.avoidRules || []).filter(rule => !ignored.has(rule.trim().toLowerCase()))
+      lastFetchTime = Date.now()
+    } catch (error) {
+      console.log(`   ⚠️  Could not load edit feedback rules: ${error.message}`)
+      return null
+    }
+  }
+
+  return savedRules.length > 0 ? savedRules.map(rule => `- ${rule}`).join('\n') : null
+}
+
+export default {
+  AI_ORIGINAL_FIELDS,
+  initEditFeedback,
+  getAiOriginal,
+  runEditFeedbackAnalysis,
+  getEditFeedbackReport,
+  getLastEditFeedbackRun,
+  getPromptAvoidRules
+}
@@ -82,14 +82,37 @@ export async function sendNewPostEmail(apiKey, post, toEmail = 'hello@kyndallame
   if (!apiKey || !post) return false
   
   const productCount = post.productLinks?.length || 0
-  const productList = post.productLinks?.map(p => `• ${p.brand} - ${p.name}`).join('\n') || 'No products detected'
+  const productList = post.productLinks?.map(p => `• ${p.brand} - ${p.name}${p.ltkUrl ? ' [LTK]' : ''}`).join('\n') || 'No products detected'
   
   const htmlProducts = post.productLinks?.map(p => `
     <li style="margin-bottom: 8px;">
       <strong>${p.brand}</strong> - ${p.name}
       ${p.shopmyUrl ? ' ✅ ShopMy' : ' ❓ Needs ShopMy'}
+      ${p.ltkUrl ? ' <span style="background: #000; color: #fff; font-size: 11px; padding: 1px 6px; border-radius: 3px;">LTK</span>' : ''}
     </li>
   `).join('') || '<li>No products detected</li>'
+  
+  // ShopMy auto-create report (dry-run: links that WOULD be created)
+  const autoCreate = post.shopmyAutoCreate
+  const autoCreateItems = [
+    ...(autoCreate?.created || []).map(item => ({ ...item, label: '✅ Created' })),
+    ...(autoCreate?.planned || []).map(item => ({ ...item, label: '📝 Would create' }))
+  ]
+  
+  const htmlAutoCreate = autoCreateItems.length > 0 ? `
+        <h4 style="color: #333;">ShopMy Auto-Create (${autoCreate.mode}):</h4>
+        <ul style="color: #666;">
+          ${autoCreateItems.map(item => `
+          <li style="margin-bottom: 8px;">
+            ${item.label}: <strong>${item.product}</strong>
+            <br><span style="font-size: 12px; color: #999;">${item.url || item.sourceUrl}</span>
+          </li>`).join('')}
+        </ul>
+  ` : ''
+  
+  const textAutoCreate = autoCreateItems.length > 0
+    ? `\nShopMy Auto-Create (${autoCreate.mode}):\n${autoCreateItems.map(item => `• ${item.label}: ${item.product} (${item.url || item.sourceUrl})`).join('\n')}\n`
+    : ''
 
   const emailBody = {
     from: 'Kyndall Site <notifications@updates.kyndallames.com>',
@@ -113,6 +136,7 @@ export async function sendNewPostEmail(apiKey, post, toEmail = 'hello@kyndallame
         <ul style="color: #666;">
           ${htmlProducts}
         </ul>
+        ${htmlAutoCreate}
         
         <div style="margin-top: 30px;">
           <a href="https://kyndallames.com/studio" 
@@ -126,7 +150,7 @@ export async function sendNewPostEmail(apiKey, post, toEmail = 'hello@kyndallame
         <p style="color: #999; font-size: 12px;">
           <strong>Before publishing:</strong><br>
           1. Review the blog content<br>
-          2. Check each product link (ShopMy & Amazon)<br>
+          2. Check each product link (ShopMy, LTK & Amazon)<br>
           3. Mark products as reviewed<br>
           4. Change status to Published
         </p>
@@ -140,12 +164,12 @@ Source: ${post.platform || 'Unknown'}
 
 Products Found (${productCount}):
 ${productList}
-
+${textAutoCreate}
 Review at: https://kyndallames.com/studio
 
 Before publishing:
 1. Review the blog content
-2. Check each product link (ShopMy & Amazon)
+2. Check each product link (ShopMy, LTK & Amazon)
 3. Mark products as reviewed
 4. Change status to Published`
   }
@@ -173,3 +197,73 @@ Before publishing:
     return false
   }
 }
+
+// Weekly digest of broken / expired / untagged affiliate links (see link-health.js)
+export async function sendLinkHealthEmail(apiKey, audit, toEmail = 'hello@kyndallames.com') {
+  if (!apiKey || !audit?.flagged?.length) return false
+  
+  const labels = {
+    'broken': '❌ Broken',
+    'expired': '⌛ Expired',
+    'unavailable': '📦 Unavailable',
+    'wrong-tag': '🏷️ Wrong tag',
+    'missing-tag': '🏷️ Missing tag'
+  }
+  
+  const htmlList = audit.flagged.map(flag => `
+      <div style="margin-bottom: 15px; padding: 12px 15px; border-left: 4px solid #e74c3c; background: #f9f9f9;">
+        <strong>${flag.product}</strong>
+        <br><span style="color: #999; font-size: 13px;">${flag.postTitle || flag.slug}</span>
+        ${flag.links.map(link => `
+        <br><span style="font-size: 13px;">${labels[link.status] || link.status} (${link.field}): ${link.issue}</span>
+        <br><span style="font-size: 12px; color: #999;">${link.url}</span>`).join('')}
+      </div>
+  `).join('')
+  
+  const textList = audit.flagged.map(flag =>
+    `${flag.product} - ${flag.postTitle || flag.slug}\n${flag.links.map(link => `   ${labels[link.status] || link.status} (${link.field}): ${link.issue}\n   ${link.url}`).join('\n')}`
+  ).join('\n\n')
+
+  const emailBody = {
+    from: 'Kyndall Site <notifications@updates.kyndallames.com>',
+    to: toEmail,
+    subject: `🔗 ${audit.flagged.length} Product Link${audit.flagged.length > 1 ? 's' : ''} Need Fixing`,
+    html: `
+      <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Affiliate Link Check</h2>
+        <p style="color: #666;">${audit.checked} links checked on ${audit.posts} published posts. These products are losing clicks:</p>
+        ${htmlList}
+        <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
+        <p style="color: #999; font-size: 12px;">
+          Replace the links (or mark the products unavailable) - each product's linkHealth shows the details.
+          <br>
+          <a href="https://kyndallames.com/studio" style="color: #c4a07a;">Fix links in Sanity Studio →</a>
+        </p>
+      </div>
+    `,
+    text: `Affiliate Link Check\n\n${audit.checked} links checked on ${audit.posts} published posts. These products are losing clicks:\n\n${textList}\n\nFix links: https://kyndallames.com/studio`
+  }
+
+  try {
+    const response = await fetch(RESEND_API_URL, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(emailBody),
+    })
+
+    if (!response.ok) {
+      const error = await response.json()
+      console.error('   Link health email failed:', error)
+      return false
+    }
+
+    console.log(`   ✅ Link health digest sent to ${toEmail}`)
+    return true
+  } catch (error) {
+    console.error('   Email error:', error.message)
+    return false
+  }
+}
@@ -3,17 +3,19 @@
 // Automatically adds missing GEO content to existing blog posts
 // Import and call runGeoMigration() from main index.js
 
-import Anthropic from '@anthropic-ai/sdk'
+import { reviewQuickAnswerFields, describeQuickAnswerReview } from './quick-answer.js'
+import { requestStructured, GEO_CONTENT_SCHEMA } from './schema.js'
+import { isLlmConfigured } from './llm.js'
+import { renderPrompt } from './prompts.js'
 
-let anthropicClient = null
 let sanityClient = null
 
 // ============================================================
 // INITIALIZATION
 // ============================================================
 
-export function initGeoMigration(anthropicApiKey, sanityClientInstance) {
-  anthropicClient = new Anthropic({ apiKey: anthropicApiKey })
+// Claude requests go through llm.js (task "geoContent")
+export function initGeoMigration(sanityClientInstance) {
   sanityClient = sanityClientInstance
   console.log('✅ GEO Migration module initialized')
 }
@@ -101,78 +103,23 @@ async function generateGeoContent(post) {
     .filter(Boolean)
     .join(', ')
 
-  const prompt = `You are helping generate GEO (Generative Engine Optimization) content for an existing beauty/lifestyle blog post.
-
-POST TITLE: ${post.title}
-CATEGORY: ${post.category || 'lifestyle'}
-EXCERPT: ${post.excerpt || 'No excerpt'}
-PRODUCTS MENTIONED: ${productNames || 'None specified'}
-
-POST CONTENT (first 2000 chars):
-${contentText.substring(0, 2000)}
-
----
-
-Generate GEO components. Write in Kyndall's voice - a beauty influencer talking to a friend. Casual, helpful, specific.
-
-Respond with ONLY valid JSON (no markdown, no backticks):
-
-{
-  "quickAnswer": "2-3 sentence TL;DR that directly answers what this post is about. Be specific. 150-300 characters.",
-  
-  "keyTakeaways": [
-    { "icon": "✨", "point": "First key takeaway - specific and actionable" },
-    { "icon": "💧", "point": "Second key takeaway" },
-    { "icon": "☀️", "point": "Third key takeaway" },
-    { "icon": "💕", "point": "Fourth key takeaway" }
-  ],
-  
-  "expertTips": [
-    {
-      "title": "Short catchy tip title",
-      "description": "2-3 sentences explaining the tip",
-      "proTip": "One-liner insider advice (or null)"
-    },
-    {
-      "title": "Second tip title", 
-      "description": "Explanation of second tip",
-      "proTip": null
-    }
-  ],
-  
-  "faqSection": [
-    { "question": "Common question about this topic?", "answer": "Helpful answer in 2-3 sentences." },
-    { "question": "Another relevant question?", "answer": "Helpful answer." },
-    { "question": "Third question?", "answer": "Answer." }
-  ],
-  
-  "kyndallsTake": {
-    "headline": "Short catchy headline",
-    "content": "2-3 sentences of Kyndall's personal take. First person, casual, authentic.",
-    "mood": "recommend"
-  }
-}`
+  // Prompt template from Sanity (promptTemplate "geoContent") or the built-in default
+  const { prompt, version } = await renderPrompt('geoContent', {
+    title: post.title,
+    category: post.category || 'lifestyle',
+    excerpt: post.excerpt || 'No excerpt',
+    productNames: productNames || 'None specified',
+    content: contentText.substring(0, 2000)
+  })
 
   try {
-    const response = await anthropicClient.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 2000,
-      messages: [{ role: 'user', content: prompt }]
+    const geoContent = await requestStructured({
+      task: 'geoContent',
+      name: 'GEO content',
+      schema: GEO_CONTENT_SCHEMA,
+      prompt
     })
-
-    const text = response.content[0].text
-    
-    let cleanText = text
-      .replace(/```json\s*/gi, '')
-      .replace(/```\s*/gi, '')
-      .trim()
-    
-    const jsonMatch = cleanText.match(/\{[\s\S]*\}/)
-    if (jsonMatch) {
-      cleanText = jsonMatch[0]
-    }
-
-    return JSON.parse(cleanText)
+    return { ...geoContent, promptVersion: version }
     
   } catch (error) {
     console.error(`   ❌ GEO generation error: ${error.message}`)
@@ -184,7 +131,7 @@ Respond with ONLY valid JSON (no markdown, no backticks):
 // UPDATE POST WITH GEO CONTENT
 // ============================================================
 
-async function updatePostWithGeo(postId, geoContent) {
+async function updatePostWithGeo(post, geoContent) {
   const patch = {
     quickAnswer: geoContent.quickAnswer || null,
     
@@ -215,7 +162,22 @@ async function updatePostWithGeo(postId, geoContent) {
       headline: geoContent.kyndallsTake.headline || "Kyndall's Take",
       content: geoContent.kyndallsTake.content,
       mood: geoContent.kyndallsTake.mood || 'recommend'
-    } : undefined
+    } : undefined,
+    
+    // Which prompt template wrote the GEO content
+    geoPromptVersion: geoContent.promptVersion
+  }
+  
+  // Score the new quick answer (may swap in the suggested rewrite)
+  const review = await reviewQuickAnswerFields({
+    quickAnswer: patch.quickAnswer,
+    title: post.title,
+    category: post.category,
+    excerpt: post.excerpt
+  })
+  if (review) {
+    Object.assign(patch, review)
+    console.log(`      💬 Quick Answer: ${describeQuickAnswerReview(review)}`)
   }
   
   // Remove undefined values
@@ -224,7 +186,7 @@ async function updatePostWithGeo(postId, geoContent) {
   })
   
   await sanityClient
-    .patch(postId)
+    .patch(post._id)
     .set(patch)
     .commit()
 }
@@ -263,7 +225,7 @@ async function migrateProductsIfNeeded(post) {
 // ============================================================
 
 export async function runGeoMigration(maxPosts = 5) {
-  if (!anthropicClient || !sanityClient) {
+  if (!isLlmConfigured() || !sanityClient) {
     console.log('⚠️  GEO Migration not initialized, skipping...')
     return { updated: 0, errors: 0 }
   }
@@ -304,7 +266,7 @@ export async function runGeoMigration(maxPosts = 5) {
       
       // Update post
       try {
-        await updatePostWithGeo(post._id, geoContent)
+        await updatePostWithGeo(post, geoContent)
         console.log(`      ✅ Added GEO content`)
         updated++
       } catch (err) {
@@ -1,47 +1,132 @@
 // kyndall-content-engine/src/index.js
 // Kyndall Content Engine
 // Automatically generates SEO blog posts from social media content
-// Supports: YouTube + TikTok
+// Supports: YouTube + TikTok + Instagram Reels
 // Posts are created as DRAFTS - must be manually reviewed and published
 // NOW INCLUDES: Automatic GEO content migration for existing posts
 // NOW INCLUDES: Amazon PA-API auto-linking for all products
 
 import cron from 'node-cron'
 import http from 'http'
-import { getLatestVideos } from './youtube.js'
-import { getLatestTikTokVideos, initTikTokSanity, getTikTokStatus } from './tiktok.js'
-import { initClaude, analyzeVideoContent } from './claude.js'
-import { initAmazon } from './amazon.js'
+import { initYouTube } from './youtube.js'
+import { initTikTokSanity } from './tiktok.js'
+import { initInstagramSanity } from './instagram.js'
+import { fetchFromAllSources, getSourceIcon, getSourceStatuses, getSources } from './sources.js'
+import { initClaude } from './claude.js'
+import { initQuickAnswerReview } from './quick-answer.js'
+import { initJobs, getJob, createJob, getDueJobs, getQueueStats } from './jobs.js'
+import { processJob, reprocessVideo, getJobOutcome } from './pipeline.js'
+import { startRun, recordVideoOutcome, finishRun } from './runs.js'
+import { initAdminApi, handleAdminRequest } from './admin-api.js'
+import { initAmazon, getCacheStats } from './amazon.js'
+import { initAmazonCache } from './amazon-cache.js'
+import { initAmazonRateLimit } from './amazon-rate-limit.js'
+import { initAmazonRefresh, refreshAmazonProducts } from './amazon-refresh.js'
+import { initLinkHealth, runLinkHealthAudit } from './link-health.js'
+import { initLinks } from './links.js'
+import { initLinkPriority } from './link-priority.js'
+import { initEarnings } from './earnings.js'
+import { initStructuredOutput } from './schema.js'
+import { initLLM, applyLlmSettings, getLlmStats, getLlmThisMonth } from './llm.js'
+import { initPrompts } from './prompts.js'
+import { initStyleGuide } from './style-guide.js'
+import { initEditFeedback, runEditFeedbackAnalysis } from './edit-feedback.js'
+import { initShopMy, refreshLinkLibrary, isShopMyConfigured } from './shopmy.js'
 import { 
   initSanity, 
   checkIfVideoProcessed, 
-  createDraftBlogPost, 
   getExpiringCodes, 
   markReminderSent,
   getAdminSettings,
   runCleanup,
   getSanityClient
 } from './sanity.js'
-import { sendExpirationEmail, sendNewPostEmail } from './email.js'
+import { sendExpirationEmail } from './email.js'
 import { initGeoMigration, runGeoMigration } from './geo-migrate.js'
 
 // Load environment variables
 const config = {
   youtube: {
     apiKey: process.env.YOUTUBE_API_KEY,
-    channelId: process.env.YOUTUBE_CHANNEL_ID
+    channelId: process.env.YOUTUBE_CHANNEL_ID,
+    // Transcripts: timed-text files in TRANSCRIPT_DIR and/or the captions API (needs OAuth)
+    transcriptsEnabled: process.env.YOUTUBE_TRANSCRIPTS_ENABLED !== 'false',
+    transcriptDir: process.env.TRANSCRIPT_DIR || null,
+    transcriptLanguage: process.env.TRANSCRIPT_LANGUAGE || 'en',
+    oauth: {
+      clientId: process.env.YOUTUBE_OAUTH_CLIENT_ID,
+      clientSecret: process.env.YOUTUBE_OAUTH_CLIENT_SECRET,
+      refreshToken: process.env.YOUTUBE_OAUTH_REFRESH_TOKEN
+    }
   },
   tiktok: {
     clientKey: process.env.TIKTOK_CLIENT_KEY,
     clientSecret: process.env.TIKTOK_CLIENT_SECRET
   },
+  instagram: {
+    // Tokens live in Sanity (instagram-credentials) - this just turns the source off
+    enabled: process.env.INSTAGRAM_ENABLED !== 'false'
+  },
   anthropic: {
-    apiKey: process.env.ANTHROPIC_API_KEY
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    // JSON responses: repair (validate, one repair request) | tool (tool use with the schema)
+    outputMode: process.env.CLAUDE_OUTPUT_MODE || 'repair',
+    // Model for every task, then per task (adminSettings.llmSettings overrides both)
+    model: process.env.CLAUDE_MODEL,
+    tasks: {
+      analysis: {
+        model: process.env.CLAUDE_MODEL_ANALYSIS,
+        maxTokens: parseInt(process.env.CLAUDE_MAX_TOKENS_ANALYSIS) || null
+      },
+      quickAnswerReview: {
+        model: process.env.CLAUDE_MODEL_QUICK_ANSWER_REVIEW,
+        maxTokens: parseInt(process.env.CLAUDE_MAX_TOKENS_QUICK_ANSWER_REVIEW) || null
+      },
+      geoContent: {
+        model: process.env.CLAUDE_MODEL_GEO_CONTENT,
+        maxTokens: parseInt(process.env.CLAUDE_MAX_TOKENS_GEO_CONTENT) || null
+      }
+    },
+    // Retries for 429 (rate limited) / 529 (overloaded) / 5xx / connection errors
+    maxRetries: parseInt(process.env.CLAUDE_MAX_RETRIES) || 4
   },
   amazon: {
     associateTag: process.env.AMAZON_ASSOCIATE_TAG || 'kyndallames-20',
     accessKey: process.env.AMAZON_ACCESS_KEY,
-    secretKey: process.env.AMAZON_SECRET_KEY
+    secretKey: process.env.AMAZON_SECRET_KEY,
+    minMatchScore: parseFloat(process.env.AMAZON_MIN_MATCH_SCORE) || 0.6,
+    // Amazon links pasted with someone else's tag: replace (use ours) | keep
+    tagPolicy: process.env.AMAZON_TAG_POLICY || 'replace',
+    // Extra stores - enabled by setting their associate tag (keys default to the US ones)
+    marketplaces: {
+      UK: {
+        partnerTag: process.env.AMAZON_ASSOCIATE_TAG_UK,
+        accessKey: process.env.AMAZON_ACCESS_KEY_UK,
+        secretKey: process.env.AMAZON_SECRET_KEY_UK
+      },
+      CA: {
+        partnerTag: process.env.AMAZON_ASSOCIATE_TAG_CA,
+        accessKey: process.env.AMAZON_ACCESS_KEY_CA,
+        secretKey: process.env.AMAZON_SECRET_KEY_CA
+      }
+    },
+    // Search cache: memory | file | sanity (amazonLookup documents - survives deploys)
+    cacheBackend: process.env.AMAZON_CACHE_BACKEND || 'sanity',
+    cacheFile: process.env.AMAZON_CACHE_FILE || '.cache/amazon-lookups.json',
+    cacheTtlHours: parseFloat(process.env.AMAZON_CACHE_TTL_HOURS) || 24,
+    cacheNegativeTtlHours: parseFloat(process.env.AMAZON_CACHE_NEGATIVE_TTL_HOURS) || 6,
+    // PA-API quota (grows with sales - see the Associates dashboard)
+    tps: parseFloat(process.env.AMAZON_TPS) || 1,
+    dailyRequestLimit: parseInt(process.env.AMAZON_DAILY_REQUEST_LIMIT) || 8640,
+    // Daily price + availability refresh for published posts (node-cron, with seconds)
+    refreshCron: process.env.AMAZON_REFRESH_CRON || '0 0 6 * * *',
+    priceDropPercent: parseInt(process.env.AMAZON_PRICE_DROP_PERCENT) || 20
+  },
+  shopmy: {
+    apiToken: process.env.SHOPMY_API_TOKEN,
+    // Automatic link creation: off | dry-run | on
+    autoCreateMode: process.env.SHOPMY_AUTO_CREATE || 'off',
+    autoCreateBrands: (process.env.SHOPMY_AUTO_CREATE_BRANDS || '').split(',').map(b => b.trim()).filter(Boolean)
   },
   sanity: {
     projectId: process.env.SANITY_PROJECT_ID || 'f9drkp1w',
@@ -57,7 +142,34 @@ const config = {
   maxVideosRegular: parseInt(process.env.MAX_VIDEOS_REGULAR) || 10,
   // GEO migration settings
   geoMigrationEnabled: process.env.GEO_MIGRATION_ENABLED !== 'false', // enabled by default
-  geoMigrationBatchSize: parseInt(process.env.GEO_MIGRATION_BATCH_SIZE) || 5
+  geoMigrationBatchSize: parseInt(process.env.GEO_MIGRATION_BATCH_SIZE) || 5,
+  // Quick Answer review - below minScore the suggested rewrite is applied (autoApply) or saved as an alternative
+  quickAnswer: {
+    enabled: process.env.QUICK_ANSWER_REVIEW !== 'false',
+    minScore: parseInt(process.env.QUICK_ANSWER_MIN_SCORE) || 7,
+    autoApply: process.env.QUICK_ANSWER_AUTO_APPLY === 'true'
+  },
+  // Few-shot examples from Kyndall's finished posts in the analysis prompt (0 = off)
+  styleExamples: {
+    count: parseInt(process.env.STYLE_EXAMPLES ?? '2') || 0,
+    maxChars: parseInt(process.env.STYLE_EXAMPLE_MAX_CHARS) || 2500
+  },
+  // Edit feedback (AI draft vs published post) - node-cron, default Mondays at 8am, 'off' to disable
+  editFeedback: {
+    cron: process.env.EDIT_FEEDBACK_CRON || '0 0 8 * * 1',
+    promptRules: process.env.EDIT_FEEDBACK_PROMPT_RULES === 'true',
+    minPosts: parseInt(process.env.EDIT_FEEDBACK_MIN_POSTS) || 3
+  },
+  // Retailer order for article links - first one a product has wins
+  linkPriority: (process.env.LINK_PRIORITY || 'shopmy,ltk,amazon').split(','),
+  // Affiliate link audit (node-cron, with seconds) - default Mondays at 7am, 'off' to disable
+  linkHealthCron: process.env.LINK_HEALTH_CRON || '0 0 7 * * 1',
+  // Admin API (POST /runs, GET /drafts, ...) - disabled when not set
+  adminApiToken: process.env.ADMIN_API_TOKEN,
+  // Job queue settings
+  maxJobsPerRun: parseInt(process.env.MAX_JOBS_PER_RUN) || 50,
+  jobMaxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 5,
+  jobRetryBaseMinutes: parseInt(process.env.JOB_RETRY_BASE_MINUTES) || 5
 }
 
 // Track first run
@@ -68,8 +180,8 @@ const stats = {
   startTime: new Date(),
   totalProcessed: 0,
   totalSkipped: 0,
-  youtubeProcessed: 0,
-  tiktokProcessed: 0,
+  totalFailed: 0,
+  processedBySource: {},
   geoMigrated: 0,
   geoErrors: 0
 }
@@ -102,17 +214,33 @@ function validateConfig() {
     console.log('⚠️  Amazon PA-API credentials not configured - auto-linking disabled')
     console.log('   Add AMAZON_ACCESS_KEY and AMAZON_SECRET_KEY to enable')
   }
+  
+  // ShopMy is optional - just log status
+  if (!config.shopmy.apiToken) {
+    console.log('⚠️  ShopMy API token not configured - ShopMy link matching disabled')
+    console.log('   Add SHOPMY_API_TOKEN to enable')
+  }
 }
 
 // Health check server
 const server = http.createServer((req, res) => {
+  // Authenticated admin routes (/runs, /videos/:id/reprocess, /drafts, /sources)
+  if (handleAdminRequest(req, res)) return
+  
   if (req.url === '/health') {
-    res.writeHead(200, { 'Content-Type': 'application/json' })
-    res.end(JSON.stringify({
-      status: 'healthy',
-      uptime: Math.floor((Date.now() - stats.startTime) / 1000),
-      stats
-    }))
+    getQueueStats().catch(() => null).then(queue => {
+      res.writeHead(200, { 'Content-Type': 'application/json' })
+      res.end(JSON.stringify({
+        status: 'healthy',
+        uptime: Math.floor((Date.now() - stats.startTime) / 1000),
+        stats,
+        sources: getSourceStatuses(),
+        queue,
+        amazonCache: getCacheStats(),
+        // Cached - GET /llm/usage reads Sanity
+        llm: { ...getLlmStats(), thisMonth: getLlmThisMonth() }
+      }))
+    })
   } else if (req.url === '/geo-migrate' && req.method === 'POST') {
     // Manual trigger for GEO migration
     console.log('🎯 Manual GEO migration triggered via HTTP')
@@ -154,8 +282,40 @@ async function checkExpiringCodes(adminSettings) {
   }
 }
 
+// Start a content check unless one is already running
+// Returns the run (for the admin API) or null when busy
+function triggerContentCheck(trigger) {
+  const run = startRun(trigger)
+  if (!run) {
+    console.log(`\n⏳ Skipping ${trigger} content check - a run is already in progress`)
+    return null
+  }
+  
+  processNewContent(run)
+  return run
+}
+
+// Regenerate one video in the background (admin API)
+function triggerReprocess(videoId) {
+  const run = startRun('reprocess', { videoId })
+  if (!run) return null
+  
+  reprocessVideo(videoId, {
+    resendApiKey: config.email.resendApiKey
+  }).then(result => {
+    recordVideoOutcome(run, getJobOutcome(result))
+    finishRun(run, { summary: { draftsCreated: result.draftCreated ? 1 : 0 } })
+  }).catch(error => {
+    console.log(`   ❌ Reprocess error: ${error.message}`)
+    recordVideoOutcome(run, { videoId, outcome: 'failed', error: error.message })
+    finishRun(run, { error })
+  })
+  
+  return run
+}
+
 // Main processing function
-async function processNewContent() {
+async function processNewContent(run) {
   console.log('\n========================================')
   console.log(`🔍 ${isFirstRun ? 'FIRST RUN (fetching all videos)' : 'Regular check'}`)
   console.log('========================================\n')
@@ -169,151 +329,115 @@ async function processNewContent() {
     
     const notificationEmail = adminSettings?.notificationEmail || 'hello@kyndallames.com'
     
+    // Claude model / max_tokens overrides (adminSettings.llmSettings)
+    applyLlmSettings(adminSettings)
+    
     // 1. Check expiring discount codes
     await checkExpiringCodes(adminSettings)
     
     // 2. Run cleanup of old data
     await runCleanup()
     
-    // 3. Fetch videos from all sources
-    const maxVideos = isFirstRun ? config.maxVideosFirstRun : config.maxVideosRegular
-    const allVideos = []
-    
-    // --- YouTube ---
-    console.log(`\n📺 Fetching up to ${maxVideos} YouTube videos...`)
-    try {
-      const youtubeVideos = await getLatestVideos(
-        config.youtube.apiKey,
-        config.youtube.channelId,
-        maxVideos
-      )
-      console.log(`   Found ${youtubeVideos.length} YouTube videos`)
-      allVideos.push(...youtubeVideos)
-    } catch (error) {
-      console.log(`   ❌ YouTube error: ${error.message}`)
+    // Load Kyndall's ShopMy link library once for this run
+    if (isShopMyConfigured()) {
+      await refreshLinkLibrary()
     }
     
-    // --- TikTok ---
-    let tiktokVideos = []
-    if (config.tiktok.clientKey && config.tiktok.clientSecret) {
-      console.log(`\n🎵 Fetching up to ${maxVideos} TikTok videos...`)
-      
-      // Check TikTok connection status first
-      const tiktokStatus = await getTikTokStatus()
-      
-      if (tiktokStatus.connected) {
-        try {
-          const tiktokVideos = await getLatestTikTokVideos(maxVideos)
-          console.log(`   Found ${tiktokVideos.length} TikTok videos`)
-          allVideos.push(...tiktokVideos)
-        } catch (error) {
-          console.log(`   ❌ TikTok error: ${error.message}`)
-        }
-      } else {
-        console.log(`   ⚠️ ${tiktokStatus.message}`)
-        if (tiktokStatus.expired) {
-          console.log('      Reconnect at: https://kyndallames.com/admin/tiktok')
-        }
-      }
-    }
+    // 3. Fetch videos from all sources
+    const allVideos = await fetchFromAllSources(config, adminSettings, { isFirstRun })
     
-    console.log(`\n📊 Total videos to process: ${allVideos.length}`)
+    console.log(`\n📊 Total videos found: ${allVideos.length}`)
     
     // Sort by publish date (newest first)
     allVideos.sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt))
     
-    if (allVideos.length === 0) {
-      console.log('\n📭 No videos found to process')
-      isFirstRun = false
-      
-      // Still run GEO migration even if no new videos
-      if (config.geoMigrationEnabled) {
-        const geoResult = await runGeoMigration(config.geoMigrationBatchSize)
-        stats.geoMigrated += geoResult.updated
-        stats.geoErrors += geoResult.errors
-      }
-      return
-    }
-    
-    // 4. Process each video
-    let postsCreated = 0
+    // 4. Queue new videos (one contentJob per video)
     let postsSkipped = 0
-    let totalProducts = 0
-    let shopmyLinks = 0
-    let amazonLinks = 0
-    let youtubeCount = 0
-    let tiktokCount = 0
+    let jobsQueued = 0
     
     for (const video of allVideos) {
-      const platformIcon = video.platform === 'tiktok' ? '🎵' : '📺'
-      console.log(`\n${platformIcon} Processing: "${video.title}"`)
-      console.log(`   Platform: ${video.platform}`)
+      const videoInfo = { videoId: video.id, title: video.title, platform: video.platform }
       
-      const alreadyProcessed = await checkIfVideoProcessed(video.id)
-      if (alreadyProcessed) {
-        console.log('   ⏭️  Already processed - skipping')
-        postsSkipped++
+      const existingJob = await getJob(video.id)
+      if (existingJob) {
+        if (existingJob.status === 'completed' || existingJob.status === 'failed') {
+          if (existingJob.status === 'completed') postsSkipped++
+          recordVideoOutcome(run, { ...videoInfo, outcome: 'skipped', stage: existingJob.stage, error: existingJob.lastError })
+        }
         continue
       }
       
-      // Analyze video with Claude
-      console.log('   🤖 Analyzing content with Claude...')
-      const analysis = await analyzeVideoContent(video)
-      if (!analysis) {
-        console.log('   ❌ Analysis failed - skipping')
+      // Drafts created before the job queue existed have no job
+      const alreadyProcessed = await checkIfVideoProcessed(video.id)
+      if (alreadyProcessed) {
+        postsSkipped++
+        recordVideoOutcome(run, { ...videoInfo, outcome: 'skipped', draftId: alreadyProcessed })
         continue
       }
       
-      const productLinks = analysis.products || []
-      console.log(`   ✅ Category: ${analysis.category}, Products: ${productLinks.length}`)
+      await createJob(video)
+      jobsQueued++
+      recordVideoOutcome(run, { ...videoInfo, outcome: 'queued', stage: 'fetched' })
+    }
+    
+    console.log(`   ⏭️  Already processed: ${postsSkipped}`)
+    console.log(`   📥 Newly queued: ${jobsQueued}`)
+    
+    // 5. Process every job that's due - new videos plus retries from earlier runs
+    const dueJobs = await getDueJobs(config.maxJobsPerRun)
+    console.log(`   🔁 Jobs due (new + retries): ${dueJobs.length}`)
+    
+    let postsCreated = 0
+    let jobsFailed = 0
+    let totalProducts = 0
+    let shopmyLinks = 0
+    let amazonLinks = 0
+    let shopmyCreated = 0
+    let shopmyPlanned = 0
+    const createdBySource = {}
+    
+    for (const job of dueJobs) {
+      const platformIcon = getSourceIcon(job.platform)
+      console.log(`\n${platformIcon} Processing: "${job.title}"`)
+      console.log(`   Platform: ${job.platform} | Stage: ${job.stage}`)
       
-      // Count link types
-      const withShopmy = productLinks.filter(p => p.shopmyUrl).length
-      const withAmazon = productLinks.filter(p => p.amazonUrl).length
-      if (productLinks.length > 0) {
-        console.log(`      🛍️  ${withShopmy} ShopMy, 📦 ${withAmazon} Amazon`)
+      let result
+      try {
+        result = await processJob(job, {
+          resendApiKey: config.email.resendApiKey,
+          notificationEmail,
+          isFirstRun
+        })
+      } catch (error) {
+        // Couldn't even record the failure (Sanity down?) - the job stays due for next run
+        console.log(`   ❌ Job error: ${error.message}`)
+        jobsFailed++
+        recordVideoOutcome(run, { videoId: job.videoId, title: job.title, platform: job.platform, outcome: 'failed', stage: job.stage, error: error.message })
+        continue
       }
       
-      // Create draft blog post
-      console.log('   📝 Creating DRAFT blog post...')
-      const post = await createDraftBlogPost({
-        video,
-        analysis,
-        productLinks
-      })
-      
-      postsCreated++
-      totalProducts += productLinks.length
-      shopmyLinks += withShopmy
-      amazonLinks += withAmazon
+      recordVideoOutcome(run, getJobOutcome(result))
       
-      // Track by platform
-      if (video.platform === 'tiktok') {
-        tiktokCount++
-      } else {
-        youtubeCount++
+      if (result.status !== 'completed') {
+        jobsFailed++
       }
       
-      console.log(`   ✅ Created DRAFT: "${post.title}"`)
-      
-      // Send email notification about new draft (not on first run)
-      if (config.email.resendApiKey && !isFirstRun) {
-        console.log('   📧 Sending notification...')
-        await sendNewPostEmail(
-          config.email.resendApiKey,
-          {
-            title: post.title,
-            excerpt: analysis.blogExcerpt,
-            category: analysis.category,
-            platform: video.platform,
-            productLinks: productLinks
-          },
-          notificationEmail
-        )
+      if (result.draftCreated) {
+        const productLinks = result.analysis?.products || []
+        
+        postsCreated++
+        totalProducts += productLinks.length
+        shopmyLinks += productLinks.filter(p => p.shopmyUrl).length
+        amazonLinks += productLinks.filter(p => p.amazonUrl).length
+        shopmyCreated += result.analysis?.shopmyAutoCreate?.created.length || 0
+        shopmyPlanned += result.analysis?.shopmyAutoCreate?.planned.length || 0
+        
+        // Track by platform
+        createdBySource[job.platform] = (createdBySource[job.platform] || 0) + 1
       }
       
       // Small delay between processing to avoid rate limits
-      if (allVideos.length > 5) {
+      if (dueJobs.length > 5) {
         await new Promise(resolve => setTimeout(resolve, 1000))
       }
     }
@@ -321,22 +445,34 @@ async function processNewContent() {
     // Update stats
     stats.totalProcessed += postsCreated
     stats.totalSkipped += postsSkipped
-    stats.youtubeProcessed += youtubeCount
-    stats.tiktokProcessed += tiktokCount
+    stats.totalFailed += jobsFailed
+    for (const [platform, count] of Object.entries(createdBySource)) {
+      stats.processedBySource[platform] = (stats.processedBySource[platform] || 0) + count
+    }
     
     console.log('\n✨ Content check complete!')
-    console.log(`   Videos found: ${allVideos.length} (📺 YouTube: ${allVideos.filter(v => v.platform !== 'tiktok').length}, 🎵 TikTok: ${allVideos.filter(v => v.platform === 'tiktok').length})`)
+    const foundBySource = getSources()
+      .map(source => `${source.icon} ${source.label}: ${allVideos.filter(v => v.platform === source.name).length}`)
+      .join(', ')
+    const newBySource = Object.entries(createdBySource)
+      .map(([platform, count]) => `${getSourceIcon(platform)} ${count}`)
+      .join(', ')
+    console.log(`   Videos found: ${allVideos.length} (${foundBySource})`)
     console.log(`   Already processed: ${postsSkipped}`)
-    console.log(`   New drafts created: ${postsCreated} (📺 ${youtubeCount}, 🎵 ${tiktokCount})`)
+    console.log(`   New drafts created: ${postsCreated}${newBySource ? ` (${newBySource})` : ''}`)
+    console.log(`   Jobs failed (will retry or need attention): ${jobsFailed}`)
     console.log(`   Products found: ${totalProducts}`)
     console.log(`   🛍️  ShopMy links: ${shopmyLinks}`)
     console.log(`   📦 Amazon links: ${amazonLinks}`)
+    if (config.shopmy.autoCreateMode !== 'off') {
+      console.log(`   🛍️  ShopMy auto-create (${config.shopmy.autoCreateMode}): ${shopmyCreated} created, ${shopmyPlanned} planned`)
+    }
     
     if (isFirstRun && postsCreated > 0) {
       console.log(`\n📧 First run complete - ${postsCreated} new drafts ready for review`)
     }
     
-    // 5. Run GEO migration for existing posts (after processing new content)
+    // 6. Run GEO migration for existing posts (after processing new content)
     if (config.geoMigrationEnabled) {
       const geoResult = await runGeoMigration(config.geoMigrationBatchSize)
       stats.geoMigrated += geoResult.updated
@@ -346,8 +482,23 @@ async function processNewContent() {
     // Mark first run as complete
     isFirstRun = false
     
+    finishRun(run, {
+      summary: {
+        videosFound: allVideos.length,
+        skipped: postsSkipped,
+        queued: jobsQueued,
+        jobsProcessed: dueJobs.length,
+        draftsCreated: postsCreated,
+        jobsFailed,
+        products: totalProducts,
+        shopmyLinks,
+        amazonLinks
+      }
+    })
+    
   } catch (error) {
     console.error('❌ Error processing content:', error)
+    finishRun(run, { error })
   }
 }
 
@@ -359,36 +510,123 @@ async function main() {
   console.log('💰 Amazon PA-API auto-links ALL products')
   console.log(`📺 YouTube: Enabled`)
   console.log(`🎵 TikTok: ${config.tiktok.clientKey ? 'Enabled (if connected)' : 'Disabled (no credentials)'}`)
+  console.log(`📸 Instagram: ${config.instagram.enabled ? 'Enabled (if connected)' : 'Disabled'}`)
   console.log(`📦 Amazon PA-API: ${config.amazon.accessKey ? 'Enabled' : 'Disabled (no credentials)'}`)
+  console.log(`🛍️  ShopMy matching: ${config.shopmy.apiToken ? 'Enabled' : 'Disabled (no token)'}`)
+  console.log(`🛍️  ShopMy auto-create: ${config.shopmy.autoCreateMode}`)
   console.log(`🎯 GEO Migration: ${config.geoMigrationEnabled ? 'Enabled' : 'Disabled'}`)
+  console.log(`💬 Quick Answer review: ${config.quickAnswer.enabled ? `min score ${config.quickAnswer.minScore}, ${config.quickAnswer.autoApply ? 'auto-apply' : 'suggest'}` : 'Disabled'}`)
   console.log(`📺 First run will fetch up to ${config.maxVideosFirstRun} videos per platform\n`)
   
   validateConfig()
   
+  // Initialize YouTube source (channel + transcript settings)
+  initYouTube(config.youtube)
+  
   // Initialize Amazon PA-API (for auto-linking products)
   initAmazon({
     accessKey: config.amazon.accessKey,
     secretKey: config.amazon.secretKey,
-    partnerTag: config.amazon.associateTag
+    partnerTag: config.amazon.associateTag,
+    marketplaces: config.amazon.marketplaces,
+    minMatchScore: config.amazon.minMatchScore
+  })
+  initAmazonRateLimit({
+    tps: config.amazon.tps,
+    dailyLimit: config.amazon.dailyRequestLimit
+  })
+  
+  // Initialize ShopMy (for matching products against Kyndall's link library)
+  initShopMy(config.shopmy.apiToken, {
+    autoCreateMode: config.shopmy.autoCreateMode,
+    autoCreateBrands: config.shopmy.autoCreateBrands
   })
   
   // Initialize Claude with Sanity config for brand management
-  initClaude(config.anthropic.apiKey, config.amazon.associateTag, {
+  initClaude({
     projectId: config.sanity.projectId,
     dataset: config.sanity.dataset,
     token: config.sanity.token
   })
   
+  // Schema validation for Claude's JSON (analysis, quick answer review, GEO content)
+  initStructuredOutput({ mode: config.anthropic.outputMode })
+  
+  // Amazon price refresh settings
+  initAmazonRefresh({ priceDropPercent: config.amazon.priceDropPercent })
+  
+  // Description links (short-link expansion, canonical Amazon URLs, associate tags)
+  // the affiliate link audit and earnings imports all need Kyndall's tag per Amazon store
+  const associateTags = {
+    US: config.amazon.associateTag,
+    UK: config.amazon.marketplaces.UK.partnerTag,
+    CA: config.amazon.marketplaces.CA.partnerTag
+  }
+  initLinks({ associateTags, tagPolicy: config.amazon.tagPolicy })
+  initLinkHealth({ associateTags, resendApiKey: config.email.resendApiKey })
+  initEarnings({ associateTags })
+  
+  // Quick Answer review settings (new drafts + GEO migration)
+  initQuickAnswerReview(config.quickAnswer)
+  
   // Initialize Sanity
   initSanity(config.sanity.projectId, config.sanity.dataset, config.sanity.token)
   
   // Initialize TikTok with Sanity client (for token storage)
   initTikTokSanity(config.sanity.projectId, config.sanity.dataset, config.sanity.token)
   
+  // Initialize Instagram with Sanity client (for token storage)
+  initInstagramSanity(config.sanity.projectId, config.sanity.dataset, config.sanity.token)
+  
+  // Initialize the job queue (contentJob documents in Sanity)
+  initJobs(getSanityClient(), {
+    maxAttempts: config.jobMaxAttempts,
+    baseDelayMs: config.jobRetryBaseMinutes * 60 * 1000
+  })
+  
+  // Which link (ShopMy / LTK / Amazon) goes in the article - LINK_PRIORITY is the
+  // fallback for the linkPriority document and beautyBrand overrides in Sanity
+  initLinkPriority({ priority: config.linkPriority, client: getSanityClient() })
+  
+  // Analysis / GEO prompt templates (promptTemplate documents, built-in defaults otherwise)
+  initPrompts({ client: getSanityClient() })
+  
+  // Kyndall's style guide + her closest finished posts as few-shot examples
+  initStyleGuide({
+    client: getSanityClient(),
+    exampleCount: config.styleExamples.count,
+    maxExampleChars: config.styleExamples.maxChars
+  })
+  
+  // What Kyndall changes before publishing → report + optional "avoid" rules in the prompt
+  initEditFeedback({
+    client: getSanityClient(),
+    promptRules: config.editFeedback.promptRules,
+    minPosts: config.editFeedback.minPosts
+  })
+  
+  // Amazon search cache (persisted so restarts don't burn the PA-API quota)
+  initAmazonCache({
+    backend: config.amazon.cacheBackend,
+    client: getSanityClient(),
+    filePath: config.amazon.cacheFile,
+    ttlMs: config.amazon.cacheTtlHours * 60 * 60 * 1000,
+    negativeTtlMs: config.amazon.cacheNegativeTtlHours * 60 * 60 * 1000
+  })
+  
+  // Claude API: models per task, retries (429/529/5xx), token + cost accounting (llmUsage documents)
+  initLLM({
+    apiKey: config.anthropic.apiKey,
+    model: config.anthropic.model,
+    tasks: config.anthropic.tasks,
+    maxRetries: config.anthropic.maxRetries,
+    client: getSanityClient()
+  })
+  
   // Initialize GEO migration with the Sanity client
   if (config.geoMigrationEnabled) {
     const sanityClientInstance = getSanityClient()
-    initGeoMigration(config.anthropic.apiKey, sanityClientInstance)
+    initGeoMigration(sanityClientInstance)
   }
   
   console.log('✅ Services initialized')
@@ -402,17 +640,50 @@ async function main() {
   
   console.log(`⏰ After first run, checking every ${checkInterval} minutes\n`)
   
+  // Admin API can trigger runs / reprocess videos from now on
+  initAdminApi({
+    token: config.adminApiToken,
+    config,
+    triggerRun: () => triggerContentCheck('admin'),
+    reprocessVideo: triggerReprocess
+  })
+  
   // Run immediately on start (first run)
-  await processNewContent()
+  await processNewContent(startRun('startup'))
   
   // Schedule recurring checks
   const cronExpression = `0 */${checkInterval} * * * *`
-  cron.schedule(cronExpression, processNewContent)
+  cron.schedule(cronExpression, () => triggerContentCheck('cron'))
+  
+  // Daily Amazon price + availability refresh
+  if (config.amazon.accessKey) {
+    cron.schedule(config.amazon.refreshCron, () => {
+      refreshAmazonProducts().catch(error => console.error('❌ Amazon refresh error:', error.message))
+    })
+  }
+  
+  // Weekly affiliate link audit (+ digest email)
+  if (config.linkHealthCron !== 'off') {
+    cron.schedule(config.linkHealthCron, () => {
+      runLinkHealthAudit().catch(error => console.error('❌ Link audit error:', error.message))
+    })
+  }
+  
+  // Weekly edit feedback report (AI drafts vs what Kyndall published)
+  if (config.editFeedback.cron !== 'off') {
+    cron.schedule(config.editFeedback.cron, () => {
+      runEditFeedbackAnalysis().catch(error => console.error('❌ Edit feedback error:', error.message))
+    })
+  }
   
   console.log('\n🎯 Content engine running.')
   console.log('   New YouTube videos → Draft blog posts')
   console.log('   New TikTok videos → Draft blog posts')
-  console.log('   All products → Amazon PA-API search')
+  console.log('   New Instagram Reels → Draft blog posts')
+  console.log('   All products → ShopMy library match + Amazon PA-API search')
+  console.log('   Published posts → daily Amazon price + availability check')
+  console.log('   Published posts → weekly affiliate link audit')
+  console.log('   Published posts → weekly edit feedback (what Kyndall changes)')
   console.log('   Existing posts → GEO content migration')
   console.log('   Kyndall reviews and publishes in Sanity Studio')
 }
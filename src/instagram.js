@@ -0,0 +1,287 @@
+// src/instagram.js
+// Instagram Graph API Service for Content Engine
+// Fetches Kyndall's Instagram Reels for blog post generation
+// Same workflow as YouTube/TikTok - Reels become draft blogPosts
+
+import { createClient } from '@sanity/client'
+
+const INSTAGRAM_API_BASE = 'https://graph.instagram.com/v21.0'
+const INSTAGRAM_REFRESH_URL = 'https://graph.instagram.com/refresh_access_token'
+
+// Long-lived tokens last 60 days and can only be refreshed once they are 24 hours old
+const REFRESH_WINDOW_MS = 7 * 24 * 60 * 60 * 1000 // Refresh when less than 7 days left
+const MIN_TOKEN_AGE_MS = 24 * 60 * 60 * 1000
+
+const MAX_MEDIA_PAGES = 4 // pages of the media feed checked per run (photos/carousels are skipped)
+
+let sanityClient = null
+
+/**
+ * Initialize Sanity client for token storage
+ */
+export function initInstagramSanity(projectId, dataset, token) {
+  sanityClient = createClient({
+    projectId,
+    dataset,
+    apiVersion: '2024-01-01',
+    token,
+    useCdn: false,
+  })
+}
+
+/**
+ * Get stored Instagram credentials from Sanity
+ */
+async function getCredentials() {
+  if (!sanityClient) {
+    console.log('   ⚠️ Instagram: Sanity client not initialized')
+    return null
+  }
+
+  try {
+    const credentials = await sanityClient.fetch(
+      `*[_id == "instagram-credentials"][0]`
+    )
+    return credentials
+  } catch (error) {
+    console.log('   ⚠️ Instagram: No credentials found')
+    return null
+  }
+}
+
+/**
+ * Refresh the long-lived access token if it is close to expiring
+ */
+async function refreshTokenIfNeeded(credentials) {
+  const now = Date.now()
+  const accessExpiry = new Date(credentials.accessTokenExpiry).getTime()
+
+  // Expired long-lived tokens can't be refreshed
+  if (now >= accessExpiry) {
+    console.log('   ❌ Instagram: Access token expired - need to reconnect at /admin/instagram')
+    return null
+  }
+
+  // Plenty of time left - use it as is
+  if (now < accessExpiry - REFRESH_WINDOW_MS) {
+    return credentials.accessToken
+  }
+
+  // Instagram rejects refreshes for tokens younger than 24 hours
+  const issuedAt = new Date(credentials.lastRefreshed || credentials.connectedAt).getTime()
+  if (issuedAt && now - issuedAt < MIN_TOKEN_AGE_MS) {
+    return credentials.accessToken
+  }
+
+  console.log('   🔄 Instagram: Refreshing access token...')
+
+  try {
+    const response = await fetch(`${INSTAGRAM_REFRESH_URL}?` + new URLSearchParams({
+      grant_type: 'ig_refresh_token',
+      access_token: credentials.accessToken,
+    }))
+
+    const data = await response.json()
+
+    if (data.error) {
+      console.log(`   ❌ Instagram: Token refresh failed - ${data.error.message}`)
+      // The current token still works until it expires
+      return credentials.accessToken
+    }
+
+    // Update stored token
+    const newAccessExpiry = Date.now() + (data.expires_in * 1000)
+
+    await sanityClient.patch('instagram-credentials').set({
+      accessToken: data.access_token,
+      accessTokenExpiry: new Date(newAccessExpiry).toISOString(),
+      lastRefreshed: new Date().toISOString(),
+    }).commit()
+
+    console.log('   ✅ Instagram: Token refreshed successfully')
+    return data.access_token
+
+  } catch (error) {
+    console.log(`   ❌ Instagram: Token refresh error - ${error.message}`)
+    return credentials.accessToken
+  }
+}
+
+/**
+ * Fetch Reels from the Instagram Graph API (follows pagination, up to MAX_MEDIA_PAGES pages)
+ */
+async function fetchInstagramReels(accessToken, maxCount = 20) {
+  const fields = [
+    'id',
+    'caption',
+    'media_type',
+    'media_product_type',
+    'thumbnail_url',
+    'permalink',
+    'timestamp',
+    'like_count',
+    'comments_count',
+  ].join(',')
+
+  const reels = []
+  let nextUrl = `${INSTAGRAM_API_BASE}/me/media?` + new URLSearchParams({
+    fields,
+    limit: Math.min(50, maxCount * 2).toString(), // Feed also contains photos/carousels
+    access_token: accessToken,
+  })
+
+  // Mostly-photo accounts would otherwise page through their whole history every run
+  for (let page = 0; nextUrl && reels.length < maxCount && page < MAX_MEDIA_PAGES; page++) {
+    const response = await fetch(nextUrl)
+    const data = await response.json()
+
+    if (data.error) {
+      throw new Error(data.error.message || 'Failed to fetch Instagram media')
+    }
+
+    const videos = (data.data || []).filter(item =>
+      item.media_product_type === 'REELS' || item.media_type === 'VIDEO'
+    )
+    reels.push(...videos)
+
+    nextUrl = data.paging?.next || null
+  }
+
+  return reels.slice(0, maxCount)
+}
+
+// Captions have no title - use the first line, trimmed to a sensible length
+function getTitleFromCaption(caption) {
+  const firstLine = (caption || '').split('\n')[0].replace(/#\w+/g, '').trim()
+  if (!firstLine) return 'Instagram Reel'
+  return firstLine.length > 100 ? `${firstLine.substring(0, 97)}...` : firstLine
+}
+
+function getHashtags(caption) {
+  return (caption?.match(/#(\w+)/g) || []).map(tag => tag.substring(1))
+}
+
+/**
+ * Get latest Instagram Reels - main export function
+ * Matches the same interface as getLatestVideos from youtube.js
+ *
+ * @param {number} maxResults - Maximum number of Reels to fetch
+ * @returns {Promise<Array>} Array of video objects
+ */
+export async function getLatestInstagramReels(maxResults = 20) {
+  console.log(`   Fetching up to ${maxResults} Instagram Reels...`)
+
+  try {
+    // Get stored credentials
+    const credentials = await getCredentials()
+
+    if (!credentials) {
+      console.log('   ⚠️ Instagram: Not connected - skipping')
+      console.log('      Connect Instagram at: /admin/instagram')
+      return []
+    }
+
+    // Get valid access token
+    const accessToken = await refreshTokenIfNeeded(credentials)
+
+    if (!accessToken) {
+      console.log('   ⚠️ Instagram: Unable to get valid token - skipping')
+      return []
+    }
+
+    // Fetch Reels
+    const reels = await fetchInstagramReels(accessToken, maxResults)
+    console.log(`   Found ${reels.length} Instagram Reels`)
+
+    // Transform to match YouTube video format for consistent processing
+    const videos = reels.map(reel => ({
+      id: `instagram_${reel.id}`, // Prefix to avoid ID collisions with YouTube
+      title: getTitleFromCaption(reel.caption),
+      description: reel.caption || '',
+      thumbnail: reel.thumbnail_url,
+      publishedAt: reel.timestamp
+        ? new Date(reel.timestamp).toISOString()
+        : new Date().toISOString(),
+      tags: getHashtags(reel.caption),
+      viewCount: '0', // Plays are only available through the insights API
+      likeCount: reel.like_count?.toString() || '0',
+      commentCount: reel.comments_count?.toString() || '0',
+      duration: null,
+      url: reel.permalink,
+      embedUrl: reel.permalink ? `${reel.permalink.replace(/\/$/, '')}/embed` : null,
+      platform: 'instagram', // Important: identifies this as an Instagram Reel
+      aspectRatio: 'portrait', // Reels are vertical
+    }))
+
+    return videos
+
+  } catch (error) {
+    console.log(`   ❌ Instagram: Error fetching Reels - ${error.message}`)
+    return []
+  }
+}
+
+/**
+ * Check if Instagram is connected
+ */
+export async function isInstagramConnected() {
+  const credentials = await getCredentials()
+
+  if (!credentials) return false
+
+  // Long-lived token must still be valid
+  const accessExpiry = new Date(credentials.accessTokenExpiry).getTime()
+  return Date.now() < accessExpiry
+}
+
+/**
+ * Get Instagram connection status
+ */
+export async function getInstagramStatus() {
+  const credentials = await getCredentials()
+
+  if (!credentials) {
+    return {
+      connected: false,
+      message: 'Instagram not connected',
+    }
+  }
+
+  const now = Date.now()
+  const accessExpiry = new Date(credentials.accessTokenExpiry).getTime()
+
+  if (now >= accessExpiry) {
+    return {
+      connected: false,
+      expired: true,
+      message: 'Instagram authorization expired - please reconnect',
+    }
+  }
+
+  const daysUntilExpiry = Math.floor((accessExpiry - now) / (1000 * 60 * 60 * 24))
+
+  return {
+    connected: true,
+    connectedAt: credentials.connectedAt,
+    username: credentials.username || null,
+    daysUntilExpiry,
+    message: `Instagram connected (token refreshes automatically, expires in ${daysUntilExpiry} days)`,
+  }
+}
+
+/**
+ * Content source registration (see sources.js)
+ */
+export const instagramSource = {
+  name: 'instagram',
+  label: 'Instagram',
+  icon: '📸',
+
+  isEnabled(config) {
+    return config.instagram?.enabled !== false
+  },
+
+  getStatus: getInstagramStatus,
+
+  fetchLatest: getLatestInstagramReels,
+}
@@ -0,0 +1,277 @@
+// kyndall-content-engine/src/jobs.js
+// Persistent content job queue
+// Every video gets a "contentJob" document in Sanity that records how far it got:
+//
+//   fetched → analyzed → enriched → drafted → notified
+//
+// A failed stage is retried with exponential backoff, resuming from the last
+// completed stage (no re-analyzing a video just because the email failed).
+// Jobs survive restarts and deploys, and Studio shows exactly where a video is stuck.
+
+let sanityClient = null
+
+export const STAGES = ['fetched', 'analyzed', 'enriched', 'drafted', 'notified']
+
+let settings = {
+  maxAttempts: 5,
+  baseDelayMs: 5 * 60 * 1000,      // 5 minutes
+  maxDelayMs: 6 * 60 * 60 * 1000   // 6 hours
+}
+
+// ============================================================
+// INITIALIZATION
+// ============================================================
+
+export function initJobs(sanityClientInstance, options = {}) {
+  sanityClient = sanityClientInstance
+  settings = {
+    maxAttempts: options.maxAttempts || settings.maxAttempts,
+    baseDelayMs: options.baseDelayMs || settings.baseDelayMs,
+    maxDelayMs: options.maxDelayMs || settings.maxDelayMs
+  }
+  console.log(`✅ Job queue initialized (max ${settings.maxAttempts} attempts per video)`)
+}
+
+// ============================================================
+// HELPER FUNCTIONS
+// ============================================================
+
+function generateKey() {
+  return Math.random().toString(36).substring(2, 10)
+}
+
+function getJobId(videoId) {
+  return `contentJob-${videoId.replace(/[^a-zA-Z0-9_-]/g, '-')}`
+}
+
+function getBackoffDelay(attempts) {
+  return Math.min(settings.baseDelayMs * 2 ** Math.max(attempts - 1, 0), settings.maxDelayMs)
+}
+
+function historyEntry(stage, status, error = null) {
+  return {
+    _type: 'jobEvent',
+    _key: generateKey(),
+    stage,
+    status,
+    error,
+    at: new Date().toISOString()
+  }
+}
+
+/**
+ * The next stage a job has to run (null when everything is done)
+ */
+export function getNextStage(job) {
+  const index = STAGES.indexOf(job.stage)
+  return index === -1 || index === STAGES.length - 1 ? null : STAGES[index + 1]
+}
+
+// Stored payloads are JSON strings - Sanity doesn't need to understand them
+export function getJobVideo(job) {
+  return job.videoJson ? JSON.parse(job.videoJson) : null
+}
+
+export function getJobAnalysis(job) {
+  return job.analysisJson ? JSON.parse(job.analysisJson) : null
+}
+
+// ============================================================
+// QUEUE OPERATIONS
+// ============================================================
+
+export async function getJob(videoId) {
+  if (!sanityClient) throw new Error('Job queue not initialized')
+  return sanityClient.getDocument(getJobId(videoId))
+}
+
+/**
+ * Add a freshly fetched video to the queue (no-op if it's already there)
+ */
+export async function createJob(video) {
+  if (!sanityClient) throw new Error('Job queue not initialized')
+
+  const now = new Date().toISOString()
+
+  // Transcripts are re-fetched when needed - don't store them
+  const { transcript, ...storedVideo } = video
+
+  return sanityClient.createIfNotExists({
+    _id: getJobId(video.id),
+    _type: 'contentJob',
+    videoId: video.id,
+    platform: video.platform,
+    title: video.title,
+    status: 'pending',
+    stage: 'fetched',
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+    videoJson: JSON.stringify(storedVideo),
+    analysisJson: null,
+    draftId: null,
+    createdAt: now,
+    updatedAt: now,
+    history: [historyEntry('fetched', 'completed')]
+  })
+}
+
+/**
+ * Send a job back to the start (admin reprocess)
+ * Keeps its history; the drafted stage then refreshes the existing post (see draft-refresh.js)
+ * @param {Object} job - contentJob document
+ * @param {Object} video - Freshly fetched video (optional - keeps the stored one otherwise)
+ */
+export async function resetJob(job, video = null) {
+  if (!sanityClient) throw new Error('Job queue not initialized')
+
+  const now = new Date().toISOString()
+  const updates = {
+    status: 'pending',
+    stage: 'fetched',
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+    analysisJson: null,
+    reprocess: true,
+    updatedAt: now
+  }
+
+  if (video) {
+    const { transcript, ...storedVideo } = video
+    updates.videoJson = JSON.stringify(storedVideo)
+    updates.title = video.title
+  }
+
+  return sanityClient
+    .patch(job._id)
+    .set(updates)
+    .setIfMissing({ history: [] })
+    .append('history', [historyEntry('fetched', 'reprocess')])
+    .commit()
+}
+
+/**
+ * Record a completed stage (plus whatever it produced)
+ */
+export async function completeStage(job, stage, data = {}) {
+  const now = new Date().toISOString()
+  const done = stage === STAGES[STAGES.length - 1]
+
+  const updates = {
+    ...data,
+    stage,
+    status: done ? 'completed' : 'pending',
+    lastError: null,
+    updatedAt: now
+  }
+  if (done) updates.completedAt = now
+
+  const updated = await sanityClient
+    .patch(job._id)
+    .set(updates)
+    .setIfMissing({ history: [] })
+    .append('history', [historyEntry(stage, 'completed')])
+    .commit()
+
+  return updated
+}
+
+/**
+ * Record a failed stage - schedules a retry with exponential backoff,
+ * or gives up after maxAttempts
+ */
+export async function failStage(job, stage, error) {
+  const attempts = (job.attempts || 0) + 1
+  const givingUp = attempts >= settings.maxAttempts
+  const nextAttemptAt = new Date(Date.now() + getBackoffDelay(attempts)).toISOString()
+
+  const updated = await sanityClient
+    .patch(job._id)
+    .set({
+      status: givingUp ? 'failed' : 'retrying',
+      attempts,
+      nextAttemptAt: givingUp ? null : nextAttemptAt,
+      lastError: `${stage}: ${error.message}`,
+      updatedAt: new Date().toISOString()
+    })
+    .setIfMissing({ history: [] })
+    .append('history', [historyEntry(stage, 'failed', error.message)])
+    .commit()
+
+  if (givingUp) {
+    console.log(`   ❌ Giving up after ${attempts} attempts (${stage}: ${error.message})`)
+  } else {
+    console.log(`   🔁 ${stage} failed (attempt ${attempts}/${settings.maxAttempts}) - retrying after ${nextAttemptAt}`)
+  }
+
+  return updated
+}
+
+/**
+ * Add the Claude usage of one processing attempt to the job (totals across attempts)
+ * @param {Object} usage - { requests, inputTokens, outputTokens, cost } (see llm.js)
+ */
+export async function recordJobLlmUsage(job, usage) {
+  try {
+    await sanityClient
+      .patch(job._id)
+      .setIfMissing({ llmUsage: { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 } })
+      .inc({
+        'llmUsage.requests': usage.requests,
+        'llmUsage.inputTokens': usage.inputTokens,
+        'llmUsage.outputTokens': usage.outputTokens,
+        'llmUsage.cost': usage.cost
+      })
+      .commit()
+  } catch (error) {
+    console.log(`   ⚠️  Could not save Claude usage on the job: ${error.message}`)
+  }
+}
+
+/**
+ * Jobs that are ready to run now: new ones and retries whose backoff has passed
+ */
+export async function getDueJobs(limit = 50) {
+  if (!sanityClient) throw new Error('Job queue not initialized')
+
+  const query = `*[_type == "contentJob" && status in ["pending", "retrying"] && nextAttemptAt <= $now]
+    | order(createdAt asc)[0...$limit]`
+
+  return sanityClient.fetch(query, { now: new Date().toISOString(), limit })
+}
+
+/**
+ * Queue counts by status (for /health)
+ */
+export async function getQueueStats() {
+  if (!sanityClient) return null
+
+  return sanityClient.fetch(`{
+    "pending": count(*[_type == "contentJob" && status == "pending"]),
+    "retrying": count(*[_type == "contentJob" && status == "retrying"]),
+    "failed": count(*[_type == "contentJob" && status == "failed"]),
+    "completed": count(*[_type == "contentJob" && status == "completed"])
+  }`)
+}
+
+export function getMaxAttempts() {
+  return settings.maxAttempts
+}
+
+export default {
+  STAGES,
+  initJobs,
+  getNextStage,
+  getJobVideo,
+  getJobAnalysis,
+  getJob,
+  createJob,
+  resetJob,
+  completeStage,
+  failStage,
+  recordJobLlmUsage,
+  getDueJobs,
+  getQueueStats,
+  getMaxAttempts
+}
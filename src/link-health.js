@@ -0,0 +1,339 @@
+// kyndall-content-engine/src/link-health.js
+// Affiliate link audit
+// ShopMy links expire, Amazon listings disappear and retailer pages move - and nobody
+// notices until the commission stops. This job checks every shopmyUrl, ltkUrl, amazonUrl
+// and originalUrl on published posts:
+//
+//   - follows redirects (HEAD first, GET when HEAD isn't allowed or the page needs reading)
+//   - 404 / 410 / 5xx / timeouts          → broken
+//   - ShopMy link that ends on ShopMy instead of the store → expired
+//   - Amazon "Currently unavailable" page → unavailable
+//   - Amazon URL without our tag (or someone else's) → missing-tag / wrong-tag
+//
+// Each featured product gets linkHealth { status, checkedAt, issues[], links[] }, posts get
+// linkIssueCount, and a digest email lists everything that needs fixing.
+// Runs weekly (LINK_HEALTH_CRON) and from the admin API.
+
+import { MARKETPLACES } from './amazon.js'
+import { getLinkType } from './links.js'
+import { getSanityClient, getAdminSettings } from './sanity.js'
+import { sendLinkHealthEmail } from './email.js'
+
+const LINK_FIELDS = ['shopmyUrl', 'ltkUrl', 'amazonUrl', 'originalUrl']
+const MAX_REDIRECTS = 10
+const REQUEST_TIMEOUT_MS = 15000
+const REQUEST_DELAY_MS = 500 // be polite - these are retailer sites, not APIs
+const USER_AGENT = 'Mozilla/5.0 (compatible; KyndallLinkChecker/1.0; +https://kyndallames.com)'
+
+// Worst first - a product's status is its worst link
+const STATUS_ORDER = ['broken', 'expired', 'unavailable', 'wrong-tag', 'missing-tag', 'unknown', 'ok']
+
+let settings = {
+  // Amazon hostname (amazon.com, amazon.co.uk, ...) → expected associate tag
+  associateTags: new Map(),
+  resendApiKey: null
+}
+
+// Last audit (for the admin API)
+let lastAudit = null
+
+// ============================================================
+// INITIALIZATION
+// ============================================================
+
+/**
+ * @param {Object} options
+ *   associateTags - { US: 'kyndallames-20', UK: '...', CA: '...' } (unset stores are skipped)
+ *   resendApiKey  - for the digest email
+ */
+export function initLinkHealth(options = {}) {
+  const associateTags = new Map()
+  for (const [code, tag] of Object.entries(options.associateTags || {})) {
+    if (tag && MARKETPLACES[code]) {
+      associateTags.set(MARKETPLACES[code].marketplace.replace(/^www\./, ''), tag)
+    }
+  }
+
+  settings = {
+    associateTags,
+    resendApiKey: options.resendApiKey || null
+  }
+}
+
+// ============================================================
+// HELPER FUNCTIONS
+// ============================================================
+
+function isAmazonUrl(url) {
+  return getLinkType(url).startsWith('amazon')
+}
+
+function isShopMyUrl(url) {
+  return getLinkType(url) === 'shopmy'
+}
+
+function isLtkUrl(url) {
+  return ['ltk', 'rstyle'].includes(getLinkType(url))
+}
+
+function worstStatus(statuses) {
+  return STATUS_ORDER.find(status => statuses.includes(status)) || 'ok'
+}
+
+async function request(url, method) {
+  return fetch(url, {
+    method,
+    redirect: 'manual',
+    headers: { 'User-Agent': USER_AGENT, 'Accept': 'text/html,*/*' },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  })
+}
+
+/**
+ * Follow a URL's redirects by hand (so we see every hop - amzn.to → amazon.com?tag=...)
+ * @returns {Object} - { httpStatus, finalUrl, chain[], body }
+ *   body is only read for pages we need to look at (Amazon, ShopMy)
+ */
+async function followRedirects(url) {
+  const chain = [url]
+  let current = url
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const needsBody = isAmazonUrl(current) || isShopMyUrl(current)
+
+    // HEAD is cheap, but plenty of stores answer it with 403/405 - retry those with GET
+    let response = needsBody ? null : await request(current, 'HEAD')
+    if (!response || response.status >= 400) {
+      await response?.body?.cancel()
+      response = await request(current, 'GET')
+    }
+
+    const location = response.headers.get('location')
+    if (response.status >= 300 && response.status < 400 && location) {
+      await response.body?.cancel()
+      current = new URL(location, current).toString()
+      chain.push(current)
+      continue
+    }
+
+    const body = needsBody && response.status < 400 ? await response.text() : null
+    if (body === null) await response.body?.cancel()
+    return { httpStatus: response.status, finalUrl: current, chain, body }
+  }
+
+  throw new Error(`More than ${MAX_REDIRECTS} redirects`)
+}
+
+/**
+ * Check the associate tag on an Amazon link - on the stored URL or anywhere in its redirects
+ * (amzn.to short links only show the tag after the redirect)
+ * @returns {string|null} - 'missing-tag' | 'wrong-tag' | null
+ */
+function checkAmazonTag(chain) {
+  const amazonUrls = chain
+    .filter(url => getLinkType(url) === 'amazon')
+    .map(url => new URL(url))
+  if (amazonUrls.length === 0) return null
+
+  const expected = settings.associateTags.get(amazonUrls[0].hostname.replace(/^www\./, ''))
+  const tags = amazonUrls.map(url => url.searchParams.get('tag')).filter(Boolean)
+
+  if (tags.length === 0) return 'missing-tag'
+  if (expected && !tags.includes(expected)) return 'wrong-tag'
+  return null
+}
+
+/**
+ * Check one link
+ * @returns {Object} - { field, url, status, httpStatus, finalUrl, issue }
+ */
+async function checkLink(field, url) {
+  const result = { _key: field, field, url, status: 'ok', httpStatus: null, finalUrl: null, issue: null }
+
+  let response
+  try {
+    response = await followRedirects(url)
+  } catch (error) {
+    return { ...result, status: 'broken', issue: error.name === 'TimeoutError' ? 'Timed out' : (error.cause?.code || error.message) }
+  }
+
+  const { httpStatus, finalUrl, chain, body } = response
+  result.httpStatus = httpStatus
+  result.finalUrl = finalUrl === url ? null : finalUrl
+
+  // Amazon answers bots with a 503 captcha page - that says nothing about the link
+  if (isAmazonUrl(finalUrl) && (httpStatus === 503 || /captcha|api-services-support@amazon\.com/i.test(body || ''))) {
+    return { ...result, status: 'unknown', issue: 'Amazon blocked the check (captcha)' }
+  }
+
+  if (httpStatus === 404 || httpStatus === 410 || httpStatus >= 500) {
+    const expired = field === 'shopmyUrl' && isShopMyUrl(finalUrl)
+    return { ...result, status: expired ? 'expired' : 'broken', issue: `HTTP ${httpStatus}` }
+  }
+  if (httpStatus >= 400) {
+    // 401/403/429 - the store refused us, not necessarily a dead page
+    return { ...result, status: 'unknown', issue: `HTTP ${httpStatus}` }
+  }
+
+  // A live ShopMy link forwards to the retailer - a dead one ends on ShopMy's home page or an "expired" page
+  if (field === 'shopmyUrl' && isShopMyUrl(finalUrl)) {
+    if (chain.length > 1 && new URL(finalUrl).pathname === '/') {
+      return { ...result, status: 'expired', issue: 'ShopMy link no longer redirects to the store' }
+    }
+    if (/link (has )?expired|no longer available/i.test(body || '')) {
+      return { ...result, status: 'expired', issue: 'ShopMy link expired' }
+    }
+  }
+
+  if (isAmazonUrl(finalUrl)) {
+    if (/currently unavailable/i.test(body || '')) {
+      return { ...result, status: 'unavailable', issue: 'Amazon: currently unavailable' }
+    }
+    // ShopMy and LTK / rstyle links land on Amazon with their network's own tag - that's how they pay out
+    const viaNetwork = field === 'shopmyUrl' || field === 'ltkUrl' || chain.some(isLtkUrl)
+    const tagIssue = viaNetwork ? null : checkAmazonTag(chain)
+    if (tagIssue) {
+      return { ...result, status: tagIssue, issue: tagIssue === 'missing-tag' ? 'No associate tag' : 'Someone else\'s associate tag' }
+    }
+  }
+
+  return result
+}
+
+// ============================================================
+// MAIN
+// ============================================================
+
+/**
+ * Check every affiliate link on published posts
+ * @param {Object} options - { sendEmail (default true) }
+ * @returns {Promise<Object>} - { posts, links, checked, ok, flagged[], emailed }
+ */
+export async function runLinkHealthAudit({ sendEmail = true } = {}) {
+  const result = {
+    posts: 0,
+    links: 0,
+    checked: 0,
+    ok: 0,
+    issues: 0,
+    failed: 0,
+    flagged: [],
+    emailed: false,
+    startedAt: new Date().toISOString(),
+    finishedAt: null
+  }
+  lastAudit = result
+
+  try {
+    const client = getSanityClient()
+
+    const posts = await client.fetch(`*[_type == "blogPost" && !(_id in path("drafts.**")) && count(featuredProducts[defined(shopmyUrl) || defined(ltkUrl) || defined(amazonUrl) || defined(originalUrl)]) > 0] {
+      _id,
+      title,
+      "slug": slug.current,
+      featuredProducts[] { _key, productName, brand, shopmyUrl, ltkUrl, amazonUrl, originalUrl }
+    }`)
+    result.posts = posts.length
+
+    // The same link is often on several posts - check it once
+    const checked = new Map()
+
+    console.log(`\n🔗 Checking affiliate links on ${posts.length} published posts...`)
+
+    for (const post of posts) {
+      const updates = {}
+      let issueCount = 0
+
+      for (const product of post.featuredProducts || []) {
+        if (!product._key) continue
+
+        const links = []
+        for (const field of LINK_FIELDS) {
+          const url = product[field]
+          if (!url) continue
+          result.links++
+
+          // The verdict depends on the field too (ShopMy expiry, network tags)
+          const cacheKey = `${field}|${url}`
+          if (!checked.has(cacheKey)) {
+            checked.set(cacheKey, await checkLink(field, url))
+            result.checked++
+            await new Promise(resolve => setTimeout(resolve, REQUEST_DELAY_MS))
+          }
+          links.push({ ...checked.get(cacheKey), _key: field, field })
+        }
+        if (links.length === 0) continue
+
+        const status = worstStatus(links.map(link => link.status))
+        const issues = links.filter(link => link.status !== 'ok').map(link => `${link.field}: ${link.issue}`)
+
+        updates[`featuredProducts[_key=="${product._key}"].linkHealth`] = {
+          status,
+          checkedAt: new Date().toISOString(),
+          issues,
+          links
+        }
+
+        // "unknown" (captcha, 403) isn't worth an email - it's the checker, not the link
+        if (status === 'ok' || status === 'unknown') {
+          result.ok++
+        } else {
+          issueCount++
+          result.issues++
+          result.flagged.push({
+            postId: post._id,
+            postTitle: post.title,
+            slug: post.slug,
+            product: [product.brand, product.productName].filter(Boolean).join(' '),
+            status,
+            links: links.filter(link => link.status !== 'ok' && link.status !== 'unknown')
+          })
+        }
+      }
+
+      if (Object.keys(updates).length === 0) continue
+
+      try {
+        await client
+          .patch(post._id)
+          .set({ ...updates, linkIssueCount: issueCount, linkHealthCheckedAt: new Date().toISOString() })
+          .commit()
+      } catch (error) {
+        console.log(`   ❌ Could not update "${post.title}": ${error.message}`)
+        result.failed++
+      }
+    }
+
+    console.log(`   🔗 Link audit: ${result.checked} links checked, ${result.issues} products with problems`)
+    for (const flag of result.flagged) {
+      console.log(`      ❌ ${flag.product} on /${flag.slug}: ${flag.links.map(link => `${link.field} ${link.status}`).join(', ')}`)
+    }
+
+    if (sendEmail && settings.resendApiKey && result.flagged.length > 0) {
+      let adminSettings = {}
+      try {
+        adminSettings = await getAdminSettings()
+      } catch (e) {}
+
+      result.emailed = await sendLinkHealthEmail(
+        settings.resendApiKey,
+        result,
+        adminSettings?.notificationEmail || 'hello@kyndallames.com'
+      )
+    }
+  } finally {
+    result.finishedAt = new Date().toISOString()
+  }
+
+  return result
+}
+
+export function getLastLinkAudit() {
+  return lastAudit
+}
+
+export default {
+  initLinkHealth,
+  runLinkHealthAudit,
+  getLastLinkAudit
+}
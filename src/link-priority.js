@@ -0,0 +1,187 @@
+// kyndall-content-engine/src/link-priority.js
+// Which of a product's links goes in the article
+// A product can have a ShopMy link, an LTK link (liketoknow.it / rstyle.me), an Amazon link
+// and the retailer link from the description. The article uses the first one available in
+// the retailer order that applies to the product - most specific first:
+//
+//   1. Brand    - beautyBrand.linkPriority (some brands pay far better through Amazon)
+//   2. Category - linkPriority.categoryOverrides[] { category, order } (fashion → LTK first)
+//   3. Default  - linkPriority.defaultOrder, else LINK_PRIORITY (default shopmy,ltk,amazon)
+//
+// The Sanity config is cached for 30 minutes (loadLinkPriority before placing links).
+// Every product records the retailer that was picked and why (linkRetailer / linkReason).
+
+export const RETAILERS = {
+  shopmy: { field: 'shopmyUrl', label: 'ShopMy' },
+  ltk: { field: 'ltkUrl', label: 'LTK' },
+  amazon: { field: 'amazonUrl', label: 'Amazon' },
+  original: { field: 'originalUrl', label: 'the store' }
+}
+
+const DEFAULT_PRIORITY = ['shopmy', 'ltk', 'amazon']
+const CACHE_DURATION_MS = 30 * 60 * 1000 // 30 minutes
+
+let sanityClient = null
+let envPriority = DEFAULT_PRIORITY
+
+// Loaded from Sanity
+let config = {
+  defaultOrder: null,
+  categories: new Map(),   // category (lowercase) → order
+  brands: new Map()        // brand name / alias (lowercase) → { name, order }
+}
+let lastFetchTime = null
+
+// ============================================================
+// INITIALIZATION
+// ============================================================
+
+/**
+ * @param {Object} options
+ *   priority - fallback order from LINK_PRIORITY, e.g. ['shopmy', 'ltk', 'amazon', 'original']
+ *   client   - Sanity client (linkPriority + beautyBrand documents)
+ */
+export function initLinkPriority(options = {}) {
+  sanityClient = options.client || null
+  envPriority = parseOrder(options.priority, 'LINK_PRIORITY') || DEFAULT_PRIORITY
+  lastFetchTime = null
+}
+
+// ============================================================
+// HELPER FUNCTIONS
+// ============================================================
+
+/**
+ * Clean up a retailer order - unknown retailers are dropped
+ * @returns {Array|null} - null if nothing valid is left
+ */
+function parseOrder(order, source) {
+  if (!Array.isArray(order)) return null
+
+  const cleaned = order.map(r => String(r || '').trim().toLowerCase()).filter(Boolean)
+  const unknown = cleaned.filter(r => !RETAILERS[r])
+  if (unknown.length > 0) {
+    console.log(`   ⚠️  Unknown retailers in ${source} ignored: ${unknown.join(', ')}`)
+  }
+
+  const valid = [...new Set(cleaned.filter(r => RETAILERS[r]))]
+  return valid.length > 0 ? valid : null
+}
+
+/**
+ * Find the order that applies to a product
+ * Retailers an override leaves out follow in the default order
+ * @returns {Object} - { order, source }
+ */
+function getOrderFor(product, category) {
+  const defaultOrder = config.defaultOrder || envPriority
+  const withDefaults = order => [...new Set([...order, ...defaultOrder])]
+
+  const brand = config.brands.get((product?.brand || '').trim().toLowerCase())
+  if (brand) {
+    return { order: withDefaults(brand.order), source: `brand ${brand.name}` }
+  }
+
+  const categoryOrder = config.categories.get((category || '').trim().toLowerCase())
+  if (categoryOrder) {
+    return { order: withDefaults(categoryOrder), source: `category ${category.trim().toLowerCase()}` }
+  }
+
+  return { order: defaultOrder, source: 'default' }
+}
+
+// ============================================================
+// MAIN
+// ============================================================
+
+/**
+ * Load the linkPriority document and brand overrides from Sanity (cached)
+ * Keeps the last good config (or LINK_PRIORITY) if Sanity can't be reached
+ */
+export async function loadLinkPriority({ force = false } = {}) {
+  if (!sanityClient) return
+  if (!force && lastFetchTime && (Date.now() - lastFetchTime < CACHE_DURATION_MS)) return
+
+  try {
+    const { settings, brands } = await sanityClient.fetch(`{
+      "settings": *[_type == "linkPriority"][0] {
+        defaultOrder,
+        categoryOverrides[] { category, order }
+      },
+      "brands": *[_type == "beautyBrand" && isActive == true && count(linkPriority) > 0] {
+        name,
+        aliases,
+        linkPriority
+      }
+    }`)
+
+    const categories = new Map()
+    for (const override of settings?.categoryOverrides || []) {
+      const order = parseOrder(override.order, `linkPriority (${override.category})`)
+      if (override.category && order) categories.set(override.category.trim().toLowerCase(), order)
+    }
+
+    const brandOrders = new Map()
+    for (const brand of brands || []) {
+      const order = parseOrder(brand.linkPriority, `beautyBrand ${brand.name}`)
+      if (!brand.name || !order) continue
+      for (const name of [brand.name, ...(brand.aliases || [])].filter(Boolean)) {
+        brandOrders.set(name.trim().toLowerCase(), { name: brand.name, order })
+      }
+    }
+
+    config = {
+      defaultOrder: parseOrder(settings?.defaultOrder, 'linkPriority'),
+      categories,
+      brands: brandOrders
+    }
+    lastFetchTime = Date.now()
+  } catch (error) {
+    console.log(`   ⚠️  Could not load link priority from Sanity: ${error.message}`)
+  }
+}
+
+export function getLinkPriority() {
+  return {
+    defaultOrder: config.defaultOrder || envPriority,
+    categories: Object.fromEntries(config.categories),
+    brands: Object.fromEntries(Array.from(config.brands.values()).map(b => [b.name, b.order]))
+  }
+}
+
+/**
+ * Pick the link a product gets in the article
+ * @param {Object} product - { brand, shopmyUrl, ltkUrl, amazonUrl, originalUrl }
+ * @param {Object} options - { category }
+ * @returns {Object|null} - { retailer, url, label, reason }, or null if the product has no usable link
+ */
+export function getPreferredLink(product, { category } = {}) {
+  const { order, source } = getOrderFor(product, category)
+  const skipped = []
+
+  for (const retailer of order) {
+    const url = product?.[RETAILERS[retailer].field]
+    if (!url) {
+      skipped.push(retailer)
+      continue
+    }
+
+    const missing = skipped.length > 0 ? ` - no ${skipped.join(' / ')} link` : ''
+    return {
+      retailer,
+      url,
+      label: RETAILERS[retailer].label,
+      reason: `${source} order (${order.join(' > ')})${missing}`
+    }
+  }
+
+  return null
+}
+
+export default {
+  RETAILERS,
+  initLinkPriority,
+  loadLinkPriority,
+  getLinkPriority,
+  getPreferredLink
+}
@@ -0,0 +1,213 @@
+// kyndall-content-engine/src/links.js
+// Affiliate link normalization
+// Every product link from a video description goes through normalizeLink():
+//
+//   amzn.to / a.co / amzn.com → expanded (followed to the real Amazon page)
+//   Amazon product page       → https://www.amazon.com/dp/ASIN?tag=<Kyndall's tag for that store>
+//   Other Amazon pages        → storefronts, lists, searches: tracking stripped, tag applied
+//   ShopMy, LTK, rstyle       → https, tracking stripped - the path is Kyndall's own link, kept as-is
+//   Anything else             → tracking stripped (utm_*, fbclid, igshid, ...)
+//
+// Tag policy (AMAZON_TAG_POLICY) for Amazon links that already carry a tag:
+//   replace - always use Kyndall's tag (brand partners paste links with their own) - default
+//   keep    - leave an existing tag alone, only add ours when there is none
+
+import { MARKETPLACES, extractAsin } from './amazon.js'
+
+const SHORT_LINK_TIMEOUT_MS = 10000
+const MAX_SHORT_LINK_HOPS = 5
+
+const LINK_TYPES = [
+  { type: 'amazon-short', pattern: /^(amzn\.to|a\.co|amzn\.com|amzn\.eu|amzn\.asia)$/ },
+  { type: 'amazon', pattern: /(^|\.)amazon\.(com|ca|co\.uk|de|fr|it|es|com\.au|co\.jp|com\.mx|in)$/ },
+  { type: 'shopmy', pattern: /(^|\.)(shopmy\.us|shop-links\.co)$/ },
+  { type: 'ltk', pattern: /(^|\.)(liketoknow\.it|ltk\.app|ltk\.to|shopltk\.com)$/ },
+  { type: 'rstyle', pattern: /(^|\.)rstyle\.me$/ }
+]
+
+// Tracking parameters - never part of the link itself
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|msclkid|ttclid|igshid|igsh|mc_cid|mc_eid|_ga|_gl|si|srsltid)$/i
+const AMAZON_TRACKING_PARAMS = /^(ref_?|pd_rd_\w+|pf_rd_\w+|linkCode|linkId|camp|creative|creativeASIN|content-id|ascsubtag|asc_\w+|_encoding|qid|sr|crid|sprefix|psc|th|smid|sp_csd|spLa|dib|dib_tag)$/i
+
+let settings = {
+  // Amazon hostname (amazon.com, amazon.co.uk, ...) → Kyndall's associate tag
+  associateTags: new Map(),
+  tagPolicy: 'replace'
+}
+
+// Short link → expanded URL (they never change)
+const expandedLinks = new Map()
+
+// ============================================================
+// INITIALIZATION
+// ============================================================
+
+/**
+ * @param {Object} options
+ *   associateTags - { US: 'kyndallames-20', UK: '...', CA: '...' }
+ *   tagPolicy     - 'replace' | 'keep'
+ */
+export function initLinks(options = {}) {
+  const associateTags = new Map()
+  for (const [code, tag] of Object.entries(options.associateTags || {})) {
+    if (tag && MARKETPLACES[code]) {
+      associateTags.set(MARKETPLACES[code].marketplace.replace(/^www\./, ''), tag)
+    }
+  }
+
+  settings = {
+    associateTags,
+    tagPolicy: options.tagPolicy === 'keep' ? 'keep' : 'replace'
+  }
+}
+
+// ============================================================
+// HELPER FUNCTIONS
+// ============================================================
+
+function parseUrl(url) {
+  try {
+    return new URL(url)
+  } catch {
+    return null
+  }
+}
+
+// amazon.com / smile.amazon.com / m.amazon.co.uk → amazon.com / amazon.co.uk
+function getAmazonDomain(hostname) {
+  return hostname.replace(/^(www|smile|m)\./, '')
+}
+
+function stripTracking(urlObj, pattern = TRACKING_PARAMS) {
+  for (const key of Array.from(urlObj.searchParams.keys())) {
+    if (pattern.test(key)) urlObj.searchParams.delete(key)
+  }
+  return urlObj
+}
+
+/**
+ * Work out the tag an Amazon link should carry under the tag policy
+ * @returns {string|null}
+ */
+function getAmazonTag(domain, currentTag) {
+  const ourTag = settings.associateTags.get(domain) || null
+  if (currentTag && (settings.tagPolicy === 'keep' || !ourTag)) return currentTag
+  return ourTag
+}
+
+/**
+ * Follow a short link (amzn.to, a.co, ...) to the Amazon page it points at
+ * @returns {Promise<string|null>} - The expanded URL, or null if it couldn't be followed
+ */
+async function expandShortLink(url) {
+  if (expandedLinks.has(url)) return expandedLinks.get(url)
+
+  let current = url
+  try {
+    for (let hop = 0; hop < MAX_SHORT_LINK_HOPS && getLinkType(current) === 'amazon-short'; hop++) {
+      const response = await fetch(current, {
+        method: 'HEAD',
+        redirect: 'manual',
+        signal: AbortSignal.timeout(SHORT_LINK_TIMEOUT_MS)
+      })
+      const location = response.headers.get('location')
+      if (!location) return null
+      current = new URL(location, current).toString()
+    }
+  } catch (error) {
+    console.log(`      ⚠️  Could not expand ${url}: ${error.cause?.code || error.message}`)
+    return null
+  }
+
+  if (getLinkType(current) !== 'amazon') return null
+
+  expandedLinks.set(url, current)
+  return current
+}
+
+function normalizeAmazonUrl(urlObj) {
+  const domain = getAmazonDomain(urlObj.hostname)
+  const currentTag = urlObj.searchParams.get('tag')
+  const tag = getAmazonTag(domain, currentTag)
+  const asin = extractAsin(urlObj.toString())
+
+  let normalized
+  if (asin) {
+    // Product page - everything but the ASIN is noise
+    normalized = new URL(`https://www.${domain}/dp/${asin}`)
+  } else {
+    // Storefront / list / search - keep the page, drop Amazon's tracking
+    normalized = stripTracking(stripTracking(new URL(urlObj.toString())), AMAZON_TRACKING_PARAMS)
+    normalized.protocol = 'https:'
+    normalized.hostname = `www.${domain}`
+    normalized.pathname = normalized.pathname.replace(/\/ref=[^/]*$/, '')
+    normalized.searchParams.delete('tag')
+  }
+
+  if (tag) normalized.searchParams.set('tag', tag)
+
+  return {
+    url: normalized.toString(),
+    asin,
+    replacedTag: currentTag && currentTag !== tag ? currentTag : null
+  }
+}
+
+// ============================================================
+// MAIN
+// ============================================================
+
+/**
+ * What kind of link is this?
+ * @returns {string} - 'amazon' | 'amazon-short' | 'shopmy' | 'ltk' | 'rstyle' | 'other'
+ */
+export function getLinkType(url) {
+  const urlObj = parseUrl(url)
+  if (!urlObj) return 'other'
+
+  const hostname = urlObj.hostname.toLowerCase().replace(/^www\./, '')
+  return LINK_TYPES.find(({ pattern }) => pattern.test(hostname))?.type || 'other'
+}
+
+/**
+ * Clean up a link pasted into a video description
+ * @param {string} url
+ * @param {Object} options - { expand: follow Amazon short links (default true) }
+ * @returns {Promise<Object>} - { url, type, asin, originalUrl, replacedTag }
+ *   type is 'amazon-short' only when the short link couldn't be expanded (url is then unchanged)
+ */
+export async function normalizeLink(url, { expand = true } = {}) {
+  // Descriptions often glue punctuation onto the end of a link
+  const cleaned = (url || '').trim().replace(/[).,!?'"]+$/, '')
+  const result = { url: cleaned, type: getLinkType(cleaned), asin: null, originalUrl: url, replacedTag: null }
+
+  let urlObj = parseUrl(cleaned)
+  if (!urlObj) return result
+
+  if (result.type === 'amazon-short' && expand) {
+    const expanded = await expandShortLink(cleaned)
+    if (!expanded) return result
+    urlObj = new URL(expanded)
+    result.type = 'amazon'
+  }
+
+  if (result.type === 'amazon') {
+    const amazon = normalizeAmazonUrl(urlObj)
+    if (amazon.replacedTag) {
+      console.log(`      🏷️  Replaced Amazon tag "${amazon.replacedTag}" with ours`)
+    }
+    return { ...result, ...amazon }
+  }
+
+  if (result.type === 'amazon-short') return result
+
+  if (result.type !== 'other') urlObj.protocol = 'https:'
+  result.url = stripTracking(urlObj).toString()
+  return result
+}
+
+export default {
+  initLinks,
+  getLinkType,
+  normalizeLink
+}
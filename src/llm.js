@@ -0,0 +1,382 @@
+// kyndall-content-engine/src/llm.js
+// Claude API service
+// The one Anthropic client the engine uses. Every request names its task, and the task
+// decides the model and max_tokens - most specific first:
+//
+//   1. adminSettings.llmSettings[] { task, model, maxTokens }  (change models without a deploy)
+//   2. CLAUDE_MODEL_<TASK> / CLAUDE_MAX_TOKENS_<TASK>           (e.g. CLAUDE_MODEL_GEO_CONTENT)
+//   3. CLAUDE_MODEL, then the defaults below
+//
+// 429 (rate limited), 529 (overloaded), other transient errors (408/409/5xx) and connection
+// errors are retried with exponential backoff, honoring retry-after. Every response's input/output tokens are counted with an estimated cost:
+// per task and model since startup (/health), per video (withLlmUsage - the pipeline logs
+// it and stores it on the contentJob) and per month in Sanity (llmUsage-YYYY-MM documents).
+
+import Anthropic from '@anthropic-ai/sdk'
+import { AsyncLocalStorage } from 'async_hooks'
+
+const DEFAULT_MODEL = 'claude-sonnet-4-20250514'
+
+export const TASKS = {
+  analysis: { model: DEFAULT_MODEL, maxTokens: 4000 },
+  quickAnswerReview: { model: DEFAULT_MODEL, maxTokens: 1000 },
+  geoContent: { model: DEFAULT_MODEL, maxTokens: 2000 }
+}
+
+// USD per million tokens - first match wins (estimates; check anthropic.com/pricing)
+const PRICING = [
+  { pattern: /opus-4-5/, input: 5, output: 25 },
+  { pattern: /opus/, input: 15, output: 75 },
+  { pattern: /sonnet/, input: 3, output: 15 },
+  { pattern: /haiku-4/, input: 1, output: 5 },
+  { pattern: /3-5-haiku/, input: 0.8, output: 4 },
+  { pattern: /haiku/, input: 0.25, output: 1.25 }
+]
+
+// Same statuses the SDK retries on its own, plus 529
+const RETRY_STATUSES = [408, 409, 429, 500, 502, 503, 504, 529]
+const RETRY_BASE_MS = 2000
+const MONTHLY_CACHE_MS = 5 * 60 * 1000 // /health serves this month's spend from memory
+const RETRY_MAX_MS = 60000
+
+let client = null
+let usageClient = null
+
+let settings = {
+  // task → { model, maxTokens } from env
+  tasks: {},
+  maxRetries: 4
+}
+
+// task → { model, maxTokens } from adminSettings.llmSettings
+let adminTasks = {}
+
+// Usage since startup (for /health)
+const stats = {
+  since: new Date().toISOString(),
+  requests: 0,
+  retries: 0,
+  failures: 0,
+  inputTokens: 0,
+  outputTokens: 0,
+  cost: 0,
+  byTask: {},
+  byModel: {}
+}
+
+// Per-video usage (see withLlmUsage)
+const usageScope = new AsyncLocalStorage()
+
+// Months whose llmUsage document is known to exist
+const createdMonths = new Set()
+
+// Models without a price - warned about once
+const unpricedModels = new Set()
+
+// This month's summary for /health - { summary, fetchedAt, refreshing }
+const monthlyCache = { summary: null, fetchedAt: 0, refreshing: null }
+
+// ============================================================
+// INITIALIZATION
+// ============================================================
+
+/**
+ * @param {Object} options
+ *   apiKey     - ANTHROPIC_API_KEY
+ *   model      - CLAUDE_MODEL (default for every task)
+ *   tasks      - { analysis: { model, maxTokens }, ... } from CLAUDE_MODEL_<TASK> / CLAUDE_MAX_TOKENS_<TASK>
+ *   maxRetries - retries for 429 / 529 / 5xx / connection errors
+ *   client     - Sanity client (monthly llmUsage documents) - optional
+ */
+export function initLLM(options = {}) {
+  // We retry ourselves (and count it) - the SDK's own retries would hide throttling and errors
+  client = options.apiKey ? new Anthropic({ apiKey: options.apiKey, maxRetries: 0 }) : null
+  usageClient = options.client || null
+
+  const tasks = {}
+  for (const task of Object.keys(TASKS)) {
+    const envTask = options.tasks?.[task] || {}
+    tasks[task] = {
+      ...(options.model ? { model: options.model } : {}),
+      ...(envTask.model ? { model: envTask.model } : {}),
+      ...(envTask.maxTokens ? { maxTokens: envTask.maxTokens } : {})
+    }
+  }
+
+  settings = {
+    tasks,
+    maxRetries: options.maxRetries ?? settings.maxRetries
+  }
+}
+
+/**
+ * Apply adminSettings.llmSettings[] - called with the admin settings at the start of each run
+ */
+export function applyLlmSettings(adminSettings) {
+  const tasks = {}
+  for (const entry of adminSettings?.llmSettings || []) {
+    if (!TASKS[entry.task]) {
+      console.log(`   ⚠️  Unknown task in adminSettings.llmSettings: ${entry.task}`)
+      continue
+    }
+    tasks[entry.task] = {
+      ...(entry.model ? { model: entry.model } : {}),
+      ...(entry.maxTokens ? { maxTokens: entry.maxTokens } : {})
+    }
+  }
+  adminTasks = tasks
+}
+
+// ============================================================
+// HELPER FUNCTIONS
+// ============================================================
+
+function emptyUsage() {
+  return { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 }
+}
+
+function addUsage(target, usage) {
+  target.requests += usage.requests
+  target.inputTokens += usage.inputTokens
+  target.outputTokens += usage.outputTokens
+  target.cost = roundCost(target.cost + usage.cost)
+  return target
+}
+
+function roundCost(cost) {
+  return Math.round(cost * 1000000) / 1000000
+}
+
+/**
+ * Estimated cost in USD (0 for models we don't have a price for)
+ */
+export function estimateCost(model, inputTokens, outputTokens) {
+  const price = PRICING.find(({ pattern }) => pattern.test(model))
+  if (!price) {
+    if (!unpricedModels.has(model)) {
+      unpricedModels.add(model)
+      console.log(`   ⚠️  No price for ${model} - its cost is counted as $0`)
+    }
+    return 0
+  }
+  return roundCost((inputTokens * price.input + outputTokens * price.output) / 1000000)
+}
+
+export function formatUsage(usage) {
+  return `${usage.inputTokens.toLocaleString('en-US')} in / ${usage.outputTokens.toLocaleString('en-US')} out tokens, ~$${usage.cost.toFixed(3)}`
+}
+
+function getMonth() {
+  return new Date().toISOString().substring(0, 7)
+}
+
+function isRetryable(error) {
+  return RETRY_STATUSES.includes(error.status) || error instanceof Anthropic.APIConnectionError
+}
+
+function describeRetry(error) {
+  if (error.status === 529) return 'overloaded'
+  if (error.status === 429) return 'rate limited'
+  if (error.status) return `error ${error.status}`
+  return 'connection error'
+}
+
+function getRetryDelay(error, attempt) {
+  const retryAfter = parseFloat(error.headers?.['retry-after'])
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, RETRY_MAX_MS)
+  return Math.min(RETRY_BASE_MS * Math.pow(2, attempt) + Math.random() * RETRY_BASE_MS, RETRY_MAX_MS)
+}
+
+/**
+ * Add a request's usage to this month's llmUsage document (failures are only logged)
+ */
+async function saveMonthlyUsage(task, model, usage) {
+  if (!usageClient) return
+
+  const month = getMonth()
+  const id = `llmUsage-${month}`
+  const modelKey = model.replace(/[^a-zA-Z0-9_]/g, '_')
+
+  try {
+    if (!createdMonths.has(month)) {
+      await usageClient.createIfNotExists({ _id: id, _type: 'llmUsage', month, ...emptyUsage(), tasks: {}, models: {} })
+      createdMonths.add(month)
+    }
+
+    await usageClient
+      .patch(id)
+      .setIfMissing({ [`tasks.${task}`]: emptyUsage(), [`models.${modelKey}`]: { model, ...emptyUsage() } })
+      .inc({
+        requests: 1,
+        inputTokens: usage.inputTokens,
+        outputTokens: usage.outputTokens,
+        cost: usage.cost,
+        [`tasks.${task}.requests`]: 1,
+        [`tasks.${task}.inputTokens`]: usage.inputTokens,
+        [`tasks.${task}.outputTokens`]: usage.outputTokens,
+        [`tasks.${task}.cost`]: usage.cost,
+        [`models.${modelKey}.requests`]: 1,
+        [`models.${modelKey}.inputTokens`]: usage.inputTokens,
+        [`models.${modelKey}.outputTokens`]: usage.outputTokens,
+        [`models.${modelKey}.cost`]: usage.cost
+      })
+      .set({ updatedAt: new Date().toISOString() })
+      .commit()
+
+    // Keep the cached summary current without another read
+    const cached = monthlyCache.summary
+    if (cached?.month === month) {
+      addUsage(cached, usage)
+      cached.tasks[task] = addUsage({ ...emptyUsage(), ...cached.tasks[task] }, usage)
+      const cachedModel = cached.models.find(entry => entry.model === model)
+      if (cachedModel) addUsage(cachedModel, usage)
+      else cached.models.push(addUsage({ model, ...emptyUsage() }, usage))
+      cached.updatedAt = new Date().toISOString()
+    }
+  } catch (error) {
+    console.log(`      ⚠️  Could not save Claude usage: ${error.message}`)
+  }
+}
+
+function recordUsage(task, model, response) {
+  const inputTokens = response.usage?.input_tokens || 0
+  const outputTokens = response.usage?.output_tokens || 0
+  const usage = { requests: 1, inputTokens, outputTokens, cost: estimateCost(model, inputTokens, outputTokens) }
+
+  addUsage(stats, usage)
+  stats.byTask[task] = addUsage(stats.byTask[task] || emptyUsage(), usage)
+  stats.byModel[model] = addUsage(stats.byModel[model] || emptyUsage(), usage)
+
+  const scope = usageScope.getStore()
+  if (scope) addUsage(scope, usage)
+
+  console.log(`      🧮 ${task} (${model}): ${formatUsage(usage)}`)
+  return saveMonthlyUsage(task, model, usage)
+}
+
+// ============================================================
+// MAIN
+// ============================================================
+
+export function isLlmConfigured() {
+  return !!client
+}
+
+/**
+ * Model and max_tokens for a task (adminSettings → env → defaults)
+ * @returns {Object} - { model, maxTokens }
+ */
+export function getTaskConfig(task) {
+  if (!TASKS[task]) throw new Error(`Unknown Claude task: ${task}`)
+  return { ...TASKS[task], ...settings.tasks[task], ...adminTasks[task] }
+}
+
+/**
+ * Send a Messages API request for a task
+ * @param {string} task - 'analysis' | 'quickAnswerReview' | 'geoContent'
+ * @param {Object} params - messages, tools, tool_choice, ... (model / max_tokens come from the task)
+ * @returns {Promise<Object>} - The Anthropic response
+ */
+export async function createMessage(task, params) {
+  if (!client) throw new Error('Claude client not initialized')
+
+  const { model, maxTokens } = getTaskConfig(task)
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await client.messages.create({ model, max_tokens: maxTokens, ...params })
+      await recordUsage(task, model, response)
+      return response
+    } catch (error) {
+      if (!isRetryable(error) || attempt >= settings.maxRetries) {
+        stats.failures++
+        throw error
+      }
+
+      const delay = getRetryDelay(error, attempt)
+      stats.retries++
+      console.log(`      ⏳ Claude ${describeRetry(error)} - retry ${attempt + 1}/${settings.maxRetries} in ${Math.round(delay / 1000)}s`)
+      await new Promise(resolve => setTimeout(resolve, delay))
+    }
+  }
+}
+
+/**
+ * Run fn and count the Claude usage of every request it makes (e.g. one video)
+ * @returns {Promise<Object>} - { result, usage: { requests, inputTokens, outputTokens, cost } }
+ */
+export async function withLlmUsage(fn) {
+  const usage = emptyUsage()
+  const result = await usageScope.run(usage, fn)
+  return { result, usage }
+}
+
+/**
+ * Usage since startup (for /health)
+ */
+export function getLlmStats() {
+  return {
+    ...stats,
+    tasks: Object.fromEntries(Object.keys(TASKS).map(task => [task, getTaskConfig(task)]))
+  }
+}
+
+/**
+ * A month's Claude spend from its llmUsage document
+ * @param {string} month - 'YYYY-MM' (default this month)
+ * @returns {Promise<Object>} - { month, requests, inputTokens, outputTokens, cost, tasks, models }
+ */
+export async function getLlmMonthlySummary(month = null) {
+  if (!usageClient) return null
+
+  month = month || getMonth()
+  const doc = await usageClient.getDocument(`llmUsage-${month}`)
+
+  return {
+    month,
+    requests: doc?.requests || 0,
+    inputTokens: doc?.inputTokens || 0,
+    outputTokens: doc?.outputTokens || 0,
+    cost: roundCost(doc?.cost || 0),
+    tasks: doc?.tasks || {},
+    models: Object.values(doc?.models || {}),
+    updatedAt: doc?.updatedAt || null
+  }
+}
+
+/**
+ * This month's spend from memory (for /health) - refreshed from Sanity in the background
+ * every few minutes, so health checks never wait on Sanity
+ * @returns {Object|null} - Same shape as getLlmMonthlySummary, null until the first read
+ */
+export function getLlmThisMonth() {
+  const stale = Date.now() - monthlyCache.fetchedAt >= MONTHLY_CACHE_MS ||
+    monthlyCache.summary?.month !== getMonth()
+
+  if (usageClient && stale && !monthlyCache.refreshing) {
+    monthlyCache.refreshing = getLlmMonthlySummary()
+      .then(summary => {
+        monthlyCache.summary = summary
+        monthlyCache.fetchedAt = Date.now()
+      })
+      .catch(error => console.log(`   ⚠️  Could not load Claude usage: ${error.message}`))
+      .finally(() => { monthlyCache.refreshing = null })
+  }
+
+  return monthlyCache.summary
+}
+
+export default {
+  TASKS,
+  initLLM,
+  applyLlmSettings,
+  isLlmConfigured,
+  getTaskConfig,
+  createMessage,
+  withLlmUsage,
+  estimateCost,
+  formatUsage,
+  getLlmStats,
+  getLlmMonthlySummary,
+  getLlmThisMonth
+}
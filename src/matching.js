@@ -0,0 +1,132 @@
+// kyndall-content-engine/src/matching.js
+// Fuzzy product matching helpers
+// Shared by the ShopMy link lookup (and anything else that needs to decide
+// whether "Farmacy Green Clean Balm" and "FARMACY Green Clean Cleansing Balm - 100ml"
+// are the same product)
+//
+// USAGE:
+//   import { scoreProductMatch } from './matching.js'
+//   const score = scoreProductMatch(
+//     { brand: 'Farmacy', name: 'Green Clean Cleansing Balm' },
+//     { brand: 'FARMACY', title: 'Green Clean Makeup Removing Cleansing Balm' }
+//   )
+//   // Returns a number between 0 and 1
+
+// Words that carry no meaning when comparing product names
+const STOP_WORDS = new Set([
+  'the', 'a', 'an', 'and', 'for', 'with', 'of', 'in', 'by', 'to', 'my', 'new',
+  'oz', 'fl', 'ml', 'g', 'size', 'mini', 'travel', 'full', 'pack', 'set'
+])
+
+// ============================================================
+// TEXT NORMALIZATION
+// ============================================================
+
+/**
+ * Lowercase, strip accents and punctuation, collapse whitespace
+ * e.g., "L'Oréal Paris" → "loreal paris"
+ */
+export function normalizeText(text) {
+  if (!text) return ''
+
+  return text
+    .toString()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')  // Remove accents
+    .toLowerCase()
+    .replace(/['’.]/g, '')             // "e.l.f." → "elf", "kiehl's" → "kiehls"
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+}
+
+/**
+ * Split text into meaningful tokens (no stop words, no 1-char noise)
+ */
+export function tokenize(text) {
+  return normalizeText(text)
+    .split(' ')
+    .filter(token => token.length > 1 && !STOP_WORDS.has(token))
+}
+
+// ============================================================
+// SCORING
+// ============================================================
+
+/**
+ * Fraction of the expected tokens that appear in the candidate tokens
+ * Loose prefix matching handles plurals ("balm" vs "balms")
+ */
+export function tokenCoverage(expectedTokens, candidateTokens) {
+  if (!expectedTokens.length || !candidateTokens.length) return 0
+
+  const candidates = new Set(candidateTokens)
+  let matched = 0
+
+  for (const token of expectedTokens) {
+    if (candidates.has(token)) {
+      matched++
+    } else if (candidateTokens.some(c => c.length > 3 && token.length > 3 && (c.startsWith(token) || token.startsWith(c)))) {
+      matched += 0.75
+    }
+  }
+
+  return matched / expectedTokens.length
+}
+
+/**
+ * Score how well a brand matches a candidate brand/title (0-1)
+ * Returns null when the expected brand is unknown
+ */
+export function scoreBrandMatch(expectedBrand, candidateBrand, candidateTitle = '') {
+  const brand = normalizeText(expectedBrand)
+  if (!brand || brand === 'unknown') return null
+
+  const candidate = normalizeText(candidateBrand)
+  if (candidate) {
+    if (candidate === brand) return 1
+    // Compare without spaces - "Tower 28" vs "tower28", "Dr Jart" vs "Dr. Jart+"
+    const compactBrand = brand.replace(/ /g, '')
+    const compactCandidate = candidate.replace(/ /g, '')
+    if (compactCandidate.includes(compactBrand) || compactBrand.includes(compactCandidate)) return 0.9
+  }
+
+  // Brand often only appears in the title
+  const title = ` ${normalizeText(candidateTitle)} `
+  if (title.includes(` ${brand} `)) return 0.8
+
+  return tokenCoverage(tokenize(expectedBrand), tokenize(`${candidateBrand || ''} ${candidateTitle || ''}`)) * 0.6
+}
+
+/**
+ * Score how well an extracted product matches a candidate (ShopMy link, Amazon item, ...)
+ * @param {Object} expected - { brand, name } from extraction
+ * @param {Object} candidate - { brand, title }
+ * @returns {number} - Confidence between 0 and 1
+ */
+export function scoreProductMatch(expected, candidate) {
+  const nameTokens = tokenize(expected.name)
+  const candidateTokens = tokenize(`${candidate.brand || ''} ${candidate.title || ''}`)
+
+  const nameScore = tokenCoverage(nameTokens, candidateTokens)
+  const brandScore = scoreBrandMatch(expected.brand, candidate.brand, candidate.title)
+
+  // Unknown brand - rely on the name alone, but don't fully trust it
+  if (brandScore === null) {
+    return round(nameScore * 0.85)
+  }
+
+  return round(brandScore * 0.35 + nameScore * 0.65)
+}
+
+function round(score) {
+  return Math.round(score * 100) / 100
+}
+
+export default {
+  normalizeText,
+  tokenize,
+  tokenCoverage,
+  scoreBrandMatch,
+  scoreProductMatch
+}
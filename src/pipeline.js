@@ -0,0 +1,242 @@
+// kyndall-content-engine/src/pipeline.js
+// Per-video processing pipeline
+// Runs a content job through its remaining stages, saving progress after each one:
+//
+//   analyzed  - Claude analysis (products + blog + GEO content)
+//   enriched  - ShopMy / Amazon links, placeholders → real links
+//   drafted   - DRAFT blogPost created in Sanity
+//   notified  - "new draft" email sent (skipped on first run)
+//
+// A stage that throws is recorded on the job and retried later with backoff.
+// Claude tokens and estimated cost are logged per video and added up on the job (llmUsage).
+
+import { analyzeVideoContent, enrichAnalysis } from './claude.js'
+import { createDraftBlogPost } from './sanity.js'
+import { refreshBlogPost } from './draft-refresh.js'
+import { sendNewPostEmail } from './email.js'
+import { prepareVideo, fetchVideoById } from './sources.js'
+import { reviewQuickAnswerFields, describeQuickAnswerReview } from './quick-answer.js'
+import {
+  getJob,
+  createJob,
+  resetJob,
+  getNextStage,
+  getJobVideo,
+  getJobAnalysis,
+  completeStage,
+  failStage,
+  recordJobLlmUsage,
+  getMaxAttempts
+} from './jobs.js'
+import { withLlmUsage, formatUsage } from './llm.js'
+
+// ============================================================
+// STAGES
+// ============================================================
+
+const stageRunners = {
+  async analyzed(job, context) {
+    // Source-specific extras (e.g. YouTube transcripts so Claude can find products mentioned verbally)
+    await prepareVideo(context.video)
+
+    console.log('   🤖 Analyzing content with Claude...')
+    const analysis = await analyzeVideoContent(context.video)
+
+    // Claude failed - retry later unless this is the last attempt
+    if (analysis.fallback && (job.attempts || 0) < getMaxAttempts() - 1) {
+      throw new Error(analysis.invalidFields
+        ? `Claude analysis invalid: ${analysis.invalidFields.slice(0, 5).join('; ')}`
+        : 'Claude analysis failed')
+    }
+
+    console.log(`   ✅ Category: ${analysis.category}, Products: ${analysis.products.length}`)
+
+    // Score the Quick Answer (and rewrite it if it's weak) before anything is saved
+    if (!analysis.fallback) {
+      analysis.quickAnswerReview = await reviewQuickAnswerFields({
+        quickAnswer: analysis.quickAnswer,
+        title: analysis.blogTitle,
+        category: analysis.category,
+        excerpt: analysis.blogExcerpt
+      })
+      if (analysis.quickAnswerReview) {
+        console.log(`   💬 Quick Answer: ${describeQuickAnswerReview(analysis.quickAnswerReview)}`)
+      }
+    }
+
+    context.analysis = analysis
+    return { analysisJson: JSON.stringify(analysis) }
+  },
+
+  async enriched(job, context) {
+    // Amazon throttling - retry later unless this is the last attempt (then link what we have)
+    const analysis = await enrichAnalysis(context.analysis, {
+      retryThrottled: (job.attempts || 0) < getMaxAttempts() - 1
+    })
+
+    const productLinks = analysis.products || []
+    const withShopmy = productLinks.filter(p => p.shopmyUrl).length
+    const withAmazon = productLinks.filter(p => p.amazonUrl).length
+    const fromTranscript = productLinks.filter(p => p.source === 'transcript').length
+    if (productLinks.length > 0) {
+      console.log(`      🛍️  ${withShopmy} ShopMy, 📦 ${withAmazon} Amazon, 📜 ${fromTranscript} from transcript`)
+    }
+
+    context.analysis = analysis
+    return { analysisJson: JSON.stringify(analysis) }
+  },
+
+  async drafted(job, context) {
+    const content = {
+      video: context.video,
+      analysis: context.analysis,
+      productLinks: context.analysis.products || []
+    }
+
+    // Reprocessing updates the existing post, keeping anything Kyndall edited
+    if (job.reprocess) {
+      console.log('   📝 Refreshing existing blog post...')
+      const { post, updatedFields, preservedFields } = await refreshBlogPost(content)
+
+      console.log(`   ✅ Refreshed DRAFT: "${post.title}"`)
+      context.post = post
+      return { draftId: post._id, updatedFields, preservedFields }
+    }
+
+    console.log('   📝 Creating DRAFT blog post...')
+    const post = await createDraftBlogPost(content)
+
+    console.log(`   ✅ Created DRAFT: "${post.title}"`)
+    context.post = post
+    return { draftId: post._id }
+  },
+
+  async notified(job, context) {
+    const { options, analysis, video } = context
+
+    // No emails on first run (would be one per back-catalog video) or for admin reprocessing
+    if (!options.resendApiKey || options.isFirstRun || options.skipNotification) {
+      return {}
+    }
+
+    console.log('   📧 Sending notification...')
+    const sent = await sendNewPostEmail(
+      options.resendApiKey,
+      {
+        title: analysis.blogTitle,
+        excerpt: analysis.blogExcerpt,
+        category: analysis.category,
+        platform: video.platform,
+        productLinks: analysis.products || [],
+        shopmyAutoCreate: analysis.shopmyAutoCreate
+      },
+      options.notificationEmail
+    )
+
+    if (!sent) throw new Error('Notification email failed')
+    return {}
+  }
+}
+
+/**
+ * Run the job's remaining stages until one fails or all are done
+ */
+async function runStages(job, context) {
+  let draftCreated = false
+  let stage = getNextStage(job)
+
+  if (job.attempts > 0) {
+    console.log(`   🔁 Resuming at "${stage}" (attempt ${job.attempts + 1})`)
+  }
+
+  while (stage) {
+    try {
+      const data = await stageRunners[stage](job, context)
+      job = await completeStage(job, stage, data)
+      if (stage === 'drafted') draftCreated = true
+    } catch (error) {
+      console.log(`   ❌ ${stage} error: ${error.message}`)
+      job = await failStage(job, stage, error)
+      return { status: job.status, job, video: context.video, analysis: context.analysis, draftCreated }
+    }
+
+    stage = getNextStage(job)
+  }
+
+  return { status: 'completed', job, video: context.video, analysis: context.analysis, draftCreated }
+}
+
+// ============================================================
+// MAIN
+// ============================================================
+
+/**
+ * Run a job through its remaining stages
+ * @param {Object} job - contentJob document
+ * @param {Object} options - { resendApiKey, notificationEmail, isFirstRun, skipNotification }
+ * @returns {Object} - { status: 'completed' | 'retrying' | 'failed', job, video, analysis, draftCreated, llmUsage }
+ */
+export async function processJob(job, options = {}) {
+  const context = {
+    options,
+    video: getJobVideo(job),
+    analysis: getJobAnalysis(job),
+    post: null
+  }
+
+  const { result, usage } = await withLlmUsage(() => runStages(job, context))
+
+  if (usage.requests > 0) {
+    console.log(`   💸 Claude: ${usage.requests} requests, ${formatUsage(usage)}`)
+    await recordJobLlmUsage(result.job, usage)
+  }
+
+  return { ...result, llmUsage: usage }
+}
+
+/**
+ * Per-video outcome for run reports (see runs.js)
+ */
+export function getJobOutcome(result) {
+  const job = result.job || {}
+  return {
+    videoId: job.videoId || result.video?.id,
+    title: job.title || result.video?.title,
+    platform: job.platform || result.video?.platform,
+    outcome: result.draftCreated ? 'drafted' : result.status,
+    stage: job.stage,
+    error: result.status === 'completed' ? null : job.lastError,
+    draftId: job.draftId,
+    llmCost: result.llmUsage?.cost ?? null
+  }
+}
+
+/**
+ * Regenerate a single video from scratch (admin "reprocess")
+ * Uses the stored video when there's a job, otherwise fetches it from its source
+ * @param {string} videoId - e.g. "dQw4w9WgXcQ" or "tiktok_7301234567"
+ * @param {Object} options - Same as processJob
+ * @returns {Object} - processJob result
+ */
+export async function reprocessVideo(videoId, options = {}) {
+  let job = await getJob(videoId)
+
+  if (job) {
+    job = await resetJob(job)
+  } else {
+    const video = await fetchVideoById(videoId)
+    if (!video) throw new Error(`Video ${videoId} not found`)
+
+    job = await createJob(video)
+    job = await resetJob(job, video)
+  }
+
+  console.log(`\n🔁 Reprocessing: "${job.title}"`)
+  return processJob(job, { ...options, skipNotification: true })
+}
+
+export default {
+  processJob,
+  getJobOutcome,
+  reprocessVideo
+}
@@ -0,0 +1,274 @@
+// kyndall-content-engine/src/portable-text.js
+// HTML → Portable Text converter
+// Turns the blog HTML Claude writes into Sanity rich text, keeping:
+// - Headings (h1-h6), paragraphs, blockquotes
+// - Bullet + numbered lists (with nesting levels)
+// - Bold / italic / underline / strike / code (nested in any order)
+// - Links as annotations with href, target and the product they point to
+//
+// USAGE:
+//   import { htmlToPortableText } from './portable-text.js'
+//   const blocks = htmlToPortableText(html, {
+//     resolveLink: href => ({ productKey: 'abc123', productName: 'Green Clean Balm' }) // or null
+//   })
+
+const DECORATORS = {
+  strong: 'strong',
+  b: 'strong',
+  em: 'em',
+  i: 'em',
+  u: 'underline',
+  s: 'strike-through',
+  strike: 'strike-through',
+  del: 'strike-through',
+  code: 'code'
+}
+
+const HEADINGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6']
+const BLOCK_TAGS = ['p', 'div', 'blockquote', 'ul', 'ol', 'li', ...HEADINGS]
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“',
+  mdash: '—', ndash: '–', hellip: '…', copy: '©', reg: '®', trade: '™'
+}
+
+// Generate a unique key for array items
+function defaultGenerateKey() {
+  return Math.random().toString(36).substring(2, 10)
+}
+
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.substring(2), 16)
+        : parseInt(entity.substring(1), 10)
+      // fromCodePoint throws on anything past U+10FFFF - keep the entity as text
+      return Number.isNaN(code) || code > 0x10FFFF ? match : String.fromCodePoint(code)
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match
+  })
+}
+
+function parseAttributes(attrString) {
+  const attrs = {}
+  const attrPattern = /([a-zA-Z_:][-a-zA-Z0-9_:.]*)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g
+  let match
+  while ((match = attrPattern.exec(attrString || '')) !== null) {
+    attrs[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '')
+  }
+  return attrs
+}
+
+// Plain text with no block tags - treat blank lines as paragraph breaks
+function wrapPlainText(html) {
+  const hasBlockTags = new RegExp(`<(?:${BLOCK_TAGS.join('|')})\\b`, 'i').test(html)
+  if (hasBlockTags) return html
+
+  return html
+    .split(/\n\s*\n/)
+    .filter(part => part.trim())
+    .map(part => `<p>${part.trim()}</p>`)
+    .join('')
+}
+
+/**
+ * Convert HTML to an array of Portable Text blocks
+ * @param {string} html - Blog HTML
+ * @param {Object} options - { generateKey, resolveLink(href) → { productKey, productName } | null }
+ * @returns {Array} - Portable Text blocks
+ */
+export function htmlToPortableText(html, options = {}) {
+  if (!html) return []
+
+  const generateKey = options.generateKey || defaultGenerateKey
+  const resolveLink = options.resolveLink || (() => null)
+
+  const blocks = []
+  const listStack = []   // 'bullet' | 'number'
+  const markStack = []   // { tag, decorators: [], annotation: markDef | null }
+  let quoteDepth = 0
+  let openListItems = 0  // <li> tags still open (a <p> inside one stays in the list)
+  let current = null
+
+  function startBlock(style = 'normal') {
+    flushBlock()
+
+    current = {
+      _type: 'block',
+      _key: generateKey(),
+      style: style === 'normal' && quoteDepth > 0 ? 'blockquote' : style,
+      markDefs: [],
+      children: []
+    }
+  }
+
+  function startListItem() {
+    startBlock('normal')
+    current.style = 'normal'
+    current.listItem = listStack[listStack.length - 1] || 'bullet'
+    current.level = Math.max(listStack.length, 1)
+  }
+
+  function flushBlock() {
+    if (!current) return
+
+    const block = current
+    current = null
+
+    // Trim whitespace at the block edges, drop empty spans
+    const first = block.children[0]
+    const last = block.children[block.children.length - 1]
+    if (first) first.text = first.text.replace(/^[ \t]+/, '')
+    if (last) last.text = last.text.replace(/[ \t\n]+$/, '')
+    block.children = block.children.filter(span => span.text.length > 0)
+
+    if (block.children.length === 0) return
+
+    // Only keep markDefs that are still referenced
+    const usedMarks = new Set(block.children.flatMap(span => span.marks))
+    block.markDefs = block.markDefs.filter(def => usedMarks.has(def._key))
+
+    blocks.push(block)
+  }
+
+  function currentMarks() {
+    const marks = []
+    for (const entry of markStack) {
+      for (const decorator of entry.decorators) {
+        if (!marks.includes(decorator)) marks.push(decorator)
+      }
+      if (entry.annotation) {
+        if (!current.markDefs.includes(entry.annotation)) current.markDefs.push(entry.annotation)
+        marks.push(entry.annotation._key)
+      }
+    }
+    return marks
+  }
+
+  function addText(rawText, { preserve = false } = {}) {
+    let text = preserve ? rawText : decodeEntities(rawText).replace(/\s+/g, ' ')
+    if (!text) return
+
+    if (!current) {
+      if (!text.trim()) return
+      if (listStack.length > 0) startListItem()
+      else startBlock('normal')
+    }
+
+    const marks = currentMarks()
+    const previous = current.children[current.children.length - 1]
+
+    // Collapse whitespace across span boundaries
+    const previousText = previous?.text || ''
+    if (!preserve && (previousText === '' || /[ \n]$/.test(previousText))) {
+      text = text.replace(/^ /, '')
+      if (!text) return
+    }
+
+    if (previous && previous.marks.length === marks.length && previous.marks.every((m, i) => m === marks[i])) {
+      previous.text += text
+    } else {
+      current.children.push({ _type: 'span', _key: generateKey(), text, marks })
+    }
+  }
+
+  function openInline(tag, attrs) {
+    const entry = { tag, decorators: [], annotation: null }
+
+    if (DECORATORS[tag]) {
+      entry.decorators.push(DECORATORS[tag])
+    } else if (tag === 'a' && attrs.href && !attrs.href.startsWith('#')) {
+      const markDef = { _type: 'link', _key: generateKey(), href: attrs.href }
+      if (attrs.target) markDef.target = attrs.target
+
+      const product = resolveLink(attrs.href)
+      if (product?.productKey) {
+        markDef.productKey = product.productKey
+        markDef.productName = product.productName || null
+      }
+      entry.annotation = markDef
+    }
+
+    markStack.push(entry)
+  }
+
+  function closeInline(tag) {
+    for (let i = markStack.length - 1; i >= 0; i--) {
+      if (markStack[i].tag === tag) {
+        markStack.splice(i, 1)
+        return
+      }
+    }
+  }
+
+  const tokenPattern = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b([^>]*?)(\/?)>|[^<]+|</g
+  let token
+  const source = wrapPlainText(html)
+
+  while ((token = tokenPattern.exec(source)) !== null) {
+    const [raw, closing, rawTag, attrString] = token
+
+    // Text (or a stray "<")
+    if (!rawTag) {
+      if (!raw.startsWith('<!--')) addText(raw)
+      continue
+    }
+
+    const tag = rawTag.toLowerCase()
+
+    if (tag === 'br') {
+      if (current) addText('\n', { preserve: true })
+      continue
+    }
+
+    // Skip scripts and styles with everything inside them (to the closing tag, or the end)
+    if ((tag === 'script' || tag === 'style') && !closing && !token[4]) {
+      const closeMatch = new RegExp(`</${tag}\\s*>`, 'i').exec(source.substring(tokenPattern.lastIndex))
+      tokenPattern.lastIndex = closeMatch
+        ? tokenPattern.lastIndex + closeMatch.index + closeMatch[0].length
+        : source.length
+      continue
+    }
+
+    if (tag === 'hr' || tag === 'img' || tag === 'script' || tag === 'style') {
+      continue
+    }
+
+    if (!closing) {
+      if (HEADINGS.includes(tag)) startBlock(tag)
+      // Claude often wraps list item text in <p> - keep it in the list
+      else if (tag === 'p' || tag === 'div') { if (openListItems > 0) startListItem(); else startBlock('normal') }
+      else if (tag === 'blockquote') { flushBlock(); quoteDepth++ }
+      else if (tag === 'ul' || tag === 'ol') { flushBlock(); listStack.push(tag === 'ol' ? 'number' : 'bullet') }
+      else if (tag === 'li') { openListItems++; startListItem() }
+      else openInline(tag, parseAttributes(attrString))
+    } else {
+      if (HEADINGS.includes(tag) || tag === 'p' || tag === 'div') flushBlock()
+      else if (tag === 'li') { flushBlock(); openListItems = Math.max(openListItems - 1, 0) }
+      else if (tag === 'blockquote') { flushBlock(); quoteDepth = Math.max(quoteDepth - 1, 0) }
+      else if (tag === 'ul' || tag === 'ol') { flushBlock(); listStack.pop(); openListItems = Math.min(openListItems, listStack.length) }
+      else closeInline(tag)
+    }
+  }
+
+  flushBlock()
+
+  if (blocks.length > 0) return blocks
+
+  // Nothing recognizable - keep the text rather than losing it
+  const plainText = decodeEntities(html.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim()
+  return plainText ? [{
+    _type: 'block',
+    _key: generateKey(),
+    style: 'normal',
+    markDefs: [],
+    children: [{ _type: 'span', _key: generateKey(), text: plainText, marks: [] }]
+  }] : []
+}
+
+export default {
+  htmlToPortableText,
+  decodeEntities
+}
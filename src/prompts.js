@@ -0,0 +1,396 @@
+// kyndall-content-engine/src/prompts.js
+// Prompt templates
+// The analysis and GEO prompts can be edited in Sanity without a deploy. Every edit is a new
+// promptTemplate document { name, version, active, template, changeNote } - the highest active
+// version of a name is used, and older versions stay as history (flip "active" to roll back).
+//
+// Templates use {{variable}} placeholders, plus {{#variable}}...{{/variable}} for text that only
+// appears when the variable has a value ({{^variable}} for when it doesn't). Without an active
+// template (or if Sanity can't be reached) the built-in defaults below are used.
+//
+// renderPrompt returns the version it used ("analysis@v3", "analysis@builtin") so posts can
+// record which prompt wrote them (blogPost.promptVersion / geoPromptVersion).
+
+const CACHE_DURATION_MS = 10 * 60 * 1000 // 10 minutes
+
+// Built-in templates and the variables each one gets
+export const DEFAULT_TEMPLATES = {
+  analysis: {
+    variables: ['platformName', 'title', 'description', 'tags', 'transcript', 'descriptionProducts', 'styleGuide', 'examples', 'avoidRules'],
+    template: `You are analyzing a {{platformName}} video to create a GEO-optimized blog post for Kyndall Ames, a beauty/lifestyle content creator.
+
+VIDEO TITLE: {{title}}
+
+VIDEO DESCRIPTION:
+{{description}}
+
+VIDEO TAGS: {{tags}}
+{{#transcript}}
+VIDEO TRANSCRIPT (what Kyndall actually says):
+{{transcript}}
+{{/transcript}}
+PRODUCTS ALREADY EXTRACTED FROM DESCRIPTION (DO NOT MODIFY THESE):
+{{descriptionProducts}}
+
+YOUR TASK:
+1. Generate a blog post about this video
+2. Suggest SEO metadata
+3. Determine the category
+4. Generate GEO (Generative Engine Optimization) content sections
+
+NOTE: Products have already been extracted from the description. Do NOT modify those products.{{#transcript}}
+The transcript may mention products that are NOT in the description. List those (and only those) in "transcriptProducts", each with a short exact quote from the transcript where Kyndall mentions it. Use [PRODUCT_LINK:Brand Product Name] placeholders for them in the blog content too.
+For "kyndallsTake", build on real things Kyndall says in the transcript - quote her where it fits.{{/transcript}}
+
+CRITICAL FORMATTING RULES:
+- ALWAYS include a space BEFORE and AFTER any formatting change (bold, italic, links)
+- Example WRONG: "I love<strong>this product</strong>so much"
+- Example RIGHT: "I love <strong>this product</strong> so much"
+- Example WRONG: "Check out[PRODUCT_LINK:Serum]for glowing skin"
+- Example RIGHT: "Check out [PRODUCT_LINK:Serum] for glowing skin"
+- This applies to ALL inline formatting - never let formatted text touch unformatted text
+
+VOICE & TONE:
+- Write like Kyndall - a beauty influencer talking to a friend
+- Use "you" and "your" freely - make it personal
+- Casual phrases are okay: "here's the deal", "spoiler alert", "game-changer", "not gonna lie"
+- Short paragraphs (2-4 sentences max)
+- Be specific and actionable but SOUND like a person, not a textbook
+{{#styleGuide}}
+KYNDALL'S STYLE GUIDE (follow it over the voice notes above):
+{{styleGuide}}
+{{/styleGuide}}{{#examples}}
+EXAMPLES OF KYNDALL'S FINISHED POSTS (match their voice, structure and level of detail - never copy their wording, facts or products):
+{{examples}}
+{{/examples}}{{#avoidRules}}
+AVOID (Kyndall keeps correcting these in the drafts):
+{{avoidRules}}
+{{/avoidRules}}
+Respond with ONLY valid JSON (no markdown, no backticks):
+{
+  "category": "makeup|skincare|fashion|lifestyle|travel",
+  "blogTitle": "Engaging blog title (50-60 chars)",
+  "blogExcerpt": "Brief compelling summary (150-160 chars)",
+  "blogContent": "Full blog post (200-400 words) with [PRODUCT_LINK:Product Name] placeholders where products should be linked. REMEMBER: spaces around ALL formatting!",
+  "seoTitle": "SEO optimized title (50-60 chars)",
+  "seoDescription": "Meta description for search engines (150-160 chars)",
+  "suggestedTags": ["tag1", "tag2", "tag3", "tag4", "tag5"],
+  
+  "quickAnswer": "2-3 sentence TL;DR that directly answers the main question. Be specific with product names and techniques. 150-300 characters ideal. This appears in a highlighted box at the top of the post for AI engines to extract.",
+  
+  "keyTakeaways": [
+    { "icon": "✨", "point": "First key takeaway - be specific and actionable" },
+    { "icon": "💧", "point": "Second key takeaway" },
+    { "icon": "☀️", "point": "Third key takeaway" },
+    { "icon": "⏰", "point": "Fourth key takeaway (optional)" }
+  ],
+  
+  "expertTips": [
+    {
+      "title": "Tip Title (short, catchy)",
+      "description": "2-3 sentences explaining the tip",
+      "proTip": "Optional one-liner insider advice"
+    },
+    {
+      "title": "Second Tip Title",
+      "description": "Explanation of second tip",
+      "proTip": null
+    }
+  ],
+  
+  "faqSection": [
+    { "question": "Common question viewers might ask?", "answer": "Helpful, conversational answer in 2-3 sentences." },
+    { "question": "Another relevant question?", "answer": "Another helpful answer." },
+    { "question": "Third question?", "answer": "Third answer." },
+    { "question": "Fourth question?", "answer": "Fourth answer." },
+    { "question": "Fifth question?", "answer": "Fifth answer." }
+  ],
+  
+  "kyndallsTake": {
+    "headline": "Kyndall's Take",
+    "content": "Personal, authentic 2-4 sentence perspective. Use first person. Be real about what you love or have mixed feelings about. This is where personality shines through.",
+    "mood": "love|recommend|mixed|caution|skip"
+  }{{#transcript}},
+  
+  "transcriptProducts": [
+    { "brand": "Brand name", "name": "Product name", "quote": "Exact words from the transcript" }
+  ]{{/transcript}}
+}`
+  },
+  geoContent: {
+    variables: ['title', 'category', 'excerpt', 'productNames', 'content'],
+    template: `You are helping generate GEO (Generative Engine Optimization) content for an existing beauty/lifestyle blog post.
+
+POST TITLE: {{title}}
+CATEGORY: {{category}}
+EXCERPT: {{excerpt}}
+PRODUCTS MENTIONED: {{productNames}}
+
+POST CONTENT (first 2000 chars):
+{{content}}
+
+---
+
+Generate GEO components. Write in Kyndall's voice - a beauty influencer talking to a friend. Casual, helpful, specific.
+
+Respond with ONLY valid JSON (no markdown, no backticks):
+
+{
+  "quickAnswer": "2-3 sentence TL;DR that directly answers what this post is about. Be specific. 150-300 characters.",
+  
+  "keyTakeaways": [
+    { "icon": "✨", "point": "First key takeaway - specific and actionable" },
+    { "icon": "💧", "point": "Second key takeaway" },
+    { "icon": "☀️", "point": "Third key takeaway" },
+    { "icon": "💕", "point": "Fourth key takeaway" }
+  ],
+  
+  "expertTips": [
+    {
+      "title": "Short catchy tip title",
+      "description": "2-3 sentences explaining the tip",
+      "proTip": "One-liner insider advice (or null)"
+    },
+    {
+      "title": "Second tip title", 
+      "description": "Explanation of second tip",
+      "proTip": null
+    }
+  ],
+  
+  "faqSection": [
+    { "question": "Common question about this topic?", "answer": "Helpful answer in 2-3 sentences." },
+    { "question": "Another relevant question?", "answer": "Helpful answer." },
+    { "question": "Third question?", "answer": "Answer." }
+  ],
+  
+  "kyndallsTake": {
+    "headline": "Short catchy headline",
+    "content": "2-3 sentences of Kyndall's personal take. First person, casual, authentic.",
+    "mood": "recommend"
+  }
+}`
+  }
+}
+
+let sanityClient = null
+
+// Loaded from Sanity: name → { version, template }
+let activeTemplates = new Map()
+let lastFetchTime = null
+
+// Templates whose unknown variables were already warned about
+const warned = new Set()
+
+// ============================================================
+// INITIALIZATION
+// ============================================================
+
+/**
+ * @param {Object} options
+ *   client - Sanity client (promptTemplate documents) - without it the built-ins are used
+ */
+export function initPrompts(options = {}) {
+  sanityClient = options.client || null
+  activeTemplates = new Map()
+  lastFetchTime = null
+}
+
+// ============================================================
+// HELPER FUNCTIONS
+// ============================================================
+
+function hasValue(value) {
+  if (Array.isArray(value)) return value.length > 0
+  return value !== undefined && value !== null && value !== '' && value !== false
+}
+
+/**
+ * Fill in a template
+ * Sections can be nested as long as they use different variables
+ */
+export function fillTemplate(template, vars, label = 'template') {
+  const sectionRegex = /\{\{([#^])\s*(\w+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g
+  const unknown = new Set()
+
+  let output = template
+  let previous = null
+  while (output !== previous) {
+    previous = output
+    output = output.replace(sectionRegex, (match, type, name, body) => {
+      if (!(name in vars)) unknown.add(name)
+      const show = type === '#' ? hasValue(vars[name]) : !hasValue(vars[name])
+      return show ? body : ''
+    })
+  }
+
+  output = output.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    if (!(name in vars)) {
+      unknown.add(name)
+      return ''
+    }
+    return String(vars[name] ?? '')
+  })
+
+  if (unknown.size > 0 && !warned.has(label)) {
+    warned.add(label)
+    console.log(`   ⚠️  Unknown variables in ${label} (left blank): ${[...unknown].join(', ')}`)
+  }
+
+  return output
+}
+
+// ============================================================
+// MAIN
+// ============================================================
+
+/**
+ * Load the active promptTemplate documents from Sanity (cached)
+ * Keeps the last good templates if Sanity can't be reached
+ */
+export async function loadPromptTemplates({ force = false } = {}) {
+  if (!sanityClient) return
+  if (!force && lastFetchTime && (Date.now() - lastFetchTime < CACHE_DURATION_MS)) return
+
+  try {
+    const docs = await sanityClient.fetch(
+      `*[_type == "promptTemplate" && active == true && defined(template)] | order(version desc) {
+        name,
+        version,
+        template
+      }`
+    )
+
+    const templates = new Map()
+    for (const doc of docs || []) {
+      if (!DEFAULT_TEMPLATES[doc.name]) {
+        console.log(`   ⚠️  Unknown promptTemplate name ignored: ${doc.name}`)
+        continue
+      }
+      if (!templates.has(doc.name) && doc.template.trim()) {
+        templates.set(doc.name, { version: doc.version, template: doc.template })
+      }
+    }
+
+    activeTemplates = templates
+    lastFetchTime = Date.now()
+  } catch (error) {
+    console.log(`   ⚠️  Could not load prompt templates from Sanity: ${error.message}`)
+  }
+}
+
+/**
+ * Render a named prompt with the active template (or the built-in default)
+ * @param {string} name - 'analysis' | 'geoContent'
+ * @param {Object} vars - Template variables (strings; empty / null hides {{#sections}})
+ * @returns {Promise<Object>} - { prompt, version }
+ */
+export async function renderPrompt(name, vars) {
+  if (!DEFAULT_TEMPLATES[name]) throw new Error(`Unknown prompt template: ${name}`)
+
+  await loadPromptTemplates()
+
+  const active = activeTemplates.get(name)
+  const version = active ? `${name}@v${active.version}` : `${name}@builtin`
+  const template = active ? active.template : DEFAULT_TEMPLATES[name].template
+
+  return { prompt: fillTemplate(template, vars, version), version }
+}
+
+/**
+ * Every promptTemplate version in Sanity, newest first, and which one is in use
+ * @returns {Promise<Object>} - { name: { inUse, variables, versions: [...] } }
+ */
+export async function getPromptTemplates() {
+  const docs = sanityClient
+    ? await sanityClient.fetch(
+      `*[_type == "promptTemplate"] | order(name asc, version desc) {
+        _id, name, version, active, changeNote, _updatedAt
+      }`
+    )
+    : []
+
+  await loadPromptTemplates({ force: true })
+
+  return Object.fromEntries(Object.entries(DEFAULT_TEMPLATES).map(([name, { variables }]) => {
+    const active = activeTemplates.get(name)
+    return [name, {
+      inUse: active ? `${name}@v${active.version}` : `${name}@builtin`,
+      variables,
+      versions: docs.filter(doc => doc.name === name)
+    }]
+  }))
+}
+
+/**
+ * Save the built-in templates to Sanity as version 1 (names that have no versions yet)
+ * so they can be edited in the Studio
+ * @returns {Promise<Array>} - Names that were created
+ */
+export async function seedPromptTemplates() {
+  if (!sanityClient) throw new Error('Sanity client not initialized')
+
+  const existing = await sanityClient.fetch(`array::unique(*[_type == "promptTemplate"].name)`)
+  const created = []
+
+  for (const [name, { template }] of Object.entries(DEFAULT_TEMPLATES)) {
+    if (existing.includes(name)) continue
+
+    await sanityClient.createIfNotExists({
+      _id: `promptTemplate-${name}-v1`,
+      _type: 'promptTemplate',
+      name,
+      version: 1,
+      active: true,
+      template,
+      changeNote: 'Built-in default',
+      createdAt: new Date().toISOString()
+    })
+    created.push(name)
+  }
+
+  if (created.length > 0) await loadPromptTemplates({ force: true })
+  return created
+}
+
+/**
+ * Make one version of a template the active one (the others are deactivated)
+ * @returns {Promise<string>} - The version now in use, e.g. "analysis@v2"
+ */
+export async function activatePromptVersion(name, version) {
+  if (!sanityClient) throw new Error('Sanity client not initialized')
+
+  const docs = await sanityClient.fetch(
+    `*[_type == "promptTemplate" && name == $name] { _id, version, active }`,
+    { name }
+  )
+  const target = docs.find(doc => doc.version === version)
+  if (!target) {
+    const error = new Error(`No ${name} template version ${version}`)
+    error.notFound = true
+    throw error
+  }
+
+  const changes = docs.filter(doc => doc.active !== (doc._id === target._id))
+  if (changes.length > 0) {
+    const transaction = sanityClient.transaction()
+    for (const doc of changes) {
+      transaction.patch(doc._id, patch => patch.set({ active: doc._id === target._id }))
+    }
+    await transaction.commit()
+  }
+
+  await loadPromptTemplates({ force: true })
+  return `${name}@v${version}`
+}
+
+export default {
+  DEFAULT_TEMPLATES,
+  initPrompts,
+  fillTemplate,
+  loadPromptTemplates,
+  renderPrompt,
+  getPromptTemplates,
+  seedPromptTemplates,
+  activatePromptVersion
+}
@@ -0,0 +1,165 @@
+// kyndall-content-engine/src/quick-answer.js
+// Quick Answer review loop
+// Every Quick Answer (new drafts + GEO-migrated posts) is scored by Claude (reviewQuickAnswer).
+// Below QUICK_ANSWER_MIN_SCORE the suggested rewrite is either applied automatically
+// (original kept in quickAnswerOriginal) or stored as quickAnswerSuggestion for Kyndall to pick.
+//
+// Stored on the blogPost:
+//   quickAnswerScore, quickAnswerFeedback, quickAnswerSuggestion,
+//   quickAnswerStrengths[], quickAnswerImprovements[],
+//   quickAnswerOriginal, quickAnswerAutoApplied, quickAnswerReviewedAt
+
+import { reviewQuickAnswer } from './claude.js'
+import { getSanityClient, hashFieldValue } from './sanity.js'
+
+// Everything the review writes (draft-refresh.js copies these along with quickAnswer)
+export const QUICK_ANSWER_REVIEW_FIELDS = [
+  'quickAnswerScore',
+  'quickAnswerFeedback',
+  'quickAnswerSuggestion',
+  'quickAnswerStrengths',
+  'quickAnswerImprovements',
+  'quickAnswerOriginal',
+  'quickAnswerAutoApplied',
+  'quickAnswerReviewedAt'
+]
+
+let settings = {
+  enabled: true,
+  minScore: 7,
+  autoApply: false
+}
+
+// Last bulk backfill (for the admin API)
+let lastBackfill = null
+
+// ============================================================
+// INITIALIZATION
+// ============================================================
+
+/**
+ * @param {Object} options - { enabled, minScore (1-10), autoApply }
+ */
+export function initQuickAnswerReview(options = {}) {
+  settings = {
+    enabled: options.enabled !== false,
+    minScore: options.minScore || settings.minScore,
+    autoApply: !!options.autoApply
+  }
+}
+
+// ============================================================
+// REVIEW
+// ============================================================
+
+/**
+ * Score a quick answer and work out the fields to store
+ * @param {Object} post - { quickAnswer, title, category, excerpt }
+ * @returns {Promise<Object|null>} - Fields to set on the blogPost, or null if not reviewed
+ */
+export async function reviewQuickAnswerFields({ quickAnswer, title, category, excerpt }) {
+  if (!settings.enabled || !quickAnswer) return null
+
+  const review = await reviewQuickAnswer(quickAnswer, title, category, excerpt)
+
+  // Don't store the "could not review" placeholder score
+  if (review.failed) return null
+
+  const score = Number(review.score) || null
+  const suggestion = review.suggestion?.trim() || null
+  const belowThreshold = score !== null && score < settings.minScore
+  const autoApplied = belowThreshold && settings.autoApply && !!suggestion
+
+  return {
+    quickAnswer: autoApplied ? suggestion : quickAnswer,
+    quickAnswerScore: score,
+    quickAnswerFeedback: review.feedback || null,
+    // Only worth showing as an alternative when the score is low
+    quickAnswerSuggestion: belowThreshold && !autoApplied ? suggestion : null,
+    quickAnswerStrengths: Array.isArray(review.strengths) ? review.strengths : [],
+    quickAnswerImprovements: Array.isArray(review.improvements) ? review.improvements : [],
+    quickAnswerOriginal: autoApplied ? quickAnswer : null,
+    quickAnswerAutoApplied: autoApplied,
+    quickAnswerReviewedAt: new Date().toISOString()
+  }
+}
+
+export function describeQuickAnswerReview(fields) {
+  if (!fields) return 'not reviewed'
+  const action = fields.quickAnswerAutoApplied
+    ? ' → suggestion applied'
+    : (fields.quickAnswerSuggestion ? ' → suggestion saved' : '')
+  return `${fields.quickAnswerScore}/10${action}`
+}
+
+// ============================================================
+// BACKFILL
+// ============================================================
+
+/**
+ * Review quick answers on existing posts that were never scored
+ * @param {Object} options - { limit }
+ * @returns {Promise<Object>} - { reviewed, applied, failed }
+ */
+export async function backfillQuickAnswerReviews({ limit = 20 } = {}) {
+  const client = getSanityClient()
+
+  const result = { reviewed: 0, applied: 0, failed: 0, startedAt: new Date().toISOString(), finishedAt: null }
+  lastBackfill = result
+
+  try {
+    const posts = await client.fetch(`*[_type == "blogPost" && defined(quickAnswer) && quickAnswer != "" && !defined(quickAnswerScore)]
+      | order(publishedAt desc)[0...$limit] {
+      _id,
+      title,
+      category,
+      excerpt,
+      quickAnswer,
+      aiFieldHashes
+    }`, { limit })
+
+    console.log(`\n💬 Reviewing quick answers on ${posts.length} existing posts...`)
+
+    for (const post of posts) {
+      try {
+        const fields = await reviewQuickAnswerFields(post)
+        if (!fields) {
+          result.failed++
+          continue
+        }
+
+        // A rewrite of untouched AI output is still AI output (see draft-refresh.js)
+        if (fields.quickAnswerAutoApplied && post.aiFieldHashes?.quickAnswer === hashFieldValue(post.quickAnswer)) {
+          fields['aiFieldHashes.quickAnswer'] = hashFieldValue(fields.quickAnswer)
+        }
+
+        await client.patch(post._id).set(fields).commit()
+        result.reviewed++
+        if (fields.quickAnswerAutoApplied) result.applied++
+        console.log(`   💬 "${(post.title || '').substring(0, 40)}": ${describeQuickAnswerReview(fields)}`)
+      } catch (error) {
+        console.log(`   ❌ Quick answer review error (${post._id}): ${error.message}`)
+        result.failed++
+      }
+    }
+  } finally {
+    result.finishedAt = new Date().toISOString()
+  }
+
+  console.log(`   💬 Quick answers: ${result.reviewed} reviewed, ${result.applied} rewritten, ${result.failed} failed`)
+
+  return result
+}
+
+export function getLastBackfill() {
+  return lastBackfill
+}
+
+export default {
+  QUICK_ANSWER_REVIEW_FIELDS,
+  initQuickAnswerReview,
+  reviewQuickAnswerFields,
+  describeQuickAnswerReview,
+  backfillQuickAnswerReviews,
+  getLastBackfill
+}
@@ -2,6 +2,7 @@
 
 import { getLatestVideos } from './youtube.js'
 import { initClaude, analyzeVideoContent } from './claude.js'
+import { initLLM } from './llm.js'
 import { searchProducts } from './amazon.js'
 import { findOrSuggestLink, fetchExistingLinks } from './shopmy.js'
 import { initSanity, checkIfVideoProcessed, createDraftBlogPost } from './sanity.js'
@@ -31,7 +32,8 @@ async function runOnce() {
   console.log('🚀 Running content engine once...\n')
   
   // Initialize
-  initClaude(config.anthropic.apiKey)
+  initLLM({ apiKey: config.anthropic.apiKey, model: process.env.CLAUDE_MODEL })
+  initClaude()
   initSanity(config.sanity.projectId, config.sanity.dataset, config.sanity.token)
   
   // Fetch videos
@@ -0,0 +1,140 @@
+// kyndall-content-engine/src/runs.js
+// Run reports
+// Every content check (cron, admin "run now", single-video reprocess) is a run.
+// A run records what happened to each video so the admin page can show it
+// without anyone reading DigitalOcean logs.
+//
+// Runs are kept in memory (last MAX_RUNS) - the durable per-video state lives
+// in the contentJob documents (see jobs.js).
+
+const MAX_RUNS = 25
+
+const runs = new Map()
+let activeRunId = null
+
+// ============================================================
+// HELPER FUNCTIONS
+// ============================================================
+
+function generateRunId() {
+  return `run-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 6)}`
+}
+
+function pruneRuns() {
+  while (runs.size > MAX_RUNS) {
+    const oldestId = runs.keys().next().value
+    if (oldestId === activeRunId) break
+    runs.delete(oldestId)
+  }
+}
+
+// ============================================================
+// RUN LIFECYCLE
+// ============================================================
+
+/**
+ * Start a new run
+ * @param {string} trigger - 'cron' | 'startup' | 'admin' | 'reprocess'
+ * @param {Object} details - Extra info shown in the report (e.g. { videoId })
+ * @returns {Object|null} - The run, or null if another run is still in progress
+ */
+export function startRun(trigger, details = {}) {
+  if (activeRunId) return null
+
+  const run = {
+    id: generateRunId(),
+    trigger,
+    ...details,
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    error: null,
+    summary: null,
+    videos: []
+  }
+
+  runs.set(run.id, run)
+  activeRunId = run.id
+  pruneRuns()
+
+  return run
+}
+
+/**
+ * Record what happened to one video
+ * @param {Object} run - Run from startRun
+ * @param {Object} outcome - { videoId, title, platform, outcome, stage, error, draftId, llmCost }
+ *   outcome: 'skipped' | 'queued' | 'drafted' | 'completed' | 'retrying' | 'failed'
+ */
+export function recordVideoOutcome(run, outcome) {
+  if (!run) return
+
+  const entry = {
+    videoId: outcome.videoId,
+    title: outcome.title || null,
+    platform: outcome.platform || null,
+    outcome: outcome.outcome,
+    stage: outcome.stage || null,
+    error: outcome.error || null,
+    draftId: outcome.draftId || null,
+    // Estimated Claude spend for this video (USD)
+    llmCost: outcome.llmCost ?? null,
+    at: new Date().toISOString()
+  }
+
+  // A video queued earlier in the run gets its final outcome when it's processed
+  const index = run.videos.findIndex(v => v.videoId === entry.videoId)
+  if (index === -1) {
+    run.videos.push(entry)
+  } else {
+    const updates = Object.fromEntries(Object.entries(entry).filter(([, value]) => value !== null))
+    run.videos[index] = { ...run.videos[index], ...updates, error: entry.error }
+  }
+}
+
+/**
+ * Finish a run
+ * @param {Object} run - Run from startRun
+ * @param {Object} options - { summary, error }
+ */
+export function finishRun(run, { summary = null, error = null } = {}) {
+  if (!run) return
+
+  run.status = error ? 'failed' : 'completed'
+  run.error = error ? error.message || String(error) : null
+  run.summary = summary
+  run.finishedAt = new Date().toISOString()
+
+  if (activeRunId === run.id) activeRunId = null
+}
+
+// ============================================================
+// QUERIES
+// ============================================================
+
+export function getRun(runId) {
+  return runs.get(runId) || null
+}
+
+export function getActiveRun() {
+  return activeRunId ? runs.get(activeRunId) : null
+}
+
+/**
+ * Most recent runs first, without the per-video details
+ */
+export function getRecentRuns(limit = 10) {
+  return Array.from(runs.values())
+    .reverse()
+    .slice(0, limit)
+    .map(({ videos, ...run }) => ({ ...run, videoCount: videos.length }))
+}
+
+export default {
+  startRun,
+  recordVideoOutcome,
+  finishRun,
+  getRun,
+  getActiveRun,
+  getRecentRuns
+}
@@ -3,7 +3,12 @@
 // NOW WITH GEO CONTENT FIELDS
 
 import { createClient } from '@sanity/client'
+import crypto from 'crypto'
 import fetch from 'node-fetch'
+import { htmlToPortableText } from './portable-text.js'
+import { extractAsin } from './amazon.js'
+import { getPreferredLink, loadLinkPriority } from './link-priority.js'
+import { getAiOriginal } from './edit-feedback.js'
 
 let client = null
 
@@ -37,6 +42,44 @@ function generateSlug(title) {
     .substring(0, 96)
 }
 
+// Fields Claude writes - refreshing a draft only touches these (see draft-refresh.js)
+export const AI_FIELDS = [
+  'title',
+  'seoTitle',
+  'seoDescription',
+  'excerpt',
+  'category',
+  'htmlContent',
+  'content',
+  'quickAnswer',
+  'keyTakeaways',
+  'expertTips',
+  'faqSection',
+  'kyndallsTake',
+  'suggestedTags'
+]
+
+// Key order doesn't matter to Sanity - sort it so equal values always hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`
+  }
+  return JSON.stringify(value ?? null)
+}
+
+// Fingerprint of a field's value - lets us tell untouched AI output from Kyndall's edits
+export function hashFieldValue(value) {
+  return crypto.createHash('sha1').update(stableStringify(value)).digest('hex').substring(0, 16)
+}
+
+export function getAiFieldHashes(doc, fields = AI_FIELDS) {
+  return Object.fromEntries(fields.map(field => [field, hashFieldValue(doc[field])]))
+}
+
 // Upload image from URL to Sanity
 async function uploadImageFromUrl(imageUrl, filename) {
   if (!imageUrl) return null
@@ -72,79 +115,21 @@ async function uploadImageFromUrl(imageUrl, filename) {
   }
 }
 
-// Convert HTML to Portable Text (simplified)
-function convertHtmlToPortableText(html) {
-  if (!html) return []
-  
-  const blocks = []
-  
-  // Split by paragraphs and headers
-  const parts = html.split(/<\/?(?:p|h[1-6]|div)>/gi).filter(p => p.trim())
-  
-  for (const part of parts) {
-    const trimmed = part.trim()
-    if (!trimmed) continue
-    
-    // Check for header
-    const headerMatch = html.match(new RegExp(`<(h[2-4])[^>]*>${escapeRegex(trimmed)}<\\/\\1>`, 'i'))
-    
-    let style = 'normal'
-    if (headerMatch) {
-      const tag = headerMatch[1].toLowerCase()
-      if (tag === 'h2') style = 'h2'
-      else if (tag === 'h3') style = 'h3'
-      else if (tag === 'h4') style = 'h4'
-    }
-    
-    // Convert inline formatting
-    const children = parseInlineFormatting(trimmed)
-    
-    blocks.push({
-      _type: 'block',
-      _key: generateKey(),
-      style,
-      markDefs: children.markDefs || [],
-      children: children.spans
-    })
+// Find the featured product a link points at (any of its URLs)
+function findProductForLink(featuredProducts, productLinks, href) {
+  const normalize = url => (url || '').replace(/[?#].*$/, '').replace(/\/$/, '').toLowerCase()
+  const target = normalize(href)
+  if (!target) return null
+  
+  const index = productLinks.findIndex(p =>
+    [p.shopmyUrl, p.ltkUrl, p.amazonUrl, p.originalUrl].some(url => url && (url === href || normalize(url) === target))
+  )
+  if (index === -1) return null
+  
+  return {
+    productKey: featuredProducts[index]._key,
+    productName: featuredProducts[index].productName
   }
-  
-  return blocks.length > 0 ? blocks : [{
-    _type: 'block',
-    _key: generateKey(),
-    style: 'normal',
-    markDefs: [],
-    children: [{ _type: 'span', _key: generateKey(), text: html, marks: [] }]
-  }]
-}
-
-// Parse inline formatting (bold, italic, links)
-function parseInlineFormatting(text) {
-  const spans = []
-  const markDefs = []
-  
-  // Remove HTML tags but track formatting
-  let current = text
-  
-  // Strip tags and get plain text
-  const plainText = current
-    .replace(/<strong[^>]*>(.*?)<\/strong>/gi, '$1')
-    .replace(/<em[^>]*>(.*?)<\/em>/gi, '$1')
-    .replace(/<a[^>]*>(.*?)<\/a>/gi, '$1')
-    .replace(/<[^>]+>/g, '')
-  
-  spans.push({
-    _type: 'span',
-    _key: generateKey(),
-    text: plainText,
-    marks: []
-  })
-  
-  return { spans, markDefs }
-}
-
-// Escape regex special characters
-function escapeRegex(string) {
-  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
 }
 
 // Check if a video has already been processed
@@ -167,6 +152,9 @@ export async function createDraftBlogPost({
 }) {
   if (!client) throw new Error('Sanity client not initialized')
   
+  // Brand / category link priority overrides (cached)
+  await loadLinkPriority()
+  
   // Upload thumbnail image to Sanity
   let thumbnailImage = null
   if (video.thumbnail) {
@@ -184,6 +172,48 @@ export async function createDraftBlogPost({
     console.log('   ⚠ No thumbnail URL provided by video')
   }
   
+  const doc = buildBlogPostDocument({ video, analysis, productLinks })
+  
+  // Add thumbnail image if upload was successful
+  if (thumbnailImage) {
+    doc.thumbnail = thumbnailImage
+    console.log('   ✓ Thumbnail added to document')
+  } else {
+    console.log('   ⚠ No thumbnail image, using thumbnailUrl only:', doc.thumbnailUrl ? 'set' : 'not set')
+  }
+  
+  // Log product link summary
+  if (productLinks.length > 0) {
+    console.log('   📦 Product links:')
+    productLinks.forEach(p => {
+      const link = getPreferredLink(p, { category: analysis.category })
+      const status = link ? `✓ ${link.label} (${link.reason})` : '⚠ No link'
+      const source = p.source === 'transcript' ? ' [transcript]' : ''
+      console.log(`      - ${p.brand || 'Unknown'} ${p.name || 'Product'}${source}: ${status}`)
+    })
+  }
+  
+  // Log GEO content summary
+  console.log('   🎯 GEO Content:')
+  console.log(`      - Quick Answer: ${doc.quickAnswer ? 'Yes' : 'No'}`)
+  console.log(`      - Key Takeaways: ${doc.keyTakeaways.length}`)
+  console.log(`      - Expert Tips: ${doc.expertTips.length}`)
+  console.log(`      - FAQs: ${doc.faqSection.length}`)
+  console.log(`      - Kyndall's Take: ${doc.kyndallsTake.showKyndallsTake ? 'Yes' : 'No'}`)
+  
+  console.log('   Creating DRAFT blog post in Sanity...')
+  const result = await client.createIfNotExists(doc)
+  console.log('   ✓ Draft created:', result._id)
+  return result
+}
+
+// Build the full blogPost document for a video (no thumbnail upload, nothing written)
+// Also used by draft-refresh.js to regenerate an existing post
+export function buildBlogPostDocument({
+  video,
+  analysis,
+  productLinks
+}) {
   // Build the HTML content with product links inserted
   let htmlContent = analysis.blogContent || ''
   
@@ -194,19 +224,11 @@ export async function createDraftBlogPost({
     
     const pattern = new RegExp(`<a href="#product-${productIndex}"[^>]*class="product-link"[^>]*>([^<]+)</a>`, 'gi')
     
-    let actualUrl = ''
-    let linkTitle = ''
-    
-    if (product.shopmyUrl) {
-      actualUrl = product.shopmyUrl
-      linkTitle = 'Shop on ShopMy'
-    } else if (product.amazonUrl) {
-      actualUrl = product.amazonUrl
-      linkTitle = 'Shop on Amazon'
-    }
+    // First available link in the brand / category / default retailer order
+    const link = getPreferredLink(product, { category: analysis.category })
     
-    if (actualUrl) {
-      htmlContent = htmlContent.replace(pattern, `<a href="${actualUrl}" target="_blank" rel="noopener noreferrer" title="${linkTitle}" class="product-link">$1</a>`)
+    if (link) {
+      htmlContent = htmlContent.replace(pattern, `<a href="${link.url}" target="_blank" rel="noopener noreferrer" title="Shop on ${link.label}" class="product-link">$1</a>`)
     } else {
       htmlContent = htmlContent.replace(pattern, '<strong class="product-name">$1</strong>')
     }
@@ -215,8 +237,55 @@ export async function createDraftBlogPost({
   // Handle remaining unmatched product links
   htmlContent = htmlContent.replace(/<a href="#product-\d+"[^>]*class="product-link"[^>]*>([^<]+)<\/a>/gi, '<strong class="product-name">$1</strong>')
   
-  // Convert HTML to Portable Text
-  const portableTextContent = convertHtmlToPortableText(htmlContent)
+  // Featured products first - rich text links point at them by _key
+  const featuredProducts = productLinks.map(p => {
+    const link = getPreferredLink(p, { category: analysis.category })
+    return {
+      _type: 'product',
+      _key: generateKey(),
+      productName: p.name || 'Product',
+      brand: p.brand || null,
+      source: p.source || 'description',
+      transcriptQuote: p.transcriptQuote || null,
+      shopmyUrl: p.shopmyUrl || null,
+      shopmyMatchConfidence: p.shopmyMatchConfidence ?? null,
+      shopmyAutoCreate: p.shopmyAutoCreate || null,
+      ltkUrl: p.ltkUrl || null,
+      // The store link from the description (also checked by the link audit)
+      originalUrl: p.originalUrl || null,
+      amazonUrl: p.amazonUrl || null,
+      amazonAsin: p.amazonAsin || extractAsin(p.amazonUrl),
+      amazonPrice: p.amazonPrice || null,
+      amazonPriceAmount: p.amazonPriceAmount ?? null,
+      amazonMatchScore: p.amazonMatchScore ?? null,
+      // Next best search results - for swapping in when the picked listing is wrong
+      amazonAlternatives: (p.amazonAlternatives || []).map(alternative => ({
+        _type: 'amazonAlternative',
+        _key: generateKey(),
+        ...alternative
+      })),
+      // Same product in each Amazon store (US/UK/CA) - the site picks the reader's local one
+      amazonLinks: (p.amazonLinks || []).map(link => ({
+        _type: 'amazonLink',
+        _key: generateKey(),
+        ...link
+      })),
+      productNote: null,
+      hasShopMyLink: p.shopmyUrl ? 'yes' : 'pending',
+      // 'throttled' - PA-API refused the search on every attempt, worth another try by hand
+      hasAmazonLink: p.amazonUrl ? 'yes' : (p.amazonThrottled ? 'throttled' : 'pending'),
+      // Which retailer's link the article uses, and why (brand / category / default order)
+      linkRetailer: link?.retailer || null,
+      linkReason: link?.reason || null,
+      reviewed: false
+    }
+  })
+  
+  // Convert HTML to Portable Text (keeps emphasis, lists and product links)
+  const portableTextContent = htmlToPortableText(htmlContent, {
+    generateKey,
+    resolveLink: href => findProductForLink(featuredProducts, productLinks, href)
+  })
   console.log('   ✓ Converted HTML to Rich Text:', portableTextContent.length, 'blocks')
   
   // Determine aspect ratio based on platform
@@ -261,8 +330,10 @@ export async function createDraftBlogPost({
     
     // ==================== GEO CONTENT (NEW) ====================
     quickAnswer: analysis.quickAnswer || null,
-    quickAnswerScore: null, // Will be set by review if done
+    quickAnswerScore: null,
     quickAnswerSuggestion: null,
+    // Score, feedback, strengths/improvements - and the rewrite if it was auto-applied (see quick-answer.js)
+    ...(analysis.quickAnswerReview || {}),
     
     // Key Takeaways
     keyTakeaways: (analysis.keyTakeaways || []).map(takeaway => ({
@@ -317,18 +388,7 @@ export async function createDraftBlogPost({
     relatedArticles: [],
     
     // ==================== PRODUCTS ====================
-    featuredProducts: productLinks.map(p => ({
-      _type: 'product',
-      _key: generateKey(),
-      productName: p.name || 'Product',
-      brand: p.brand || null,
-      shopmyUrl: p.shopmyUrl || null,
-      amazonUrl: p.amazonUrl || null,
-      productNote: null,
-      hasShopMyLink: p.shopmyUrl ? 'yes' : 'pending',
-      hasAmazonLink: p.amazonUrl ? 'yes' : 'pending',
-      reviewed: false
-    })),
+    featuredProducts,
     
     // Legacy product links format (for backwards compatibility)
     productLinks: productLinks.map(p => ({
@@ -337,9 +397,12 @@ export async function createDraftBlogPost({
       name: p.name,
       brand: p.brand,
       productType: p.productType || null,
+      source: p.source || 'description',
       originalUrl: p.originalUrl || null,
       amazonUrl: p.amazonUrl || null,
       shopmyUrl: p.shopmyUrl || null,
+      ltkUrl: p.ltkUrl || null,
+      shopmyAutoCreate: p.shopmyAutoCreate || null,
       hasShopmy: p.shopmyUrl ? 'yes' : 'pending',
       hasAmazon: p.amazonUrl ? 'yes' : 'pending',
       suggestedAmazonSearch: p.amazonUrl ? null : `https://www.amazon.com/s?k=${encodeURIComponent((p.brand || '') + ' ' + (p.name || ''))}`,
@@ -359,44 +422,27 @@ export async function createDraftBlogPost({
     
     // Source info
     autoGenerated: true,
+    promptVersion: analysis.promptVersion || null,
+    fewShotExampleIds: analysis.fewShotExampleIds || [],
     sourceVideoId: video.id,
     sourceVideo: {
       id: video.id,
       title: video.title,
       platform: video.platform,
-      publishedAt: video.publishedAt
+      publishedAt: video.publishedAt,
+      transcriptSource: video.transcript?.source || null
     }
   }
   
-  // Add thumbnail image if upload was successful
-  if (thumbnailImage) {
-    doc.thumbnail = thumbnailImage
-    console.log('   ✓ Thumbnail added to document')
-  } else {
-    console.log('   ⚠ No thumbnail image, using thumbnailUrl only:', doc.thumbnailUrl ? 'set' : 'not set')
-  }
-  
-  // Log product link summary
-  if (productLinks.length > 0) {
-    console.log('   📦 Product links:')
-    productLinks.forEach(p => {
-      const status = p.shopmyUrl ? '✓ ShopMy' : (p.amazonUrl ? '✓ Amazon' : '⚠ No link')
-      console.log(`      - ${p.brand || 'Unknown'} ${p.name || 'Product'}: ${status}`)
-    })
-  }
+  // Provenance: what the AI wrote for each field, so a later refresh can tell
+  // untouched AI output from Kyndall's edits (she can also lock a field by adding it to editedFields)
+  doc.aiFieldHashes = getAiFieldHashes(doc)
+  doc.editedFields = []
   
-  // Log GEO content summary
-  console.log('   🎯 GEO Content:')
-  console.log(`      - Quick Answer: ${doc.quickAnswer ? 'Yes' : 'No'}`)
-  console.log(`      - Key Takeaways: ${doc.keyTakeaways.length}`)
-  console.log(`      - Expert Tips: ${doc.expertTips.length}`)
-  console.log(`      - FAQs: ${doc.faqSection.length}`)
-  console.log(`      - Kyndall's Take: ${doc.kyndallsTake.showKyndallsTake ? 'Yes' : 'No'}`)
+  // What the AI wrote for the sections edit-feedback.js compares with the published post
+  doc.aiOriginal = getAiOriginal(doc)
   
-  console.log('   Creating DRAFT blog post in Sanity...')
-  const result = await client.createIfNotExists(doc)
-  console.log('   ✓ Draft created:', result._id)
-  return result
+  return doc
 }
 
 export async function getRecentDrafts(limit = 10) {
@@ -428,7 +474,18 @@ export async function getAdminSettings() {
     maxVideosPerRun,
     checkIntervalMinutes,
     notificationEmail,
-    processedVideoIds
+    processedVideoIds,
+    sourceSettings[] {
+      source,
+      enabled,
+      maxVideosPerRun,
+      maxVideosFirstRun
+    },
+    llmSettings[] {
+      task,
+      model,
+      maxTokens
+    }
   }`
   
   return client.fetch(query)
@@ -515,7 +572,11 @@ export default {
   initSanity,
   getSanityClient,
   checkIfVideoProcessed,
+  AI_FIELDS,
   createDraftBlogPost,
+  buildBlogPostDocument,
+  hashFieldValue,
+  getAiFieldHashes,
   getRecentDrafts,
   getAdminSettings,
   updateAdminStats,
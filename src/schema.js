@@ -0,0 +1,420 @@
+// kyndall-content-engine/src/schema.js
+// Structured output from Claude
+// Every JSON response (video analysis, quick answer review, GEO content) is checked
+// against a declared shape before the engine uses it. The shapes are a JSON Schema
+// subset, so the same declaration works for both output modes (CLAUDE_OUTPUT_MODE):
+//
+//   repair - ask for JSON in the prompt; if it doesn't parse or doesn't match, send one
+//            repair request listing the problems (default)
+//   tool   - Anthropic tool use with the schema as input_schema, so the reply is always
+//            an object of the right shape; bounds (lengths, item counts) are still checked
+//            and repaired the same way
+//
+// Supported keywords: type (string or array - ['string', 'null']), enum, properties,
+// required, items, minLength / maxLength, minimum / maximum, minItems / maxItems.
+// Enum values are matched case-insensitively and normalized ("Makeup" → "makeup").
+
+import { createMessage } from './llm.js'
+
+export const OUTPUT_MODES = ['repair', 'tool']
+
+let settings = {
+  mode: 'repair'
+}
+
+// ============================================================
+// SCHEMAS
+// ============================================================
+
+export const CATEGORIES = ['makeup', 'skincare', 'fashion', 'lifestyle', 'travel']
+export const MOODS = ['love', 'recommend', 'mixed', 'caution', 'skip']
+
+const KEY_TAKEAWAYS = {
+  type: 'array',
+  minItems: 3,
+  maxItems: 6,
+  items: {
+    type: 'object',
+    required: ['point'],
+    properties: {
+      icon: { type: 'string', maxLength: 8 },
+      point: { type: 'string', minLength: 10, maxLength: 300 }
+    }
+  }
+}
+
+const EXPERT_TIPS = {
+  type: 'array',
+  minItems: 1,
+  maxItems: 5,
+  items: {
+    type: 'object',
+    required: ['title', 'description'],
+    properties: {
+      title: { type: 'string', minLength: 3, maxLength: 100 },
+      description: { type: 'string', minLength: 20, maxLength: 800 },
+      proTip: { type: ['string', 'null'], maxLength: 300 }
+    }
+  }
+}
+
+const FAQ_SECTION = {
+  type: 'array',
+  minItems: 3,
+  maxItems: 8,
+  items: {
+    type: 'object',
+    required: ['question', 'answer'],
+    properties: {
+      question: { type: 'string', minLength: 10, maxLength: 200 },
+      answer: { type: 'string', minLength: 20, maxLength: 1000 }
+    }
+  }
+}
+
+const KYNDALLS_TAKE = {
+  type: 'object',
+  required: ['content', 'mood'],
+  properties: {
+    headline: { type: 'string', maxLength: 80 },
+    content: { type: 'string', minLength: 40, maxLength: 1000 },
+    mood: { type: 'string', enum: MOODS }
+  }
+}
+
+// Bounds are looser than the prompt asks for - a 65 character SEO title isn't worth a repair
+export const ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['category', 'blogTitle', 'blogExcerpt', 'blogContent', 'seoTitle', 'seoDescription', 'quickAnswer', 'keyTakeaways', 'expertTips', 'faqSection', 'kyndallsTake'],
+  properties: {
+    category: { type: 'string', enum: CATEGORIES },
+    blogTitle: { type: 'string', minLength: 10, maxLength: 100 },
+    blogExcerpt: { type: 'string', minLength: 50, maxLength: 300 },
+    blogContent: { type: 'string', minLength: 500 },
+    seoTitle: { type: 'string', minLength: 10, maxLength: 80 },
+    seoDescription: { type: 'string', minLength: 50, maxLength: 200 },
+    suggestedTags: { type: 'array', maxItems: 15, items: { type: 'string', minLength: 1 } },
+    quickAnswer: { type: 'string', minLength: 80, maxLength: 500 },
+    keyTakeaways: KEY_TAKEAWAYS,
+    expertTips: EXPERT_TIPS,
+    faqSection: FAQ_SECTION,
+    kyndallsTake: KYNDALLS_TAKE,
+    transcriptProducts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          brand: { type: ['string', 'null'] },
+          name: { type: 'string', minLength: 1 },
+          quote: { type: ['string', 'null'] }
+        }
+      }
+    }
+  }
+}
+
+export const QUICK_ANSWER_REVIEW_SCHEMA = {
+  type: 'object',
+  required: ['score', 'feedback'],
+  properties: {
+    score: { type: 'number', minimum: 1, maximum: 10 },
+    feedback: { type: 'string', minLength: 1, maxLength: 500 },
+    suggestion: { type: ['string', 'null'], maxLength: 500 },
+    strengths: { type: 'array', maxItems: 5, items: { type: 'string' } },
+    improvements: { type: 'array', maxItems: 5, items: { type: 'string' } }
+  }
+}
+
+export const GEO_CONTENT_SCHEMA = {
+  type: 'object',
+  required: ['quickAnswer', 'keyTakeaways', 'expertTips', 'faqSection', 'kyndallsTake'],
+  properties: {
+    quickAnswer: { type: 'string', minLength: 80, maxLength: 500 },
+    keyTakeaways: KEY_TAKEAWAYS,
+    expertTips: EXPERT_TIPS,
+    faqSection: FAQ_SECTION,
+    kyndallsTake: KYNDALLS_TAKE
+  }
+}
+
+// ============================================================
+// INITIALIZATION
+// ============================================================
+
+/**
+ * @param {Object} options - { mode: 'repair' | 'tool' }
+ */
+export function initStructuredOutput(options = {}) {
+  if (options.mode && !OUTPUT_MODES.includes(options.mode)) {
+    console.log(`   ⚠️  Unknown CLAUDE_OUTPUT_MODE "${options.mode}" - using repair`)
+  }
+
+  settings = {
+    mode: OUTPUT_MODES.includes(options.mode) ? options.mode : 'repair'
+  }
+}
+
+// ============================================================
+// HELPER FUNCTIONS
+// ============================================================
+
+function getType(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number'
+  return typeof value
+}
+
+function matchesType(value, types) {
+  const actual = getType(value)
+  return types.some(type => type === actual || (type === 'number' && actual === 'integer'))
+}
+
+/**
+ * Check a value against a schema - enum values are normalized in place
+ * @returns {Array} - Problems, each "path: message" (empty when valid)
+ */
+function check(value, schema, path, errors) {
+  const types = schema.type ? [].concat(schema.type) : null
+  if (types && !matchesType(value, types)) {
+    errors.push(`${path}: expected ${types.join(' or ')}, got ${getType(value)}`)
+    return value
+  }
+  if (value === null) return value
+
+  if (schema.enum) {
+    const match = schema.enum.find(option => String(option).toLowerCase() === String(value).trim().toLowerCase())
+    if (match === undefined) {
+      errors.push(`${path}: must be one of ${schema.enum.join(', ')} (got "${value}")`)
+    }
+    return match ?? value
+  }
+
+  if (typeof value === 'string') {
+    const length = value.trim().length
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      errors.push(`${path}: too short (${length} chars, at least ${schema.minLength})`)
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      errors.push(`${path}: too long (${length} chars, at most ${schema.maxLength})`)
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: below ${schema.minimum}`)
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: above ${schema.maximum}`)
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: needs at least ${schema.minItems} items (got ${value.length})`)
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: at most ${schema.maxItems} items (got ${value.length})`)
+    }
+    if (schema.items) {
+      value.forEach((item, i) => {
+        value[i] = check(item, schema.items, `${path}[${i}]`, errors)
+      })
+    }
+  }
+
+  if (getType(value) === 'object') {
+    for (const field of schema.required || []) {
+      if (value[field] === undefined || value[field] === null || value[field] === '') {
+        errors.push(`${path ? `${path}.` : ''}${field}: missing`)
+      }
+    }
+    for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+      // Missing required fields are reported above; optional ones may be left out
+      if (value[field] === undefined || value[field] === null) continue
+      value[field] = check(value[field], fieldSchema, path ? `${path}.${field}` : field, errors)
+    }
+  }
+
+  return value
+}
+
+/**
+ * Pull the JSON object out of a text reply (code fences, text around it)
+ * @throws {Error} - when there's no parseable object
+ */
+export function parseJsonResponse(text) {
+  const cleanText = (text || '')
+    .replace(/```json\s*/gi, '')
+    .replace(/```\s*/gi, '')
+    .trim()
+
+  const jsonMatch = cleanText.match(/\{[\s\S]*\}/)
+  if (!jsonMatch) {
+    throw new Error('No JSON object in the response')
+  }
+
+  return JSON.parse(jsonMatch[0])
+}
+
+/**
+ * Error for a response that still didn't match after the repair attempt
+ */
+function createSchemaError(name, errors) {
+  const error = new Error(`${name} response invalid: ${errors.slice(0, 5).join('; ')}${errors.length > 5 ? ` (+${errors.length - 5} more)` : ''}`)
+  error.invalidFields = errors
+  return error
+}
+
+function logInvalid(name, errors, attempt) {
+  console.log(`   ⚠️  ${name}: ${errors.length} invalid field${errors.length === 1 ? '' : 's'} (${attempt})`)
+  for (const error of errors.slice(0, 10)) {
+    console.log(`      - ${error}`)
+  }
+}
+
+function getText(response) {
+  return response.content.filter(block => block.type === 'text').map(block => block.text).join('')
+}
+
+async function requestJson({ task, name, schema, prompt }) {
+  const messages = [{ role: 'user', content: prompt }]
+  const response = await createMessage(task, { messages })
+  const text = getText(response)
+
+  let result
+  let errors
+  try {
+    result = parseJsonResponse(text)
+    errors = validate(result, schema)
+  } catch (error) {
+    errors = [`(response): not valid JSON - ${error.message}${response.stop_reason === 'max_tokens' ? ' (cut off at max_tokens)' : ''}`]
+  }
+  if (errors.length === 0) return result
+
+  logInvalid(name, errors, 'repairing')
+
+  // One targeted repair: the reply, what's wrong with it, and the full shape again
+  const repair = await createMessage(task, {
+    messages: [
+      ...messages,
+      { role: 'assistant', content: text || '{}' },
+      {
+        role: 'user',
+        content: `Your JSON has these problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Fix them and reply with the complete corrected JSON object only (no markdown, no backticks). It must match this JSON Schema:
+${JSON.stringify(schema)}`
+      }
+    ]
+  })
+
+  try {
+    result = parseJsonResponse(getText(repair))
+  } catch (error) {
+    throw createSchemaError(name, [`(response): not valid JSON after repair - ${error.message}`])
+  }
+
+  errors = validate(result, schema)
+  if (errors.length > 0) {
+    logInvalid(name, errors, 'after repair')
+    throw createSchemaError(name, errors)
+  }
+
+  console.log(`   ✓ ${name}: repaired`)
+  return result
+}
+
+async function requestTool({ task, name, schema, prompt }) {
+  const tool = {
+    name: `save_${name.replace(/[^a-zA-Z0-9_]/g, '_')}`,
+    description: `Save the ${name} result`,
+    input_schema: schema
+  }
+  const request = {
+    tools: [tool],
+    tool_choice: { type: 'tool', name: tool.name }
+  }
+
+  const messages = [{ role: 'user', content: prompt }]
+  const response = await createMessage(task, { ...request, messages })
+  const toolUse = response.content.find(block => block.type === 'tool_use')
+  if (!toolUse) {
+    throw createSchemaError(name, [`(response): no ${tool.name} call (stop reason ${response.stop_reason})`])
+  }
+
+  let result = toolUse.input
+  let errors = validate(result, schema)
+  if (errors.length === 0) return result
+
+  logInvalid(name, errors, 'repairing')
+
+  // Tool use guarantees the types, not the bounds - hand the problems back as the tool result
+  const repair = await createMessage(task, {
+    ...request,
+    messages: [
+      ...messages,
+      { role: 'assistant', content: response.content },
+      {
+        role: 'user',
+        content: [{
+          type: 'tool_result',
+          tool_use_id: toolUse.id,
+          is_error: true,
+          content: `Not saved - fix these problems and call ${tool.name} again with the complete result:\n${errors.map(error => `- ${error}`).join('\n')}`
+        }]
+      }
+    ]
+  })
+
+  result = repair.content.find(block => block.type === 'tool_use')?.input
+  errors = result ? validate(result, schema) : ['(response): no tool call after repair']
+  if (errors.length > 0) {
+    logInvalid(name, errors, 'after repair')
+    throw createSchemaError(name, errors)
+  }
+
+  console.log(`   ✓ ${name}: repaired`)
+  return result
+}
+
+// ============================================================
+// MAIN
+// ============================================================
+
+/**
+ * Validate a value against a schema (enum values are normalized in place)
+ * @returns {Array} - Problems as "path: message" strings, empty when valid
+ */
+export function validate(value, schema) {
+  const errors = []
+  check(value, schema, '', errors)
+  return errors
+}
+
+/**
+ * Ask Claude for a result of a known shape
+ * @param {Object} options
+ *   task   - llm.js task (model + max_tokens), e.g. 'analysis'
+ *   name   - what's being generated (logs + tool name), e.g. 'analysis'
+ *   schema - ANALYSIS_SCHEMA / QUICK_ANSWER_REVIEW_SCHEMA / GEO_CONTENT_SCHEMA
+ *   prompt - the user message
+ * @returns {Promise<Object>} - A result that matches the schema
+ * @throws {Error} - error.invalidFields when it still doesn't match after one repair
+ */
+export async function requestStructured(options) {
+  return settings.mode === 'tool'
+    ? requestTool(options)
+    : requestJson(options)
+}
+
+export default {
+  OUTPUT_MODES,
+  CATEGORIES,
+  MOODS,
+  ANALYSIS_SCHEMA,
+  QUICK_ANSWER_REVIEW_SCHEMA,
+  GEO_CONTENT_SCHEMA,
+  initStructuredOutput,
+  parseJsonResponse,
+  validate,
+  requestStructured
+}
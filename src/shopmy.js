@@ -1,8 +1,57 @@
 // ShopMy API Service
 // Fetches existing links and creates new product links
+// Kyndall's link library is fetched once per run and cached in memory,
+// then products are fuzzy-matched against it by brand and name
+
+import { scoreProductMatch, normalizeText } from './matching.js'
 
 const SHOPMY_API_BASE = 'https://api.shopmy.us/v1'
 
+let apiToken = null
+
+// Link library cache - refreshed at the start of every content check
+let cachedLinks = null
+let lastFetchTime = null
+const CACHE_DURATION_MS = 60 * 60 * 1000 // 1 hour
+
+// Minimum confidence to accept a library link as a match
+const DEFAULT_MIN_CONFIDENCE = 0.6
+
+// Automatic link creation for unmatched products
+// mode: 'off' (default) | 'dry-run' (report only) | 'on' (create links)
+// brands: allowlist of brand names - nothing outside it is ever created
+let autoCreate = {
+  mode: 'off',
+  brands: []
+}
+
+const AUTO_CREATE_MODES = ['off', 'dry-run', 'on']
+
+export function initShopMy(token, { autoCreateMode = 'off', autoCreateBrands = [] } = {}) {
+  if (!token) {
+    console.log('   ⚠️  ShopMy API token not configured - link matching disabled')
+    return false
+  }
+  
+  apiToken = token
+  
+  if (!AUTO_CREATE_MODES.includes(autoCreateMode)) {
+    console.log(`   ⚠️  Unknown ShopMy auto-create mode "${autoCreateMode}" - using "off"`)
+    autoCreateMode = 'off'
+  }
+  autoCreate = {
+    mode: autoCreateMode,
+    brands: autoCreateBrands.map(b => normalizeText(b)).filter(Boolean)
+  }
+  
+  console.log(`   ✓ ShopMy initialized (auto-create: ${autoCreate.mode}${autoCreate.mode !== 'off' ? `, ${autoCreate.brands.length} brands allowed` : ''})`)
+  return true
+}
+
+export function isShopMyConfigured() {
+  return !!apiToken
+}
+
 export async function fetchExistingLinks(apiToken) {
   try {
     const response = await fetch(`${SHOPMY_API_BASE}/links`, {
@@ -47,10 +96,53 @@ export async function fetchCollections(apiToken) {
   }
 }
 
+/**
+ * Get Kyndall's ShopMy link library (cached)
+ * @param {Object} options - { force: true } to bypass the cache
+ * @returns {Array} - ShopMy link objects
+ */
+export async function getLinkLibrary({ force = false } = {}) {
+  if (!apiToken) return []
+  
+  if (!force && cachedLinks && lastFetchTime && (Date.now() - lastFetchTime < CACHE_DURATION_MS)) {
+    return cachedLinks
+  }
+  
+  console.log('   🛍️  Fetching ShopMy link library...')
+  const links = await fetchExistingLinks(apiToken)
+  
+  // Keep the previous library if the API hiccups
+  if (links.length === 0 && cachedLinks?.length) {
+    console.log('   ⚠️  ShopMy returned no links - keeping cached library')
+    return cachedLinks
+  }
+  
+  cachedLinks = links
+  lastFetchTime = Date.now()
+  console.log(`   ✓ Loaded ${links.length} ShopMy links`)
+  return cachedLinks
+}
+
+/**
+ * Force a fresh fetch of the link library (call once per content check)
+ */
+export async function refreshLinkLibrary() {
+  return getLinkLibrary({ force: true })
+}
+
+export function getShopMyStatus() {
+  return {
+    configured: isShopMyConfigured(),
+    cachedLinks: cachedLinks?.length || 0,
+    lastFetched: lastFetchTime ? new Date(lastFetchTime).toISOString() : null,
+    autoCreateMode: autoCreate.mode
+  }
+}
+
 export async function searchExistingLinks(apiToken, query) {
   // Fetch all links and search locally
   // (ShopMy may not have a search endpoint)
-  const links = await fetchExistingLinks(apiToken)
+  const links = isShopMyConfigured() ? await getLinkLibrary() : await fetchExistingLinks(apiToken)
   
   const queryLower = query.toLowerCase()
   return links.filter(link => {
@@ -87,37 +179,196 @@ export async function createLink(apiToken, productUrl) {
   }
 }
 
-export async function findOrSuggestLink(apiToken, product) {
-  // Search for existing link
-  const existingLinks = await searchExistingLinks(apiToken, product.name)
+// Pull a comparable title/brand out of a ShopMy link object
+function describeLink(link) {
+  return {
+    brand: link.brand || link.product?.brand || '',
+    title: link.title || link.product?.title || link.name || ''
+  }
+}
+
+/**
+ * Find the best matching link in the library for a product
+ * @param {Array} links - ShopMy link library
+ * @param {Object} product - { brand, name }
+ * @returns {Object|null} - { link, confidence } for the highest scoring link
+ */
+export function findBestLinkMatch(links, product) {
+  let best = null
   
-  if (existingLinks.length > 0) {
-    // Found existing link
-    return {
-      found: true,
-      link: existingLinks[0],
-      url: existingLinks[0].shortUrl || existingLinks[0].url
+  for (const link of links) {
+    const confidence = scoreProductMatch(product, describeLink(link))
+    if (!best || confidence > best.confidence) {
+      best = { link, confidence }
     }
   }
   
-  // Also try searching by brand
-  const brandLinks = await searchExistingLinks(apiToken, product.brand)
-  const brandMatch = brandLinks.find(link => 
-    link.title?.toLowerCase().includes(product.name.toLowerCase())
-  )
+  return best
+}
+
+export async function findOrSuggestLink(apiToken, product, { minConfidence = DEFAULT_MIN_CONFIDENCE } = {}) {
+  const links = isShopMyConfigured() ? await getLinkLibrary() : await fetchExistingLinks(apiToken)
+  const best = findBestLinkMatch(links, product)
   
-  if (brandMatch) {
+  if (best && best.confidence >= minConfidence) {
     return {
       found: true,
-      link: brandMatch,
-      url: brandMatch.shortUrl || brandMatch.url
+      link: best.link,
+      url: best.link.shortUrl || best.link.url,
+      confidence: best.confidence
     }
   }
   
   // Not found - suggest adding
   return {
     found: false,
+    confidence: best?.confidence || 0,
     suggestion: `Add "${product.name}" by ${product.brand} to ShopMy`,
     searchQuery: `${product.brand} ${product.name}`
   }
 }
+
+// ============================================================
+// BATCH ENRICHMENT FUNCTION
+// ============================================================
+
+/**
+ * Match products without a ShopMy URL against the link library
+ * @param {Array} products - Array of product objects from extraction
+ * @param {Object} options - { minConfidence }
+ * @returns {Array} - Products with shopmyUrl + shopmyMatchConfidence added where found
+ */
+export async function enrichProductsWithShopMy(products, { minConfidence = DEFAULT_MIN_CONFIDENCE } = {}) {
+  if (!isShopMyConfigured()) {
+    return products
+  }
+  
+  const needsLink = products.filter(p => !p.shopmyUrl)
+  if (needsLink.length === 0) return products
+  
+  console.log(`   🛍️  Matching ${needsLink.length} products against ShopMy library...`)
+  
+  let matched = 0
+  
+  for (const product of needsLink) {
+    const result = await findOrSuggestLink(apiToken, product, { minConfidence })
+    product.shopmyMatchConfidence = result.confidence
+    
+    if (result.found) {
+      product.shopmyUrl = result.url
+      matched++
+      console.log(`      ✓ ShopMy match (${Math.round(result.confidence * 100)}%): ${product.brand} ${product.name}`)
+    }
+  }
+  
+  console.log(`   ✓ ShopMy matching complete: ${matched}/${needsLink.length} matched`)
+  
+  return products
+}
+
+// ============================================================
+// AUTOMATIC LINK CREATION
+// ============================================================
+
+function isBrandAllowed(brand) {
+  const normalized = normalizeText(brand)
+  return !!normalized && autoCreate.brands.includes(normalized)
+}
+
+// Pick the retailer page ShopMy should turn into a link
+function getSourceUrlForLink(product) {
+  const isShopMyUrl = url => /shopmy\.us|shop-links\.co/i.test(url)
+  
+  // An LTK link is already an affiliate link - not a retailer page to wrap
+  if (product.originalUrl && !isShopMyUrl(product.originalUrl) && product.originalUrl !== product.ltkUrl) {
+    return product.originalUrl
+  }
+  if (product.amazonAsin) {
+    return `https://www.amazon.com/dp/${product.amazonAsin}`
+  }
+  return null
+}
+
+/**
+ * Create ShopMy links for products that are still unmatched
+ * Only runs for allowlisted brands; in dry-run mode nothing is created,
+ * the report just lists what would have been
+ * @param {Array} products - Products after library matching + Amazon enrichment
+ * @returns {Object} - Report { mode, created, planned, skipped, failed }
+ */
+export async function autoCreateShopMyLinks(products) {
+  const report = {
+    mode: autoCreate.mode,
+    created: [],
+    planned: [],
+    skipped: [],
+    failed: []
+  }
+  
+  if (!isShopMyConfigured() || autoCreate.mode === 'off') {
+    return report
+  }
+  
+  const unmatched = products.filter(p => !p.shopmyUrl)
+  if (unmatched.length === 0) return report
+  
+  console.log(`   🛍️  ShopMy auto-create (${autoCreate.mode}): ${unmatched.length} unmatched products`)
+  
+  for (const product of unmatched) {
+    const label = `${product.brand} ${product.name}`.trim()
+    
+    if (!isBrandAllowed(product.brand)) {
+      report.skipped.push({ product: label, reason: 'Brand not in allowlist' })
+      continue
+    }
+    
+    const sourceUrl = getSourceUrlForLink(product)
+    if (!sourceUrl) {
+      report.skipped.push({ product: label, reason: 'No retailer URL to link' })
+      continue
+    }
+    
+    if (autoCreate.mode === 'dry-run') {
+      product.shopmyAutoCreate = 'planned'
+      report.planned.push({ product: label, sourceUrl })
+      console.log(`      📝 Would create: ${label} ← ${sourceUrl}`)
+      continue
+    }
+    
+    const link = await createLink(apiToken, sourceUrl)
+    const url = link?.shortUrl || link?.url
+    
+    if (!url) {
+      report.failed.push({ product: label, sourceUrl })
+      continue
+    }
+    
+    product.shopmyUrl = url
+    product.shopmyAutoCreate = 'created'
+    report.created.push({ product: label, sourceUrl, url })
+    console.log(`      ✓ Created ShopMy link: ${label} → ${url}`)
+    
+    // Make the new link matchable for the rest of this run
+    if (cachedLinks) cachedLinks.push(link)
+  }
+  
+  console.log(`   ✓ ShopMy auto-create: ${report.created.length} created, ${report.planned.length} planned, ${report.skipped.length} skipped, ${report.failed.length} failed`)
+  
+  return report
+}
+
+export default {
+  initShopMy,
+  isShopMyConfigured,
+  fetchExistingLinks,
+  fetchCollections,
+  getLinkLibrary,
+  refreshLinkLibrary,
+  getShopMyStatus,
+  searchExistingLinks,
+  createLink,
+  findBestLinkMatch,
+  findOrSuggestLink,
+  enrichProductsWithShopMy,
+  autoCreateShopMyLinks
+}
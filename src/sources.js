@@ -0,0 +1,201 @@
+// kyndall-content-engine/src/sources.js
+// Content source registry
+// Every platform the engine imports from is a source module that exports:
+//
+//   {
+//     name: 'youtube',              // matches video.platform
+//     label: 'YouTube',             // for logs
+//     icon: '📺',                   // for logs
+//     isEnabled(config),            // credentials/flags present?
+//     getStatus(),                  // → { connected, message, expired? }
+//     fetchLatest(max),             // → normalized video objects
+//     fetchById(videoId),           // optional - one normalized video (admin reprocess)
+//     prepareVideo(video)           // optional - extra data for videos about to be analyzed
+//   }
+//
+// Adding a platform (Pinterest, podcast RSS, ...) = write the module + register it here.
+// Per-source enable flags and limits come from adminSettings.sourceSettings[]
+
+import { youtubeSource } from './youtube.js'
+import { tiktokSource } from './tiktok.js'
+import { instagramSource } from './instagram.js'
+
+const sources = new Map()
+
+// Last known state per source, reported by /health
+const sourceState = new Map()
+
+// ============================================================
+// REGISTRATION
+// ============================================================
+
+export function registerSource(source) {
+  const required = ['name', 'isEnabled', 'getStatus', 'fetchLatest']
+  const missing = required.filter(key => !source?.[key])
+
+  if (missing.length > 0) {
+    throw new Error(`Content source is missing: ${missing.join(', ')}`)
+  }
+
+  sources.set(source.name, source)
+  sourceState.set(source.name, { enabled: null, status: null, lastFetched: null, lastCount: 0, lastError: null })
+}
+
+export function getSources() {
+  return Array.from(sources.values())
+}
+
+export function getSource(name) {
+  return sources.get(name) || null
+}
+
+export function getSourceIcon(name) {
+  return sources.get(name)?.icon || '📺'
+}
+
+registerSource(youtubeSource)
+registerSource(tiktokSource)
+registerSource(instagramSource)
+
+// ============================================================
+// SETTINGS
+// ============================================================
+
+function getSourceSettings(adminSettings, name) {
+  return (adminSettings?.sourceSettings || []).find(s => s.source === name) || {}
+}
+
+/**
+ * Resolve how many videos to fetch from a source this run
+ * Source setting → adminSettings.maxVideosPerRun → env default
+ */
+function getSourceLimit(config, adminSettings, name, isFirstRun) {
+  const settings = getSourceSettings(adminSettings, name)
+
+  if (isFirstRun) {
+    return settings.maxVideosFirstRun || config.maxVideosFirstRun
+  }
+  return settings.maxVideosPerRun || adminSettings?.maxVideosPerRun || config.maxVideosRegular
+}
+
+function isSourceEnabled(config, adminSettings, source) {
+  return source.isEnabled(config) && getSourceSettings(adminSettings, source.name).enabled !== false
+}
+
+// ============================================================
+// FETCHING
+// ============================================================
+
+/**
+ * Fetch the latest videos from every enabled source
+ * One source failing never stops the others
+ * @returns {Promise<Array>} - Normalized videos from all sources
+ */
+export async function fetchFromAllSources(config, adminSettings, { isFirstRun = false } = {}) {
+  const allVideos = []
+
+  for (const source of getSources()) {
+    const state = sourceState.get(source.name)
+    const label = source.label || source.name
+
+    if (!isSourceEnabled(config, adminSettings, source)) {
+      state.enabled = false
+      continue
+    }
+    state.enabled = true
+
+    const maxVideos = getSourceLimit(config, adminSettings, source.name, isFirstRun)
+    console.log(`\n${source.icon || '📺'} Fetching up to ${maxVideos} ${label} videos...`)
+
+    try {
+      // Check connection status first
+      const status = await source.getStatus()
+      state.status = status
+
+      if (!status.connected) {
+        console.log(`   ⚠️ ${status.message}`)
+        if (status.expired) {
+          console.log(`      Reconnect at: https://kyndallames.com/admin/${source.name}`)
+        }
+        continue
+      }
+
+      const videos = await source.fetchLatest(maxVideos)
+      console.log(`   Found ${videos.length} ${label} videos`)
+
+      state.lastFetched = new Date().toISOString()
+      state.lastCount = videos.length
+      state.lastError = null
+      allVideos.push(...videos)
+    } catch (error) {
+      console.log(`   ❌ ${label} error: ${error.message}`)
+      state.lastError = error.message
+    }
+  }
+
+  return allVideos
+}
+
+/**
+ * The source a video ID belongs to - TikTok/Instagram IDs are prefixed ("tiktok_123"),
+ * YouTube IDs are not
+ */
+export function getSourceForVideoId(videoId) {
+  return getSources().find(source => videoId.startsWith(`${source.name}_`)) || getSource('youtube')
+}
+
+/**
+ * Fetch a single video by ID
+ * Uses the source's fetchById when it has one, otherwise looks through its latest videos
+ * @returns {Promise<Object|null>} - Normalized video or null if not found
+ */
+export async function fetchVideoById(videoId) {
+  const source = getSourceForVideoId(videoId)
+  if (!source) return null
+
+  if (source.fetchById) {
+    return source.fetchById(videoId)
+  }
+
+  const videos = await source.fetchLatest(50)
+  return videos.find(video => video.id === videoId) || null
+}
+
+/**
+ * Let the video's source attach extra data (e.g. YouTube transcripts)
+ * Failures are logged - the video is still analyzed without it
+ */
+export async function prepareVideo(video) {
+  const source = getSource(video.platform)
+  if (!source?.prepareVideo) return video
+
+  try {
+    return (await source.prepareVideo(video)) || video
+  } catch (error) {
+    console.log(`   ⚠️ Could not prepare ${video.platform} video: ${error.message}`)
+    return video
+  }
+}
+
+/**
+ * Last known state of every registered source (for /health)
+ */
+export function getSourceStatuses() {
+  const statuses = {}
+  for (const [name, state] of sourceState) {
+    statuses[name] = { ...state }
+  }
+  return statuses
+}
+
+export default {
+  registerSource,
+  getSources,
+  getSource,
+  getSourceIcon,
+  fetchFromAllSources,
+  getSourceForVideoId,
+  fetchVideoById,
+  prepareVideo,
+  getSourceStatuses
+}
@@ -0,0 +1,220 @@
+// kyndall-content-engine/src/style-guide.js
+// Kyndall's voice: style guide + few-shot examples for the analysis prompt
+// Two things are added to the prompt (template variables {{styleGuide}} and {{examples}}):
+//
+//   1. The styleGuide document in Sanity - guide (free text) and rules[] (one per line)
+//   2. A few of her finished posts as examples - published posts she wrote herself or
+//      edited after the AI draft, closest first: same category, then shared title words,
+//      then the most recent
+//
+// Posts record the examples they were written with (fewShotExampleIds), so getStyleGuideImpact
+// can compare how much Kyndall rewrites drafts with and without them
+// (originalHtmlContent → htmlContent, see text-diff.js).
+
+import { htmlEditRatio } from './text-diff.js'
+
+const CACHE_DURATION_MS = 30 * 60 * 1000 // 30 minutes
+const EXAMPLE_POOL_SIZE = 100
+
+let sanityClient = null
+
+let settings = {
+  exampleCount: 2,       // 0 turns the examples off
+  maxExampleChars: 2500  // per example (HTML)
+}
+
+// Loaded from Sanity
+let styleGuide = null    // { guide, rules }
+let examplePool = []     // [{ _id, title, category, htmlContent, publishedAt, sourceVideoId }]
+let lastFetchTime = null
+
+// ============================================================
+// INITIALIZATION
+// ============================================================
+
+/**
+ * @param {Object} options
+ *   client          - Sanity client (styleGuide + blogPost documents)
+ *   exampleCount    - STYLE_EXAMPLES, examples per prompt (0 = off)
+ *   maxExampleChars - STYLE_EXAMPLE_MAX_CHARS, each example is cut to this length
+ */
+export function initStyleGuide(options = {}) {
+  sanityClient = options.client || null
+  settings = {
+    exampleCount: options.exampleCount ?? settings.exampleCount,
+    maxExampleChars: options.maxExampleChars || settings.maxExampleChars
+  }
+  styleGuide = null
+  examplePool = []
+  lastFetchTime = null
+}
+
+// ============================================================
+// HELPER FUNCTIONS
+// ============================================================
+
+function titleWords(title) {
+  return new Set(
+    String(title || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(word => word.length > 3)
+  )
+}
+
+/**
+ * Cut an example's HTML to maxChars, at a tag or word boundary
+ */
+function truncateHtml(html, maxChars) {
+  if (html.length <= maxChars) return html
+
+  const cut = html.substring(0, maxChars)
+  const boundary = Math.max(cut.lastIndexOf('>'), cut.lastIndexOf(' '))
+  return `${cut.substring(0, boundary > maxChars / 2 ? boundary + 1 : maxChars).trim()}\n[...]`
+}
+
+function formatStyleGuide(guide) {
+  if (!guide) return null
+
+  const parts = []
+  if (guide.guide?.trim()) parts.push(guide.guide.trim())
+  const rules = (guide.rules || []).map(rule => String(rule || '').trim()).filter(Boolean)
+  if (rules.length > 0) parts.push(rules.map(rule => `- ${rule}`).join('\n'))
+
+  return parts.length > 0 ? parts.join('\n\n') : null
+}
+
+function formatExamples(examples) {
+  if (examples.length === 0) return null
+
+  return examples.map((post, i) =>
+    `--- Example ${i + 1}: "${post.title}" (${post.category || 'lifestyle'}) ---\n${truncateHtml(post.htmlContent, settings.maxExampleChars)}`
+  ).join('\n\n')
+}
+
+// ============================================================
+// MAIN
+// ============================================================
+
+/**
+ * Load the style guide and the pool of example posts from Sanity (cached)
+ * Keeps the last good copy if Sanity can't be reached
+ */
+export async function loadStyleGuide({ force = false } = {}) {
+  if (!sanityClient) return
+  if (!force && lastFetchTime && (Date.now() - lastFetchTime < CACHE_DURATION_MS)) return
+
+  try {
+    const result = await sanityClient.fetch(`{
+      "guide": *[_type == "styleGuide"][0] { guide, rules },
+      "examples": *[_type == "blogPost" && !(_id in path("drafts.**")) && showInBlog == true && defined(htmlContent)
+        && (autoGenerated != true || count(editedFields) > 0 || (defined(originalHtmlContent) && htmlContent != originalHtmlContent))]
+        | order(publishedAt desc)[0...$limit] {
+          _id,
+          title,
+          category,
+          htmlContent,
+          publishedAt,
+          sourceVideoId
+        }
+    }`, { limit: EXAMPLE_POOL_SIZE })
+
+    styleGuide = result.guide || null
+    examplePool = result.examples || []
+    lastFetchTime = Date.now()
+  } catch (error) {
+    console.log(`   ⚠️  Could not load style guide from Sanity: ${error.message}`)
+  }
+}
+
+/**
+ * The closest finished posts to use as examples
+ * @param {Object} options - { category, title, videoId (its own post is never an example) }
+ * @returns {Array} - Posts, best match first
+ */
+export function pickStyleExamples({ category, title, videoId = null } = {}) {
+  if (settings.exampleCount <= 0) return []
+
+  const wanted = (category || '').toLowerCase()
+  const words = titleWords(title)
+
+  return examplePool
+    .filter(post => !videoId || post.sourceVideoId !== videoId)
+    .map((post, index) => {
+      const shared = [...titleWords(post.title)].filter(word => words.has(word)).length
+      const score = (wanted && post.category === wanted ? 10 : 0) + shared
+      return { post, score, index }
+    })
+    // The pool is newest first - index breaks ties
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, settings.exampleCount)
+    .map(({ post }) => post)
+}
+
+/**
+ * Style guide and examples for one video's analysis prompt
+ * @param {Object} options - { category (best guess before the analysis), title, videoId }
+ * @returns {Promise<Object>} - { styleGuide, examples, exampleIds } (text is null when there's nothing to add)
+ */
+export async function getStyleContext(options = {}) {
+  await loadStyleGuide()
+
+  const examples = pickStyleExamples(options)
+  if (examples.length > 0) {
+    console.log(`   ✍️  Style examples: ${examples.map(p => `"${p.title}"`).join(', ')}`)
+  }
+
+  return {
+    styleGuide: formatStyleGuide(styleGuide),
+    examples: formatExamples(examples),
+    exampleIds: examples.map(p => p._id)
+  }
+}
+
+/**
+ * How much Kyndall rewrites published drafts, with and without few-shot examples
+ * @returns {Promise<Object>} - { styleGuide, examplePool, withExamples, withoutExamples }
+ *   each group: { posts, avgEditRatio } (0 = published as written, 1 = fully rewritten)
+ */
+export async function getStyleGuideImpact() {
+  if (!sanityClient) throw new Error('Sanity client not initialized')
+
+  await loadStyleGuide({ force: true })
+
+  const posts = await sanityClient.fetch(`*[_type == "blogPost" && !(_id in path("drafts.**")) && autoGenerated == true
+    && showInBlog == true && defined(originalHtmlContent) && defined(htmlContent)] {
+      "withExamples": count(fewShotExampleIds) > 0,
+      originalHtmlContent,
+      htmlContent
+    }`)
+
+  const groups = {
+    withExamples: { posts: 0, totalRatio: 0 },
+    withoutExamples: { posts: 0, totalRatio: 0 }
+  }
+  for (const post of posts) {
+    const group = post.withExamples ? groups.withExamples : groups.withoutExamples
+    group.posts++
+    group.totalRatio += htmlEditRatio(post.originalHtmlContent, post.htmlContent)
+  }
+
+  const summarize = ({ posts, totalRatio }) => ({
+    posts,
+    avgEditRatio: posts > 0 ? Math.round((totalRatio / posts) * 1000) / 1000 : null
+  })
+
+  return {
+    styleGuide: !!formatStyleGuide(styleGuide),
+    examplePool: examplePool.length,
+    withExamples: summarize(groups.withExamples),
+    withoutExamples: summarize(groups.withoutExamples)
+  }
+}
+
+export default {
+  initStyleGuide,
+  loadStyleGuide,
+  pickStyleExamples,
+  getStyleContext,
+  getStyleGuideImpact
+}
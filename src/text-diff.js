@@ -0,0 +1,85 @@
+// kyndall-content-engine/src/text-diff.js
+// How much of the AI's text survived Kyndall's edits
+// editRatio compares two texts word by word: 0 = unchanged, 1 = completely rewritten.
+// Used to measure drafts (originalHtmlContent → published htmlContent).
+
+// Longer texts are compared on their first MAX_WORDS words (keeps the diff fast)
+const MAX_WORDS = 4000
+
+// ============================================================
+// HELPER FUNCTIONS
+// ============================================================
+
+/**
+ * Visible text of an HTML string
+ */
+export function htmlToText(html) {
+  return String(html || '')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&quot;/g, '"')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+function toWords(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}'\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, MAX_WORDS)
+}
+
+/**
+ * Length of the longest common subsequence of two word lists
+ */
+function lcsLength(a, b) {
+  if (a.length === 0 || b.length === 0) return 0
+
+  let previous = new Uint16Array(b.length + 1)
+  let current = new Uint16Array(b.length + 1)
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = a[i - 1] === b[j - 1]
+        ? previous[j - 1] + 1
+        : Math.max(previous[j], current[j - 1])
+    }
+    [previous, current] = [current, previous]
+  }
+
+  return previous[b.length]
+}
+
+// ============================================================
+// MAIN
+// ============================================================
+
+/**
+ * Share of words that were added, removed or changed between two texts
+ * @returns {number} - 0 (identical) to 1 (nothing in common), rounded to 3 decimals
+ */
+export function editRatio(original, edited) {
+  const a = toWords(original)
+  const b = toWords(edited)
+  if (a.length === 0 && b.length === 0) return 0
+
+  const ratio = 1 - (2 * lcsLength(a, b)) / (a.length + b.length)
+  return Math.round(ratio * 1000) / 1000
+}
+
+/**
+ * editRatio for HTML (tags and entities ignored)
+ */
+export function htmlEditRatio(originalHtml, editedHtml) {
+  return editRatio(htmlToText(originalHtml), htmlToText(editedHtml))
+}
+
+export default {
+  htmlToText,
+  editRatio,
+  htmlEditRatio
+}
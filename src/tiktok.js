@@ -261,3 +261,20 @@ export async function getTikTokStatus() {
     message: `TikTok connected (expires in ${daysUntilExpiry} days)`,
   }
 }
+
+/**
+ * Content source registration (see sources.js)
+ */
+export const tiktokSource = {
+  name: 'tiktok',
+  label: 'TikTok',
+  icon: '🎵',
+
+  isEnabled(config) {
+    return !!(config.tiktok?.clientKey && config.tiktok?.clientSecret)
+  },
+
+  getStatus: getTikTokStatus,
+
+  fetchLatest: getLatestTikTokVideos,
+}
@@ -1,7 +1,27 @@
 // YouTube Data API Service
 // Fetches latest videos from a YouTube channel
+// Also fetches video transcripts (captions API or local timed-text files)
+
+import fs from 'fs/promises'
+import path from 'path'
 
 const YOUTUBE_API_BASE = 'https://www.googleapis.com/youtube/v3'
+const GOOGLE_TOKEN_URL = 'https://oauth2.googleapis.com/token'
+
+// Cached OAuth access token for caption downloads
+let oauthAccessToken = null
+let oauthAccessTokenExpiry = 0
+
+// Channel + transcript settings for the content source (see initYouTube)
+let youtubeConfig = null
+
+/**
+ * Initialize the YouTube content source
+ * @param {Object} options - { apiKey, channelId, transcriptsEnabled, transcriptDir, transcriptLanguage, oauth }
+ */
+export function initYouTube(options) {
+  youtubeConfig = options
+}
 
 export async function getLatestVideos(apiKey, channelId, maxResults = 50) {
   console.log(`   Fetching up to ${maxResults} videos from channel...`)
@@ -219,3 +239,225 @@ export async function getChannelIdFromHandle(apiKey, handle) {
   
   return null
 }
+
+// ============================================================
+// CONTENT SOURCE
+// ============================================================
+
+export const youtubeSource = {
+  name: 'youtube',
+  label: 'YouTube',
+  icon: '📺',
+  
+  isEnabled(config) {
+    return !!(config.youtube?.apiKey && config.youtube?.channelId)
+  },
+  
+  async getStatus() {
+    if (!youtubeConfig?.apiKey || !youtubeConfig?.channelId) {
+      return { connected: false, message: 'YouTube API key or channel ID not configured' }
+    }
+    return {
+      connected: true,
+      transcripts: youtubeConfig.transcriptsEnabled
+        ? (youtubeConfig.oauth?.refreshToken ? 'captions-api' : (youtubeConfig.transcriptDir ? 'files' : 'unavailable'))
+        : 'disabled',
+      message: `YouTube channel ${youtubeConfig.channelId}`
+    }
+  },
+  
+  async fetchLatest(maxResults) {
+    return getLatestVideos(youtubeConfig.apiKey, youtubeConfig.channelId, maxResults)
+  },
+  
+  // Single video (admin reprocess of a video with no stored job)
+  async fetchById(videoId) {
+    const videos = await getVideoDetails(youtubeConfig.apiKey, [videoId])
+    return videos[0] || null
+  },
+  
+  // Runs only for videos that are about to be analyzed (transcripts cost API quota)
+  async prepareVideo(video) {
+    if (!youtubeConfig?.transcriptsEnabled) return video
+    
+    video.transcript = await getVideoTranscript(video.id, {
+      apiKey: youtubeConfig.apiKey,
+      transcriptDir: youtubeConfig.transcriptDir,
+      language: youtubeConfig.transcriptLanguage,
+      oauth: youtubeConfig.oauth
+    })
+    return video
+  }
+}
+
+// ============================================================
+// TRANSCRIPTS
+// ============================================================
+
+const TRANSCRIPT_EXTENSIONS = ['.vtt', '.srt', '.xml', '.txt']
+
+/**
+ * Get a video's transcript as plain text
+ * Tries a provided timed-text file first, then the YouTube captions API
+ *
+ * @param {string} videoId - YouTube video ID
+ * @param {Object} options - { apiKey, transcriptDir, language, oauth: { clientId, clientSecret, refreshToken } }
+ * @returns {Promise<Object|null>} - { text, source, language } or null if unavailable
+ */
+export async function getVideoTranscript(videoId, options = {}) {
+  const { apiKey, transcriptDir, language = 'en', oauth } = options
+  
+  // 1. Provided timed-text file (e.g. exported from YouTube Studio)
+  if (transcriptDir) {
+    const fromFile = await readTranscriptFile(transcriptDir, videoId)
+    if (fromFile) {
+      console.log(`   📜 Transcript loaded from file (${fromFile.length} chars)`)
+      return { text: fromFile, source: 'file', language }
+    }
+  }
+  
+  // 2. Captions API - listing works with an API key, downloading needs OAuth
+  if (apiKey && oauth?.refreshToken) {
+    try {
+      const fromApi = await downloadCaptions(videoId, apiKey, oauth, language)
+      if (fromApi) {
+        console.log(`   📜 Transcript downloaded from YouTube (${fromApi.text.length} chars)`)
+        return { text: fromApi.text, source: 'captions-api', language: fromApi.language }
+      }
+    } catch (error) {
+      console.log(`   ⚠️ Transcript download failed: ${error.message}`)
+    }
+  }
+  
+  return null
+}
+
+async function readTranscriptFile(transcriptDir, videoId) {
+  for (const ext of TRANSCRIPT_EXTENSIONS) {
+    try {
+      const raw = await fs.readFile(path.join(transcriptDir, `${videoId}${ext}`), 'utf8')
+      const text = parseTimedText(raw)
+      if (text) return text
+    } catch {
+      // Not found - try the next extension
+    }
+  }
+  return null
+}
+
+async function getOAuthAccessToken({ clientId, clientSecret, refreshToken }) {
+  // Reuse the cached token (with 1 min buffer)
+  if (oauthAccessToken && Date.now() < oauthAccessTokenExpiry - 60 * 1000) {
+    return oauthAccessToken
+  }
+  
+  const response = await fetch(GOOGLE_TOKEN_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      client_id: clientId,
+      client_secret: clientSecret,
+      refresh_token: refreshToken,
+      grant_type: 'refresh_token'
+    })
+  })
+  
+  const data = await response.json()
+  
+  if (!response.ok || !data.access_token) {
+    throw new Error(data.error_description || data.error || 'OAuth token refresh failed')
+  }
+  
+  oauthAccessToken = data.access_token
+  oauthAccessTokenExpiry = Date.now() + (data.expires_in * 1000)
+  return oauthAccessToken
+}
+
+async function downloadCaptions(videoId, apiKey, oauth, language) {
+  const listResponse = await fetch(
+    `${YOUTUBE_API_BASE}/captions?` + new URLSearchParams({
+      part: 'snippet',
+      videoId,
+      key: apiKey
+    })
+  )
+  
+  if (!listResponse.ok) {
+    const error = await listResponse.json()
+    throw new Error(error.error?.message || 'Caption list failed')
+  }
+  
+  const listData = await listResponse.json()
+  const tracks = listData.items || []
+  
+  // Prefer manually uploaded captions over auto-generated (ASR) ones
+  const inLanguage = tracks.filter(t => t.snippet?.language?.startsWith(language))
+  const track = inLanguage.find(t => t.snippet.trackKind !== 'asr') || inLanguage[0] || tracks[0]
+  
+  if (!track) return null
+  
+  const accessToken = await getOAuthAccessToken(oauth)
+  
+  const captionResponse = await fetch(
+    `${YOUTUBE_API_BASE}/captions/${track.id}?` + new URLSearchParams({ tfmt: 'vtt' }),
+    { headers: { 'Authorization': `Bearer ${accessToken}` } }
+  )
+  
+  if (!captionResponse.ok) {
+    throw new Error(`Caption download failed: ${captionResponse.status}`)
+  }
+  
+  const text = parseTimedText(await captionResponse.text())
+  return text ? { text, language: track.snippet.language } : null
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(code))
+}
+
+/**
+ * Convert WebVTT, SRT or YouTube timed-text XML into plain transcript text
+ * Drops timestamps, cue numbers and styling, and collapses the repeated
+ * lines auto-generated captions are full of
+ */
+export function parseTimedText(raw) {
+  if (!raw) return ''
+  
+  let lines
+  
+  if (/<transcript|<timedtext|<text\s+start=|<p\s+t=/i.test(raw)) {
+    // YouTube timed-text XML (srv1 <text> or srv3 <p>)
+    lines = [...raw.matchAll(/<(?:text|p)\b[^>]*>([\s\S]*?)<\/(?:text|p)>/gi)]
+      .map(match => decodeEntities(match[1].replace(/<[^>]+>/g, '')))
+  } else {
+    // WebVTT / SRT / plain text
+    lines = raw
+      .replace(/\r/g, '')
+      .split('\n')
+      .filter(line => {
+        const trimmed = line.trim()
+        if (!trimmed) return false
+        if (/^WEBVTT|^NOTE\b|^Kind:|^Language:|^STYLE|^REGION/.test(trimmed)) return false
+        if (/^\d+$/.test(trimmed)) return false // SRT cue number
+        if (/-->/.test(trimmed)) return false   // Timing line
+        return true
+      })
+      .map(line => decodeEntities(line.replace(/<[^>]+>/g, '')))
+  }
+  
+  const transcript = []
+  for (const line of lines) {
+    const clean = line.replace(/\s+/g, ' ').trim()
+    if (clean && clean !== transcript[transcript.length - 1]) {
+      transcript.push(clean)
+    }
+  }
+  
+  return transcript.join(' ')
+}